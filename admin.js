@@ -0,0 +1,84 @@
+// admin.js - Audit log of admin actions
+//
+// The /admin endpoints in server.js control a game at runtime (pause and resume its cycle, trigger a cycle,
+// reset or edit what its engine has learned) and manage the API keys. They need a key with the admin scope
+// in the X-Admin-Key header (see apiKeys.js).
+//
+// Every admin action that changes something, applied or rejected, is appended to the "adminAudit" document:
+//   { id, at, action, actor, game, target, params, reason, outcome, error, before, after, remoteAddress }
+// actor is the id of the admin key used; outcome is ok or rejected; before/after are copies of the state
+// the action replaced and produced. Callers may send { reason } in the request body to have it recorded.
+// Requests refused for a missing, invalid or rate-limited admin key (actor and params null) or an unknown game
+// are recorded as rejected too. The read-only endpoints (status, key list, audit) are not recorded.
+//
+// Settings:
+//   ADMIN_AUDIT_LIMIT  - audit entries kept, oldest dropped first (default 5000)
+const crypto = require('crypto');
+
+const ADMIN_AUDIT_DOC = 'adminAudit';
+const DEFAULT_AUDIT_LIMIT = 5000;
+const DEFAULT_AUDIT_PAGE = 100;
+
+/**
+ * @param {Object} options
+ * @param {Object} options.repository - Storage repository holding the audit document.
+ * @param {number} [options.limit] - Entries kept.
+ */
+function createAuditLog(options = {}) {
+    const repository = options.repository;
+    const limit = options.limit > 0 ? options.limit : DEFAULT_AUDIT_LIMIT;
+    const load = () => repository.load(ADMIN_AUDIT_DOC, () => ({ entries: [] }));
+
+    return {
+        /**
+         * Appends an action; the audit write is not allowed to fail silently, so errors reach the caller.
+         * @returns {Object} The stored entry.
+         */
+        record(action) {
+            const entry = {
+                id: crypto.randomUUID(),
+                at: Date.now(),
+                action: action.action,
+                actor: action.actor || null,
+                game: action.game || null,
+                target: action.target || null,
+                params: action.params || null,
+                reason: action.reason || null,
+                outcome: action.outcome,
+                error: action.error || null,
+                before: action.before === undefined ? null : action.before,
+                after: action.after === undefined ? null : action.after,
+                remoteAddress: action.remoteAddress || null
+            };
+            const doc = load();
+            doc.entries.push(entry);
+            if (doc.entries.length > limit) doc.entries.splice(0, doc.entries.length - limit);
+            repository.save(ADMIN_AUDIT_DOC, doc);
+            console.log(`Admin: ${entry.action}${entry.actor ? ` by ${entry.actor}` : ''}${entry.game ? ` [${entry.game}]` : ''}${entry.target ? ` ${entry.target}` : ''} ${entry.outcome}${entry.error ? ` (${entry.error})` : ''}`);
+            return entry;
+        },
+        /**
+         * @param {Object} [filters] - game, action, limit (default 100).
+         * @returns {Array<Object>} Matching entries, newest first.
+         */
+        list(filters = {}) {
+            const size = filters.limit > 0 ? filters.limit : DEFAULT_AUDIT_PAGE;
+            return load().entries
+                .filter(entry => !filters.game || entry.game === filters.game)
+                .filter(entry => !filters.action || entry.action === filters.action)
+                .reverse()
+                .slice(0, size);
+        }
+    };
+}
+
+function adminOptionsFromEnv(env = process.env) {
+    return {
+        auditLimit: parseInt(env.ADMIN_AUDIT_LIMIT, 10)
+    };
+}
+
+module.exports = {
+    createAuditLog,
+    adminOptionsFromEnv
+};
@@ -0,0 +1,339 @@
+// apiKeys.js - API key store: hashed keys with scopes, expiry, rate limits, quotas and usage counters
+//
+// Every endpoint needs one scope:
+//   predict    - /predict, /predict/explain, /events (SSE and WebSocket) and /webhooks, where a key only sees
+//                and manages the endpoints (and their dead letters) it registered itself
+//   results    - /get-result, /predictions, /stats, /calibration, /ml-model, /regimes, /config
+//   game-data  - /game-data
+//   admin      - /admin/... (the key goes in X-Admin-Key there, in X-API-Key everywhere else)
+//
+// Keys are created, edited, rotated and revoked through the admin API and stored in the "apiKeys" document,
+// so none of that needs a restart. Only the SHA-256 hash of a key is stored; the key itself is returned once,
+// when it is created or rotated. Keys are 192-bit random strings, so an unsalted hash is enough to look them up.
+// A stored key has:
+//   id, name, prefix    - identification; prefix is the first 8 characters of the key, to recognise it in client configs
+//   scopes              - any of the scopes above
+//   expiresAt           - ms timestamp after which the key is refused (null: never)
+//   revokedAt           - set when revoked; revoked keys stay listed with their usage
+//   rateLimitPerMinute  - requests per minute, 0 for unlimited (null: API_KEY_RATE_LIMIT)
+//   quota               - { limit, period: day|month } requests per UTC day or month (null: none)
+// Rotating a key creates a replacement with the same settings and lets the old one expire after a grace period.
+//
+// Usage per key ({ total, byScope, lastUsedAt, rateLimited, quotaExceeded, quotaPeriod, quotaUsed }) is counted
+// in memory and written to the document every API_KEY_USAGE_FLUSH_MS, so a crash loses at most that much of it.
+// Rate limit windows are in memory only.
+//
+// Settings:
+//   API_KEY                 - key with the predict, results and game-data scopes (optional; changing it needs a restart)
+//   ADMIN_API_KEY           - key with the admin scope, to manage the stored keys (optional; must differ from API_KEY)
+//   API_KEY_RATE_LIMIT      - requests per minute for keys without their own limit, 0 for unlimited (default 0).
+//                             API_KEY is usually shared by every client, so it is only throttled once this is set.
+//   API_KEY_USAGE_FLUSH_MS  - how often usage counters are saved (default 10000)
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['predict', 'results', 'game-data', 'admin'];
+const QUOTA_PERIODS = ['day', 'month'];
+const API_KEYS_DOC = 'apiKeys';
+const ENV_API_KEY_ID = 'env:API_KEY';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 0;
+const DEFAULT_USAGE_FLUSH_MS = 10000;
+const DEFAULT_ROTATION_GRACE_MS = 60 * 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+function hashKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function generateSecret() {
+    return `qk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function quotaPeriodOf(period, now) {
+    const iso = new Date(now).toISOString();
+    return period === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function createUsage() {
+    return { total: 0, byScope: {}, lastUsedAt: null, rateLimited: 0, quotaExceeded: 0, quotaPeriod: null, quotaUsed: 0 };
+}
+
+/**
+ * Checks the settings of a key being created (every field) or edited (only the fields given).
+ * @returns {{settings: Object}|{error: string}}
+ */
+function validateKeySettings(body, options = {}) {
+    const input = body || {};
+    const settings = {};
+    const has = key => input[key] !== undefined;
+    if (has('name') || !options.partial) {
+        if (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > 100) return { error: 'name must be a non-empty string of at most 100 characters.' };
+        settings.name = input.name.trim();
+    }
+    if (has('scopes') || !options.partial) {
+        if (!Array.isArray(input.scopes) || input.scopes.length === 0 || input.scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            return { error: `scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}.` };
+        }
+        settings.scopes = Array.from(new Set(input.scopes));
+    }
+    if (has('expiresAt')) {
+        const expiresAt = input.expiresAt === null ? null : typeof input.expiresAt === 'number' ? input.expiresAt : Date.parse(input.expiresAt);
+        if (expiresAt !== null && isNaN(expiresAt)) return { error: 'expiresAt must be null, a timestamp in ms or an ISO date.' };
+        settings.expiresAt = expiresAt;
+    } else if (!options.partial) {
+        settings.expiresAt = null;
+    }
+    if (has('rateLimitPerMinute')) {
+        const limit = input.rateLimitPerMinute;
+        if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) return { error: 'rateLimitPerMinute must be null or a whole number (0 for unlimited).' };
+        settings.rateLimitPerMinute = limit;
+    } else if (!options.partial) {
+        settings.rateLimitPerMinute = null;
+    }
+    if (has('quota')) {
+        const quota = input.quota;
+        if (quota !== null && !(quota && Number.isInteger(quota.limit) && quota.limit > 0 && QUOTA_PERIODS.includes(quota.period))) {
+            return { error: `quota must be null or { limit, period } with a positive whole limit and period ${QUOTA_PERIODS.join(' or ')}.` };
+        }
+        settings.quota = quota === null ? null : { limit: quota.limit, period: quota.period };
+    } else if (!options.partial) {
+        settings.quota = null;
+    }
+    return { settings };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.repository - Storage repository holding the apiKeys document.
+ * @param {Array<Object>} [options.bootstrapKeys] - { id, name, secret, scopes } keys from the environment.
+ * @param {number} [options.defaultRateLimitPerMinute]
+ * @param {number} [options.usageFlushMs]
+ */
+function createApiKeyStore(options = {}) {
+    const repository = options.repository;
+    const defaultRateLimit = Number.isInteger(options.defaultRateLimitPerMinute) && options.defaultRateLimitPerMinute >= 0
+        ? options.defaultRateLimitPerMinute
+        : DEFAULT_RATE_LIMIT_PER_MINUTE;
+    const flushMs = options.usageFlushMs > 0 ? options.usageFlushMs : DEFAULT_USAGE_FLUSH_MS;
+
+    const doc = repository.load(API_KEYS_DOC, () => ({ keys: [], usage: {} }));
+    const bootstrapKeys = (options.bootstrapKeys || []).map(key => ({
+        id: key.id,
+        name: key.name,
+        hash: hashKey(key.secret),
+        prefix: null, // Environment keys may be short; none of them is revealed
+        scopes: key.scopes,
+        createdAt: null,
+        expiresAt: null,
+        revokedAt: null,
+        rateLimitPerMinute: null,
+        quota: null,
+        source: 'env'
+    }));
+    let byHash = new Map();
+    const rateWindows = new Map(); // id -> { startedAt, count }
+    let usageDirty = false;
+
+    const reindex = () => {
+        byHash = new Map(bootstrapKeys.concat(doc.keys).map(key => [key.hash, key]));
+    };
+    reindex();
+
+    const usageOf = id => {
+        if (!doc.usage[id]) doc.usage[id] = createUsage();
+        return doc.usage[id];
+    };
+
+    // What the API shows of a key: never its hash
+    const describe = key => {
+        const { hash, ...rest } = key;
+        return { source: 'store', ...rest, usage: { ...usageOf(key.id) } };
+    };
+
+    const save = () => {
+        repository.save(API_KEYS_DOC, doc);
+        usageDirty = false;
+    };
+
+    const flush = () => {
+        if (!usageDirty) return;
+        try {
+            save();
+        } catch (error) {
+            console.error('API keys: failed to save usage counters:', error);
+        }
+    };
+    setInterval(flush, flushMs).unref();
+
+    const findStored = id => doc.keys.find(key => key.id === id);
+    const notStored = id => (bootstrapKeys.some(key => key.id === id)
+        ? { error: `Key "${id}" is set in the environment; change the variable and restart to replace it.` }
+        : { error: `Unknown API key "${id}".`, notFound: true });
+
+    function addKey(settings, now) {
+        const secret = generateSecret();
+        const key = {
+            id: crypto.randomUUID(),
+            name: settings.name,
+            hash: hashKey(secret),
+            prefix: secret.slice(0, 8),
+            scopes: settings.scopes,
+            createdAt: now,
+            expiresAt: settings.expiresAt,
+            revokedAt: null,
+            rateLimitPerMinute: settings.rateLimitPerMinute,
+            quota: settings.quota
+        };
+        doc.keys.push(key);
+        return { key, secret };
+    }
+
+    return {
+        /**
+         * Checks a presented key for a scope and counts the request against its limits.
+         * @returns {{key: Object}|{status: number, error: string, retryAfterSeconds?: number}}
+         */
+        authenticate(secret, scope, now = Date.now()) {
+            const key = secret ? byHash.get(hashKey(secret)) : null;
+            if (!key) return { status: 401, error: 'Unauthorized: Invalid or missing API Key' };
+            if (key.revokedAt) return { status: 401, error: 'Unauthorized: API key has been revoked' };
+            if (key.expiresAt !== null && key.expiresAt <= now) return { status: 401, error: 'Unauthorized: API key has expired' };
+            if (!key.scopes.includes(scope)) return { status: 403, error: `Forbidden: API key lacks the "${scope}" scope` };
+
+            const usage = usageOf(key.id);
+            usageDirty = true;
+            const rateLimit = key.rateLimitPerMinute === null ? defaultRateLimit : key.rateLimitPerMinute;
+            if (rateLimit > 0) {
+                let window = rateWindows.get(key.id);
+                if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+                    window = { startedAt: now, count: 0 };
+                    rateWindows.set(key.id, window);
+                }
+                if (window.count >= rateLimit) {
+                    usage.rateLimited++;
+                    return {
+                        status: 429,
+                        error: `Rate limit of ${rateLimit} requests per minute exceeded`,
+                        retryAfterSeconds: Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000)
+                    };
+                }
+                window.count++;
+            }
+            if (key.quota) {
+                const period = quotaPeriodOf(key.quota.period, now);
+                if (usage.quotaPeriod !== period) {
+                    usage.quotaPeriod = period;
+                    usage.quotaUsed = 0;
+                }
+                if (usage.quotaUsed >= key.quota.limit) {
+                    usage.quotaExceeded++;
+                    return { status: 429, error: `Quota of ${key.quota.limit} requests per ${key.quota.period} (UTC) used up for ${period}` };
+                }
+                usage.quotaUsed++;
+            }
+            usage.total++;
+            usage.byScope[scope] = (usage.byScope[scope] || 0) + 1;
+            usage.lastUsedAt = now;
+            return { key: { id: key.id, name: key.name, scopes: key.scopes } };
+        },
+
+        /** Every key, environment keys first, with its usage. */
+        list() {
+            return bootstrapKeys.concat(doc.keys).map(describe);
+        },
+
+        // Admin operations; each returns { before, after } (after.secret only here and in rotate) or { error, notFound }
+        create(body, now = Date.now()) {
+            const validated = validateKeySettings(body);
+            if (validated.error) return validated;
+            const { key, secret } = addKey(validated.settings, now);
+            reindex();
+            save();
+            return { before: null, after: describe(key), secret };
+        },
+
+        update(id, body) {
+            const key = findStored(id);
+            if (!key) return notStored(id);
+            const validated = validateKeySettings(body, { partial: true });
+            if (validated.error) return validated;
+            if (Object.keys(validated.settings).length === 0) return { error: 'Nothing to change. Editable fields: name, scopes, expiresAt, rateLimitPerMinute, quota.' };
+            const before = describe(key);
+            Object.assign(key, validated.settings);
+            save();
+            return { before, after: describe(key) };
+        },
+
+        /** Issues a replacement key; the old one keeps working for graceMs (default one hour). */
+        rotate(id, graceMs, now = Date.now()) {
+            const key = findStored(id);
+            if (!key) return notStored(id);
+            if (key.revokedAt) return { error: `API key "${id}" is revoked.` };
+            const grace = graceMs === undefined ? DEFAULT_ROTATION_GRACE_MS : graceMs;
+            if (!(Number.isInteger(grace) && grace >= 0)) return { error: 'graceMs must be a whole number of milliseconds.' };
+            const before = describe(key);
+            // The replacement gets the same settings, and as long a lifetime as the old key was given
+            const expiresAt = key.expiresAt === null ? null : now + (key.expiresAt - key.createdAt);
+            const { key: replacement, secret } = addKey({ ...key, expiresAt }, now);
+            key.expiresAt = key.expiresAt === null ? now + grace : Math.min(key.expiresAt, now + grace);
+            key.rotatedTo = replacement.id;
+            reindex();
+            save();
+            return { before, after: describe(replacement), previous: describe(key), secret };
+        },
+
+        revoke(id, now = Date.now()) {
+            const key = findStored(id);
+            if (!key) return notStored(id);
+            if (key.revokedAt) return { error: `API key "${id}" is already revoked.` };
+            const before = describe(key);
+            key.revokedAt = now;
+            save();
+            return { before, after: describe(key) };
+        },
+
+        flush
+    };
+}
+
+/**
+ * Express middleware that requires a key with `scope`, read from the request by `readKey`.
+ * The authenticated key is available to handlers as req.apiKey.
+ * @param {Object} [options] - onRefused(req, result): called with the authenticate() result before a refusal is sent.
+ */
+function createApiKeyMiddleware(store, scope, readKey, options = {}) {
+    return (req, res, next) => {
+        const result = store.authenticate(readKey(req), scope);
+        if (result.error) {
+            if (options.onRefused) options.onRefused(req, result);
+            if (result.retryAfterSeconds) res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(result.status).json({ error: result.error });
+        }
+        req.apiKey = result.key;
+        next();
+    };
+}
+
+function apiKeyOptionsFromEnv(env = process.env) {
+    const bootstrapKeys = [];
+    if (env.API_KEY) bootstrapKeys.push({ id: ENV_API_KEY_ID, name: 'API_KEY', secret: env.API_KEY, scopes: ['predict', 'results', 'game-data'] });
+    if (env.ADMIN_API_KEY && env.ADMIN_API_KEY === env.API_KEY) {
+        console.error('ADMIN_API_KEY must differ from API_KEY; ignoring it.');
+    } else if (env.ADMIN_API_KEY) {
+        bootstrapKeys.push({ id: 'env:ADMIN_API_KEY', name: 'ADMIN_API_KEY', secret: env.ADMIN_API_KEY, scopes: ['admin'] });
+    }
+    return {
+        bootstrapKeys,
+        defaultRateLimitPerMinute: env.API_KEY_RATE_LIMIT === undefined ? undefined : parseInt(env.API_KEY_RATE_LIMIT, 10),
+        usageFlushMs: parseInt(env.API_KEY_USAGE_FLUSH_MS, 10)
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    ENV_API_KEY_ID,
+    hashKey,
+    validateKeySettings,
+    createApiKeyStore,
+    createApiKeyMiddleware,
+    apiKeyOptionsFromEnv
+};
@@ -0,0 +1,151 @@
+// backfill.js - Gap detection and paginated backfill of missed upstream periods
+//
+// Issue numbers are consecutive integers within a game day. A jump larger than BACKFILL_MAX_GAP is
+// treated as a numbering rollover (e.g. a new day prefix) rather than a run of missed periods.
+//
+// Settings:
+//   BACKFILL_MAX_PAGES  - upper bound on upstream pages requested per backfill (default 20)
+//   BACKFILL_PAGE_SIZE  - page size used while backfilling (default: the provider's page size)
+//   BACKFILL_MAX_GAP    - largest issue-number jump treated as a gap (default 2000)
+
+const DEFAULT_MAX_PAGES = 20;
+const DEFAULT_MAX_GAP_SPAN = 2000;
+
+function toPeriodBigInt(issueNumber) {
+    if (issueNumber === undefined || issueNumber === null) return null;
+    try {
+        return BigInt(String(issueNumber));
+    } catch (error) {
+        return null;
+    }
+}
+
+function isNewerPeriod(issueNumber, referenceIssueNumber) {
+    const value = toPeriodBigInt(issueNumber);
+    const reference = toPeriodBigInt(referenceIssueNumber);
+    if (value === null) return false;
+    if (reference === null) return true;
+    return value > reference;
+}
+
+function sortRowsNewestFirst(rows) {
+    return rows.slice().sort((a, b) => {
+        const diff = (toPeriodBigInt(b.issueNumber) || 0n) - (toPeriodBigInt(a.issueNumber) || 0n);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    });
+}
+
+function mergeUniqueRows(...rowLists) {
+    const byIssue = new Map();
+    rowLists.forEach(rows => (rows || []).forEach(row => {
+        if (row && !byIssue.has(String(row.issueNumber))) byIssue.set(String(row.issueNumber), row);
+    }));
+    return sortRowsNewestFirst(Array.from(byIssue.values()));
+}
+
+/**
+ * Finds issue numbers missing between known periods.
+ * @param {Array<string|number>} issueNumbers - Known issue numbers in any order.
+ * @param {number} maxGapSpan - Largest jump that is still treated as missed periods.
+ * @returns {Array<string>} Missing issue numbers, oldest first.
+ */
+function findMissingPeriods(issueNumbers, maxGapSpan = DEFAULT_MAX_GAP_SPAN) {
+    const sorted = Array.from(new Set(issueNumbers.map(toPeriodBigInt).filter(v => v !== null)))
+        .sort((a, b) => (a > b ? 1 : a < b ? -1 : 0));
+    const missing = [];
+    for (let i = 1; i < sorted.length; i++) {
+        const diff = sorted[i] - sorted[i - 1];
+        if (diff > 1n && diff <= BigInt(maxGapSpan)) {
+            for (let period = sorted[i - 1] + 1n; period < sorted[i]; period++) missing.push(period.toString());
+        }
+    }
+    return missing;
+}
+
+/**
+ * Estimates when each row's result came in, so replayed periods are predicted at their own time: the newest
+ * row's result arrived at `now` and every older row is one period length earlier per issue number. A jump
+ * larger than maxGapSpan is a numbering rollover and counts as a single period.
+ * @param {Array<Object>} rows - Rows oldest first.
+ * @param {Object} options - periodMs, now, maxGapSpan.
+ * @returns {Array<number>} A timestamp (ms) per row, in the same order.
+ */
+function estimatePeriodTimes(rows, options = {}) {
+    const maxGapSpan = BigInt(options.maxGapSpan || DEFAULT_MAX_GAP_SPAN);
+    const times = new Array(rows.length);
+    let time = options.now;
+    for (let i = rows.length - 1; i >= 0; i--) {
+        if (i < rows.length - 1) {
+            const newer = toPeriodBigInt(rows[i + 1].issueNumber);
+            const older = toPeriodBigInt(rows[i].issueNumber);
+            const span = newer !== null && older !== null ? newer - older : 0n;
+            time -= (span > 0n && span <= maxGapSpan ? Number(span) : 1) * options.periodMs;
+        }
+        times[i] = time;
+    }
+    return times;
+}
+
+/**
+ * Pages through the upstream list until every missing period is found, the pages move past the
+ * oldest gap, or the page budget runs out.
+ * @param {Object} provider - A data source from dataSources.js.
+ * @param {Object} options
+ * @param {Array<string|number>} options.knownIssueNumbers - Issue numbers already stored.
+ * @param {Array<Object>} options.latestRows - Rows from the regular page-1 poll.
+ * @param {string|null} options.anchorIssueNumber - Last processed period; the span after it is checked too.
+ * @param {Set<string>} options.skipIssueNumbers - Periods already given up on by an earlier backfill.
+ * @returns {Promise<{rows: Array<Object>, unresolved: Array<string>, pagesFetched: number}>}
+ */
+async function backfillMissingPeriods(provider, options = {}) {
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const pageSize = options.pageSize || provider.pageSize;
+    const anchors = options.anchorIssueNumber ? [options.anchorIssueNumber] : [];
+    const latestIssueNumbers = (options.latestRows || []).map(row => row.issueNumber);
+    const newest = latestIssueNumbers.map(toPeriodBigInt).filter(v => v !== null).reduce((max, v) => (v > max ? v : max), 0n);
+    // Gaps older than the page budget can reach are out of range for the upstream list
+    const reachableFrom = newest - BigInt(maxPages * pageSize);
+    const known = (options.knownIssueNumbers || []).concat(anchors)
+        .filter(issueNumber => isNewerPeriod(issueNumber, reachableFrom.toString()))
+        .concat(latestIssueNumbers);
+    const skip = options.skipIssueNumbers || new Set();
+    const missing = new Set(findMissingPeriods(known, options.maxGapSpan || DEFAULT_MAX_GAP_SPAN).filter(period => !skip.has(period)));
+    if (missing.size === 0) return { rows: [], unresolved: [], pagesFetched: 0 };
+
+    const oldestMissing = Array.from(missing).reduce((min, period) => (BigInt(period) < BigInt(min) ? period : min));
+    console.log(`Backfill: ${missing.size} missing period(s) detected, oldest ${oldestMissing}.`);
+
+    const found = [];
+    let pagesFetched = 0;
+    for (let pageNo = 1; pageNo <= maxPages && missing.size > 0; pageNo++) {
+        const page = await provider.fetchPage({ pageNo, pageSize });
+        pagesFetched++;
+        if (!page || page.length === 0) break;
+
+        page.forEach(row => {
+            if (missing.has(String(row.issueNumber))) {
+                missing.delete(String(row.issueNumber));
+                found.push(row);
+            }
+        });
+
+        // Pages are newest first, so once a page reaches past the oldest gap there is nothing left to find
+        const oldestOnPage = page[page.length - 1];
+        if (!isNewerPeriod(oldestOnPage.issueNumber, oldestMissing)) break;
+    }
+
+    const unresolved = Array.from(missing);
+    if (unresolved.length > 0) {
+        console.warn(`Backfill: ${unresolved.length} period(s) could not be recovered after ${pagesFetched} page(s).`);
+    }
+    return { rows: sortRowsNewestFirst(found), unresolved, pagesFetched };
+}
+
+module.exports = {
+    findMissingPeriods,
+    backfillMissingPeriods,
+    estimatePeriodTimes,
+    isNewerPeriod,
+    mergeUniqueRows,
+    sortRowsNewestFirst
+};
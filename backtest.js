@@ -0,0 +1,300 @@
+// backtest.js - Replays stored game history through the prediction engine
+//
+// Usage:
+//   node backtest.js [file] [--json] [--limit N] [--warmup N] [--seed N] [--with-ml] [--factors LEDGER]
+//                    [--config FILE] [--profile NAME] [--start-time ISO] [--period-ms N]
+//
+//   file          gameData.json (plain or storage envelope) or a CSV with issueNumber,number columns.
+//                 Defaults to gameData.json in RENDER_DISK_PATH (or this directory).
+//   --json        print the full report as JSON instead of the readable summary
+//   --limit N     only replay the most recent N results
+//   --warmup N    replay but do not score the first N settled predictions
+//   --seed N      base seed for the engine's random choices (default 1); each period derives its own seed
+//   --with-ml     enable the ML signals, served by a local model trained on the rows older than the
+//                 replayed ones (so use it together with --limit); without older rows they stay silent
+//   --factors     ledger file (predictions.json, plain or storage envelope) whose recorded external factor
+//                 snapshots are replayed for the periods they were made for; other periods run without factors.
+//                 The archive files it lists are read from the same directory when they are there.
+//   --config      engine config file (see engineConfig.js); ENGINE_CONFIG_OVERRIDES applies on top as on the server
+//   --profile     profile from the config file
+//   --start-time  clock used for the first period (default 2024-01-01T00:00:00Z); each later period
+//   --period-ms   advances it by period-ms (default 60000), unless a row carries its own recordedAt
+//
+// Every run starts from a fresh PredictionEngine and feeds each settled outcome back into the next call
+// exactly as the live server does (including the per-session hit rates that decide which sessions boost),
+// so results only depend on the input file and these options.
+const fs = require('fs');
+const path = require('path');
+const { PredictionEngine, signalRegistry, processPredictionCycle, createMlTrainingSamples, getBigSmallFromNumber } = require('./predictionLogic.js');
+const { loadReplayRows } = require('./dataSources.js');
+const { trainLocalModel } = require('./localModel.js');
+const { readDocumentFile } = require('./storage.js');
+const { resolveEngineConfig, parseOverrides } = require('./engineConfig.js');
+const { learnSessionPerformance } = require('./sessions.js');
+
+const DEFAULT_START_TIME = Date.UTC(2024, 0, 1);
+const DEFAULT_PERIOD_MS = 60000;
+const DEFAULT_SEED = 1;
+const TOP_LOSING_STREAKS = 5;
+
+// --- Report Helpers ---
+function createBucket() {
+    return { total: 0, wins: 0, hitRate: null };
+}
+
+function addToBucket(buckets, key, isWin) {
+    const bucketKey = String(key);
+    if (!buckets[bucketKey]) buckets[bucketKey] = createBucket();
+    buckets[bucketKey].total++;
+    if (isWin) buckets[bucketKey].wins++;
+}
+
+function finalizeBuckets(buckets) {
+    Object.values(buckets).forEach(bucket => {
+        bucket.hitRate = bucket.total > 0 ? bucket.wins / bucket.total : null;
+    });
+    return buckets;
+}
+
+function findLosingStreaks(settled) {
+    const streaks = [];
+    let current = null;
+    settled.forEach(entry => {
+        if (!entry.isWin) {
+            if (!current) current = { length: 0, fromPeriod: entry.period, toPeriod: entry.period };
+            current.length++;
+            current.toPeriod = entry.period;
+        } else if (current) {
+            streaks.push(current);
+            current = null;
+        }
+    });
+    if (current) streaks.push(current);
+    return streaks.sort((a, b) => b.length - a.length).slice(0, TOP_LOSING_STREAKS);
+}
+
+function buildReport(settled, meta) {
+    const wins = settled.filter(entry => entry.isWin).length;
+    const total = settled.length;
+    const hitRate = total > 0 ? wins / total : null;
+    // Normal approximation of the binomial test against a fair coin
+    const zScore = total > 0 ? (wins - total * 0.5) / Math.sqrt(total * 0.25) : null;
+
+    const byConfidenceLevel = {};
+    const byMacroRegime = {};
+    const byForced = {};
+    const bySession = {};
+    const bySignalSource = {};
+    settled.forEach(entry => {
+        addToBucket(byConfidenceLevel, entry.confidenceLevel, entry.isWin);
+        addToBucket(byMacroRegime, entry.macroRegime || 'UNKNOWN', entry.isWin);
+        addToBucket(byForced, entry.isForced ? 'forced' : 'unforced', entry.isWin);
+        addToBucket(bySession, entry.session ? `${entry.session}${entry.sessionBoosted ? ' (boosted)' : ''}` : 'NONE', entry.isWin);
+        entry.signals.forEach(signal => addToBucket(bySignalSource, signal.source, signal.prediction === entry.actualOutcome));
+    });
+
+    return {
+        ...meta,
+        settledPredictions: total,
+        wins,
+        losses: total - wins,
+        hitRate,
+        baseline: 0.5,
+        edgeOverBaseline: hitRate === null ? null : hitRate - 0.5,
+        zScore,
+        byConfidenceLevel: finalizeBuckets(byConfidenceLevel),
+        byMacroRegime: finalizeBuckets(byMacroRegime),
+        byForced: finalizeBuckets(byForced),
+        bySession: finalizeBuckets(bySession),
+        bySignalSource: finalizeBuckets(bySignalSource),
+        longestLosingStreaks: findLosingStreaks(settled)
+    };
+}
+
+// --- Runner ---
+/**
+ * Reads the external factor snapshots recorded in a ledger and its archives.
+ * @returns {Map<string, Object>} Snapshot by the period it was used to predict.
+ */
+function loadRecordedFactors(ledgerFile) {
+    const ledger = readDocumentFile(ledgerFile);
+    const entries = (ledger && ledger.entries) || [];
+    for (const archive of (ledger && ledger.archives) || []) {
+        const archiveFile = path.join(path.dirname(ledgerFile), `${archive.doc}.json`);
+        if (fs.existsSync(archiveFile)) entries.push(...(readDocumentFile(archiveFile).entries || []));
+    }
+    return new Map(entries.filter(entry => entry.externalFactors).map(entry => [String(entry.period), entry.externalFactors]));
+}
+
+/**
+ * Replays results in chronological order and scores every prediction that gets settled.
+ * @param {Array<{issueNumber: string, number: string}>} rows - Upstream rows in any order.
+ * @param {Object} options - limit, warmup, seed, withMl, recordedFactors (from loadRecordedFactors), config (resolved
+ *   engine config), startTime, periodMs.
+ * @returns {Promise<Object>} The backtest report.
+ */
+async function runBacktest(rows, options = {}) {
+    const startTime = options.startTime !== undefined ? options.startTime : DEFAULT_START_TIME;
+    const periodMs = options.periodMs || DEFAULT_PERIOD_MS;
+    const seed = typeof options.seed === 'number' && !isNaN(options.seed) ? options.seed : DEFAULT_SEED;
+    let chronological = rows.slice().sort((a, b) => {
+        const diff = BigInt(a.issueNumber) - BigInt(b.issueNumber);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    });
+    let trainingRows = [];
+    if (options.limit) {
+        trainingRows = chronological.slice(0, -options.limit);
+        chronological = chronological.slice(-options.limit);
+    }
+
+    // The model only ever sees results from before the replayed window, as it would have live
+    const mlModel = options.withMl ? trainLocalModel(createMlTrainingSamples(trainingRows.slice().reverse()), {}) : null;
+
+    let historyData = [];
+    let lastProcessedPeriodId = null;
+    const engine = new PredictionEngine(null, { mlBackend: 'local', mlModel, config: options.config });
+    // Like the server's stored results, the older rows are already in the n-gram counts when the replay starts
+    engine.observeResults(trainingRows.slice().reverse());
+    let sharedStats = {};
+    let systemLosses = 0;
+    let pendingPrediction = null;
+    const settled = [];
+    const sessionOutcomes = []; // Newest first, shaped like the ledger entries learnSessionPerformance reads
+    let factorsReplayed = 0;
+
+    for (let i = 0; i < chronological.length; i++) {
+        const row = chronological[i];
+        const now = row.recordedAt ? new Date(row.recordedAt).getTime() : startTime + i * periodMs;
+        // The prediction made after this row is for the next period, which is what the ledger recorded it under
+        const externalFactors = options.recordedFactors ? options.recordedFactors.get((BigInt(row.issueNumber) + 1n).toString()) || null : null;
+        if (externalFactors) factorsReplayed++;
+        const result = await processPredictionCycle(row, historyData, lastProcessedPeriodId, sharedStats, systemLosses, {
+            engine,
+            now,
+            disableMlSignals: !options.withMl,
+            silent: true,
+            seed,
+            externalFactors
+        });
+        if (!result) continue;
+
+        const record = result.settledRecord;
+        if (pendingPrediction && pendingPrediction.period === record.period && (record.status === 'Win' || record.status === 'Loss')) {
+            const output = pendingPrediction.output;
+            settled.push({
+                period: record.period,
+                isWin: record.status === 'Win',
+                actualOutcome: getBigSmallFromNumber(record.actualNumber),
+                confidenceLevel: output.confidenceLevel,
+                macroRegime: output.currentMacroRegime || output.lastMacroRegime,
+                isForced: Boolean(output.isForcedPrediction),
+                session: output.activeSession ? output.activeSession.id : null,
+                sessionBoosted: Boolean(output.primeTimeSession),
+                rngSeed: output.rngSeed,
+                signals: output.lastPredictionSignals || []
+            });
+            sessionOutcomes.unshift({ session: output.activeSession ? output.activeSession.id : null, status: record.status });
+            const { sessions, sessionLearning } = engine.config.values;
+            engine.setSessionPerformance(learnSessionPerformance(sessionOutcomes, sessions, sessionLearning));
+        }
+
+        historyData = result.updatedHistoryData;
+        lastProcessedPeriodId = result.lastProcessedPeriodId;
+        sharedStats = result.updatedSharedStats;
+        systemLosses = result.updatedSystemLosses;
+        pendingPrediction = { period: result.nextPeriodId, output: result.predictionOutput };
+    }
+
+    const warmup = options.warmup || 0;
+    return buildReport(settled.slice(warmup), {
+        periodsReplayed: chronological.length,
+        firstPeriod: chronological.length > 0 ? chronological[0].issueNumber : null,
+        lastPeriod: chronological.length > 0 ? chronological[chronological.length - 1].issueNumber : null,
+        warmupSkipped: Math.min(warmup, settled.length),
+        seed,
+        mlSignalsEnabled: Boolean(options.withMl),
+        mlModelSamples: mlModel ? mlModel.samples : 0,
+        externalFactorsReplayed: factorsReplayed,
+        configHash: engine.config.hash
+    });
+}
+
+// --- Summary Output ---
+function formatRate(bucket) {
+    return bucket.hitRate === null ? 'n/a' : `${(bucket.hitRate * 100).toFixed(1)}%`;
+}
+
+function formatBuckets(title, buckets) {
+    const lines = [`${title}:`];
+    Object.keys(buckets).sort((a, b) => buckets[b].total - buckets[a].total).forEach(key => {
+        const bucket = buckets[key];
+        lines.push(`  ${key.padEnd(28)} ${formatRate(bucket).padStart(6)}  (${bucket.wins}/${bucket.total})`);
+    });
+    return lines.join('\n');
+}
+
+function formatSummary(report) {
+    const lines = [
+        `Backtest ${report.firstPeriod} .. ${report.lastPeriod} (${report.periodsReplayed} periods, ML signals ${report.mlSignalsEnabled ? `on, model trained on ${report.mlModelSamples} samples` : 'off'}, recorded external factors for ${report.externalFactorsReplayed} period(s))`,
+        `Settled predictions: ${report.settledPredictions} (warm-up skipped: ${report.warmupSkipped}, seed: ${report.seed}, config: ${report.configHash})`,
+        `Hit rate: ${formatRate(report)} vs 50.0% baseline (edge ${report.edgeOverBaseline === null ? 'n/a' : (report.edgeOverBaseline * 100).toFixed(2) + ' pts'}, z=${report.zScore === null ? 'n/a' : report.zScore.toFixed(2)})`,
+        '',
+        formatBuckets('By confidence level', report.byConfidenceLevel),
+        formatBuckets('By macro regime', report.byMacroRegime),
+        formatBuckets('Forced vs unforced', report.byForced),
+        formatBuckets('By session', report.bySession),
+        formatBuckets('By signal source', report.bySignalSource),
+        'Longest losing streaks:'
+    ];
+    report.longestLosingStreaks.forEach(streak => {
+        lines.push(`  ${streak.length} losses: ${streak.fromPeriod} .. ${streak.toPeriod}`);
+    });
+    return lines.join('\n');
+}
+
+// --- CLI ---
+function parseArgs(argv) {
+    const args = { json: false, withMl: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') args.json = true;
+        else if (arg === '--with-ml') args.withMl = true;
+        else if (arg === '--factors') args.factorsFile = argv[++i];
+        else if (arg === '--config') args.configFile = argv[++i];
+        else if (arg === '--profile') args.profile = argv[++i];
+        else if (arg === '--limit') args.limit = parseInt(argv[++i], 10);
+        else if (arg === '--warmup') args.warmup = parseInt(argv[++i], 10);
+        else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+        else if (arg === '--period-ms') args.periodMs = parseInt(argv[++i], 10);
+        else if (arg === '--start-time') args.startTime = new Date(argv[++i]).getTime();
+        else if (!arg.startsWith('--')) args.file = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    return args;
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const args = parseArgs(process.argv.slice(2));
+            const file = args.file || path.join(process.env.RENDER_DISK_PATH || __dirname, 'gameData.json');
+            const recordedFactors = args.factorsFile ? loadRecordedFactors(args.factorsFile) : null;
+            const config = resolveEngineConfig({
+                file: args.configFile ? readDocumentFile(args.configFile) : {},
+                profile: args.profile,
+                overrides: parseOverrides(process.env.ENGINE_CONFIG_OVERRIDES),
+                signalRegistry
+            });
+            const report = await runBacktest(loadReplayRows(file), { ...args, recordedFactors, config });
+            console.log(args.json ? JSON.stringify(report, null, 2) : formatSummary(report));
+        } catch (error) {
+            console.error('Backtest failed:', error.message);
+            process.exitCode = 1;
+        }
+    })();
+}
+
+module.exports = {
+    runBacktest,
+    formatSummary
+};
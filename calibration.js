@@ -0,0 +1,204 @@
+// calibration.js - Maps the engine's raw confidence to a calibrated win probability
+//
+// The calibrator is fitted on settled ledger entries (Win/Loss): x is the raw confidence of the
+// decided side, y is whether the prediction won. Until enough entries are settled it is the identity.
+//
+// Settings:
+//   CALIBRATION_METHOD       - isotonic (default), platt or none
+//   CALIBRATION_MIN_SAMPLES  - settled predictions needed before a fit is used (default 200)
+//   CALIBRATION_WINDOW       - most recent settled predictions used for fitting (default 2000)
+
+const DEFAULT_METHOD = 'isotonic';
+const DEFAULT_MIN_SAMPLES = 200;
+const DEFAULT_WINDOW = 2000;
+const RELIABILITY_BINS = 10;
+const PLATT_ITERATIONS = 50;
+const METHODS = ['isotonic', 'platt', 'none'];
+
+function clampProbability(p) {
+    return Math.min(0.999, Math.max(0.001, p));
+}
+
+function toSamples(entries) {
+    return (entries || [])
+        .filter(entry => (entry.status === 'Win' || entry.status === 'Loss') && typeof entry.confidence === 'number')
+        .map(entry => ({ x: entry.confidence / 100, y: entry.status === 'Win' ? 1 : 0 }));
+}
+
+// --- Isotonic Regression (pool adjacent violators) ---
+function fitIsotonic(samples) {
+    const sorted = samples.slice().sort((a, b) => a.x - b.x);
+    const blocks = [];
+    sorted.forEach(sample => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.maxX === sample.x) {
+            // Tied confidences always share one block, otherwise knots could repeat an x value
+            last.sumX += sample.x;
+            last.sumY += sample.y;
+            last.count++;
+        } else {
+            blocks.push({ sumX: sample.x, sumY: sample.y, count: 1, maxX: sample.x });
+        }
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.sumY / previous.count <= last.sumY / last.count) break;
+            previous.sumX += last.sumX;
+            previous.sumY += last.sumY;
+            previous.count += last.count;
+            previous.maxX = last.maxX;
+            blocks.pop();
+        }
+    });
+    // Each block becomes a knot at its mean confidence; calibrate() interpolates between knots
+    return { knots: blocks.map(block => ({ x: block.sumX / block.count, y: block.sumY / block.count })) };
+}
+
+function applyIsotonic(model, x) {
+    const knots = model.knots;
+    if (x <= knots[0].x) return knots[0].y;
+    if (x >= knots[knots.length - 1].x) return knots[knots.length - 1].y;
+    for (let i = 1; i < knots.length; i++) {
+        if (x <= knots[i].x) {
+            const left = knots[i - 1];
+            const right = knots[i];
+            return left.y + (right.y - left.y) * (x - left.x) / (right.x - left.x);
+        }
+    }
+    return knots[knots.length - 1].y;
+}
+
+// --- Platt Scaling (logistic regression on the logit of the raw confidence) ---
+function logit(p) {
+    const clamped = clampProbability(p);
+    return Math.log(clamped / (1 - clamped));
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function fitPlatt(samples) {
+    // Newton-Raphson on the log-likelihood; starts at the identity mapping (a = 1, b = 0)
+    let a = 1;
+    let b = 0;
+    for (let iteration = 0; iteration < PLATT_ITERATIONS; iteration++) {
+        let gA = 0, gB = 0, hAA = 0, hAB = 0, hBB = 0;
+        samples.forEach(sample => {
+            const f = logit(sample.x);
+            const p = sigmoid(a * f + b);
+            const w = Math.max(p * (1 - p), 1e-9);
+            gA += (sample.y - p) * f;
+            gB += sample.y - p;
+            hAA += w * f * f;
+            hAB += w * f;
+            hBB += w;
+        });
+        const determinant = hAA * hBB - hAB * hAB;
+        if (Math.abs(determinant) < 1e-12) break;
+        const stepA = (hBB * gA - hAB * gB) / determinant;
+        const stepB = (hAA * gB - hAB * gA) / determinant;
+        a += stepA;
+        b += stepB;
+        if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+    }
+    return { a, b };
+}
+
+function applyPlatt(model, x) {
+    return sigmoid(model.a * logit(x) + model.b);
+}
+
+// --- Diagnostics ---
+function brierScore(pairs) {
+    if (pairs.length === 0) return null;
+    return pairs.reduce((sum, pair) => sum + (pair.p - pair.y) ** 2, 0) / pairs.length;
+}
+
+function reliabilityBins(pairs, binCount = RELIABILITY_BINS) {
+    const bins = [];
+    for (let i = 0; i < binCount; i++) {
+        bins.push({ lower: i / binCount, upper: (i + 1) / binCount, count: 0, sumPredicted: 0, wins: 0 });
+    }
+    pairs.forEach(pair => {
+        const bin = bins[Math.min(binCount - 1, Math.floor(pair.p * binCount))];
+        bin.count++;
+        bin.sumPredicted += pair.p;
+        bin.wins += pair.y;
+    });
+    return bins.map(bin => ({
+        lower: bin.lower,
+        upper: bin.upper,
+        count: bin.count,
+        meanPredicted: bin.count > 0 ? bin.sumPredicted / bin.count : null,
+        observedRate: bin.count > 0 ? bin.wins / bin.count : null
+    }));
+}
+
+// --- Calibrator ---
+/**
+ * Fits a calibrator on ledger entries.
+ * @param {Array<Object>} entries - Ledger entries, newest period first.
+ * @param {Object} options - method, minSamples, window.
+ * @returns {Object} Calibrator with calibrate(confidencePercent) -> percent and report().
+ */
+function fitCalibrator(entries, options = {}) {
+    const method = options.method || DEFAULT_METHOD;
+    if (!METHODS.includes(method)) throw new Error(`Unknown CALIBRATION_METHOD "${method}". Expected ${METHODS.join(', ')}.`);
+    const minSamples = options.minSamples !== undefined ? options.minSamples : DEFAULT_MIN_SAMPLES;
+    const samples = toSamples(entries).slice(0, options.window || DEFAULT_WINDOW);
+
+    let activeMethod = method;
+    let model = null;
+    if (method === 'none' || samples.length < minSamples || samples.length === 0) {
+        activeMethod = 'identity';
+    } else if (method === 'isotonic') {
+        model = fitIsotonic(samples);
+    } else {
+        model = fitPlatt(samples);
+    }
+
+    const mapProbability = x => {
+        if (activeMethod === 'isotonic') return applyIsotonic(model, x);
+        if (activeMethod === 'platt') return applyPlatt(model, x);
+        return x;
+    };
+
+    return {
+        method: activeMethod,
+        calibrate(confidencePercent) {
+            if (typeof confidencePercent !== 'number' || isNaN(confidencePercent)) return confidencePercent;
+            return parseFloat((mapProbability(confidencePercent / 100) * 100).toFixed(1));
+        },
+        report() {
+            const raw = samples.map(sample => ({ p: sample.x, y: sample.y }));
+            const calibrated = samples.map(sample => ({ p: mapProbability(sample.x), y: sample.y }));
+            return {
+                requestedMethod: method,
+                method: activeMethod,
+                samples: samples.length,
+                minSamples,
+                model,
+                // Calibrated figures are in-sample: they are measured on the entries the model was fitted on
+                brierScore: { raw: brierScore(raw), calibrated: brierScore(calibrated) },
+                reliability: { raw: reliabilityBins(raw), calibrated: reliabilityBins(calibrated) }
+            };
+        }
+    };
+}
+
+function calibrationOptionsFromEnv(env = process.env) {
+    const minSamples = parseInt(env.CALIBRATION_MIN_SAMPLES, 10);
+    return {
+        method: (env.CALIBRATION_METHOD || DEFAULT_METHOD).toLowerCase(),
+        minSamples: isNaN(minSamples) ? DEFAULT_MIN_SAMPLES : minSamples,
+        window: parseInt(env.CALIBRATION_WINDOW, 10) || DEFAULT_WINDOW
+    };
+}
+
+module.exports = {
+    fitCalibrator,
+    brierScore,
+    reliabilityBins,
+    calibrationOptionsFromEnv
+};
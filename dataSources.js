@@ -0,0 +1,233 @@
+// dataSources.js - Upstream game-result providers for the server main cycle
+//
+// Every provider exposes the same interface:
+//   name                          - short identifier used in logs
+//   fetchPage({ pageNo, pageSize }) -> Promise<Array<{ issueNumber: string, number: string }>> (newest first)
+//   nextCycle()                   - optional, called once at the start of every mainCycle so that
+//                                   replay/mock providers can advance their clock by one period
+//
+// Provider selection (createProviderFromEnv):
+//   UPSTREAM_PROVIDER   http (default) | file | mock
+//   UPSTREAM_URL, UPSTREAM_TYPE_ID, UPSTREAM_PAGE_SIZE, UPSTREAM_LANGUAGE,
+//   UPSTREAM_RANDOM, UPSTREAM_SIGNATURE, UPSTREAM_TIMEOUT_MS   - http provider
+//   REPLAY_FILE, REPLAY_START_INDEX                            - file provider (gameData.json or .csv)
+//   MOCK_SEED, MOCK_START_PERIOD, MOCK_INITIAL_COUNT           - mock provider
+//
+// The server creates one provider per game (games.js) and overrides typeId with the game's own;
+// REPLAY_FILE_<KEY> (e.g. REPLAY_FILE_3M) replays a separate file for that game.
+const fs = require('fs');
+const path = require('path');
+const { readDocumentFile } = require('./storage.js');
+
+const DEFAULT_UPSTREAM_URL = 'https://api.fantasygamesapi.com/api/webapi/GetNoaverageEmerdList';
+const DEFAULT_RANDOM = '4a0522c6ecd8410496260e686be2a57c';
+const DEFAULT_SIGNATURE = '334B5E70A0C9B8918B0B15E517E2069C';
+const DEFAULT_PAGE_SIZE = 10;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// --- Helpers ---
+function toInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? fallback : parsed;
+}
+
+function normalizeRow(row) {
+    if (!row || row.issueNumber === undefined || row.issueNumber === null) return null;
+    const number = toInt(row.number, null);
+    if (number === null || number < 0 || number > 9) return null;
+    return { ...row, issueNumber: String(row.issueNumber), number: String(number) };
+}
+
+function normalizeRows(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows.map(normalizeRow).filter(row => row);
+}
+
+function paginate(rowsNewestFirst, pageNo, pageSize) {
+    const start = (Math.max(1, pageNo) - 1) * pageSize;
+    return rowsNewestFirst.slice(start, start + pageSize);
+}
+
+function comparePeriodsAsc(a, b) {
+    try {
+        const diff = BigInt(a.issueNumber) - BigInt(b.issueNumber);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    } catch (error) {
+        return String(a.issueNumber).localeCompare(String(b.issueNumber));
+    }
+}
+
+// --- HTTP Provider ---
+function createHttpProvider(options = {}) {
+    const config = {
+        url: options.url || DEFAULT_UPSTREAM_URL,
+        typeId: toInt(options.typeId, 1),
+        language: toInt(options.language, 0),
+        random: options.random || DEFAULT_RANDOM,
+        signature: options.signature || DEFAULT_SIGNATURE,
+        pageSize: toInt(options.pageSize, DEFAULT_PAGE_SIZE),
+        timeoutMs: toInt(options.timeoutMs, DEFAULT_TIMEOUT_MS)
+    };
+
+    return {
+        name: `http(typeId:${config.typeId})`,
+        pageSize: config.pageSize,
+        async fetchPage({ pageNo = 1, pageSize = config.pageSize } = {}) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+            try {
+                const response = await fetch(config.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        pageSize,
+                        pageNo,
+                        typeId: config.typeId,
+                        language: config.language,
+                        random: config.random,
+                        signature: config.signature,
+                        timestamp: Math.floor(Date.now() / 1000),
+                    }),
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(`API responded with status: ${response.status}`);
+                }
+
+                const apiData = await response.json();
+                return normalizeRows(apiData && apiData.data && apiData.data.list);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+// --- File Replay Provider ---
+function parseCsvRows(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line);
+    if (lines.length === 0) return [];
+    const header = lines[0].split(',').map(col => col.trim());
+    const periodIndex = header.findIndex(col => col === 'issueNumber' || col === 'period');
+    const numberIndex = header.findIndex(col => col === 'number' || col === 'actualNumber');
+    if (periodIndex === -1 || numberIndex === -1) {
+        throw new Error('CSV replay file needs an issueNumber (or period) and a number column.');
+    }
+    return lines.slice(1).map(line => {
+        const cols = line.split(',').map(col => col.trim());
+        const row = {};
+        header.forEach((col, i) => { row[col] = cols[i]; });
+        row.issueNumber = cols[periodIndex];
+        row.number = cols[numberIndex];
+        return row;
+    });
+}
+
+function loadReplayRows(filePath) {
+    let rows;
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        rows = parseCsvRows(fs.readFileSync(filePath, 'utf8'));
+    } else {
+        const parsed = readDocumentFile(filePath);
+        rows = Array.isArray(parsed) ? parsed : (parsed && parsed.history) || [];
+    }
+    return normalizeRows(rows).sort(comparePeriodsAsc);
+}
+
+function createFileReplayProvider(options = {}) {
+    if (!options.filePath) throw new Error('File replay provider requires a filePath.');
+    const chronologicalRows = loadReplayRows(options.filePath);
+    const pageSize = toInt(options.pageSize, DEFAULT_PAGE_SIZE);
+    // Cursor is the index of the newest row currently "published"; it starts before the first row
+    // so that the first cycle reveals startIndex.
+    let cursor = Math.min(toInt(options.startIndex, pageSize - 1), chronologicalRows.length) - 1;
+    console.log(`Replay provider loaded ${chronologicalRows.length} periods from ${options.filePath}`);
+
+    return {
+        name: `file(${path.basename(options.filePath)})`,
+        pageSize,
+        async nextCycle() {
+            if (cursor < chronologicalRows.length - 1) cursor++;
+            else console.log('Replay provider reached the end of the recorded file.');
+        },
+        async fetchPage({ pageNo = 1, pageSize: size = pageSize } = {}) {
+            if (cursor < 0) return [];
+            const visibleNewestFirst = chronologicalRows.slice(0, cursor + 1).reverse();
+            return paginate(visibleNewestFirst, pageNo, size);
+        },
+        isExhausted() {
+            return cursor >= chronologicalRows.length - 1;
+        }
+    };
+}
+
+// --- Mock Provider ---
+function createMockProvider(options = {}) {
+    let seed = toInt(options.seed, 20240101) % 2147483647;
+    if (seed <= 0) seed += 2147483646;
+    const nextRandom = () => (seed = (seed * 16807) % 2147483647) / 2147483647; // Park-Miller LCG
+    const pageSize = toInt(options.pageSize, DEFAULT_PAGE_SIZE);
+    let nextPeriod = BigInt(options.startPeriod || '20240101100010001');
+    const rowsNewestFirst = [];
+
+    const generate = () => {
+        rowsNewestFirst.unshift({ issueNumber: nextPeriod.toString(), number: String(Math.floor(nextRandom() * 10)) });
+        nextPeriod += 1n;
+    };
+    for (let i = 0; i < toInt(options.initialCount, pageSize - 1); i++) generate();
+
+    return {
+        name: 'mock',
+        pageSize,
+        async nextCycle() {
+            generate();
+        },
+        async fetchPage({ pageNo = 1, pageSize: size = pageSize } = {}) {
+            return paginate(rowsNewestFirst, pageNo, size);
+        }
+    };
+}
+
+// --- Factory ---
+function createProviderFromEnv(env = process.env, overrides = {}) {
+    const kind = (overrides.provider || env.UPSTREAM_PROVIDER || 'http').toLowerCase();
+    const pageSize = overrides.pageSize || env.UPSTREAM_PAGE_SIZE;
+
+    if (kind === 'file') {
+        return createFileReplayProvider({
+            filePath: overrides.filePath || env.REPLAY_FILE,
+            startIndex: overrides.startIndex || env.REPLAY_START_INDEX,
+            pageSize
+        });
+    }
+    if (kind === 'mock') {
+        return createMockProvider({
+            seed: overrides.seed || env.MOCK_SEED,
+            startPeriod: overrides.startPeriod || env.MOCK_START_PERIOD,
+            initialCount: overrides.initialCount || env.MOCK_INITIAL_COUNT,
+            pageSize
+        });
+    }
+    if (kind !== 'http') {
+        throw new Error(`Unknown UPSTREAM_PROVIDER "${kind}". Expected http, file or mock.`);
+    }
+    return createHttpProvider({
+        url: overrides.url || env.UPSTREAM_URL,
+        typeId: overrides.typeId || env.UPSTREAM_TYPE_ID,
+        language: overrides.language || env.UPSTREAM_LANGUAGE,
+        random: overrides.random || env.UPSTREAM_RANDOM,
+        signature: overrides.signature || env.UPSTREAM_SIGNATURE,
+        timeoutMs: overrides.timeoutMs || env.UPSTREAM_TIMEOUT_MS,
+        pageSize
+    });
+}
+
+module.exports = {
+    createHttpProvider,
+    createFileReplayProvider,
+    createMockProvider,
+    createProviderFromEnv,
+    loadReplayRows,
+    normalizeRows
+};
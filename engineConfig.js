@@ -0,0 +1,278 @@
+// engineConfig.js - Validated tuning values for the prediction engine
+//
+// A config is resolved from these layers, later ones winning:
+//   1. the schema defaults below
+//   2. "base" in the config file
+//   3. "profiles.<name>" in the config file for the selected profile
+//   4. ENGINE_CONFIG_OVERRIDES
+// The config file is JSON: { "base": { <section>: { <key>: value } }, "profiles": { "<name>": { ... } } }.
+// Every value is checked against ENGINE_CONFIG_SCHEMA (type and range), unknown sections and keys are
+// rejected, signalParams may only override params a registered signal declares (see signalRegistry.js), and
+// sessions is a whole session schedule (see sessions.js) that replaces the previous layer's schedule.
+//
+// A resolved config is { profile, hash, values }; hash is a short sha256 of the canonical values and is
+// stamped on every prediction, so two predictions with the same hash ran with the same tuning.
+//
+// Settings:
+//   ENGINE_CONFIG_FILE       - JSON config file (default: none, schema defaults only)
+//   ENGINE_CONFIG_PROFILE    - profile to apply from the file (default: none)
+//   ENGINE_CONFIG_OVERRIDES  - comma-separated path=value pairs, e.g. "confidence.highThreshold=0.8,signalParams.rsi.period=21"
+//   ENGINE_CONFIG_WATCH_MS   - how often the file is checked for changes; 0 disables hot reload (default 5000)
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_SESSION_SCHEDULE, normalizeSessionSchedule } = require('./sessions.js');
+
+const DEFAULT_WATCH_MS = 5000;
+
+const ENGINE_CONFIG_SCHEMA = {
+    performance: {
+        window: { type: 'integer', min: 2, max: 1000, default: 30, description: 'Recent observations per signal used for its accuracy' },
+        minObservationsForAdjust: { type: 'integer', min: 1, max: 1000, default: 10, description: 'Observations before a signal weight is adjusted' },
+        maxWeightFactor: { type: 'number', min: 1, max: 10, default: 2.5, description: 'Largest multiplier for a signal weight' },
+        minWeightFactor: { type: 'number', min: 0, max: 1, default: 0.01, description: 'Smallest multiplier for a signal weight' },
+        maxAlphaFactor: { type: 'number', min: 1, max: 10, default: 1.6, description: 'Largest long-term trust factor' },
+        minAlphaFactor: { type: 'number', min: 0, max: 1, default: 0.4, description: 'Smallest long-term trust factor' },
+        alphaUpdateRate: { type: 'number', min: 0, max: 1, default: 0.06, description: 'Rate at which the trust factor follows the adjustment' },
+        minAbsoluteWeight: { type: 'number', min: 0, max: 0.1, default: 0.0003, description: 'Weight below which a signal is ignored' },
+        inactivityPeriodsForDecay: { type: 'integer', min: 1, max: 100000, default: 90, description: 'Inactivity before an adjustment decays back to 1' },
+        decayRate: { type: 'number', min: 0, max: 1, default: 0.025, description: 'Adjustment decay per prediction while inactive' }
+    },
+    probation: {
+        accuracyThreshold: { type: 'number', min: 0, max: 1, default: 0.40, description: 'Recent accuracy below which a signal goes on probation' },
+        minObservations: { type: 'integer', min: 1, max: 1000, default: 15, description: 'Recent observations before probation is considered' },
+        weightCap: { type: 'number', min: 0, max: 10, default: 0.10, description: 'Largest weight factor while on probation' }
+    },
+    regime: {
+        accuracyWindow: { type: 'integer', min: 2, max: 1000, default: 35, description: 'Recent predictions per regime profile used for its accuracy' },
+        learningRateBase: { type: 'number', min: 0, max: 1, default: 0.028, description: 'Base rate at which regime profiles adapt' }
+    },
+    confidence: {
+        highThreshold: { type: 'number', min: 0.5, max: 1, default: 0.78, description: 'Confidence for level 3' },
+        mediumThreshold: { type: 'number', min: 0.5, max: 1, default: 0.65, description: 'Confidence for level 2' },
+        primeTimeHighThreshold: { type: 'number', min: 0.5, max: 1, default: 0.72, description: 'Confidence for level 3 during a proven session (see sessions.js)' },
+        primeTimeMediumThreshold: { type: 'number', min: 0.5, max: 1, default: 0.60, description: 'Confidence for level 2 during a proven session (see sessions.js)' }
+    },
+    uncertainty: {
+        threshold: { type: 'number', min: 0, max: 1000, default: 95, description: 'Uncertainty score that forces a low-confidence prediction' },
+        correctionThreshold: { type: 'number', min: 0, max: 1000, default: 65, description: 'The same cutoff during reflexive correction or drift' }
+    },
+    history: {
+        minConfirmedResults: { type: 'integer', min: 1, max: 300, default: 52, description: 'Settled results needed before signals run' }
+    },
+    sessionLearning: {
+        minSamples: { type: 'integer', min: 1, max: 100000, default: 50, description: 'Settled predictions in a session before its boosts can apply' },
+        window: { type: 'integer', min: 1, max: 100000, default: 500, description: 'Most recent settled predictions per session that are evaluated' },
+        z: { type: 'number', min: 0, max: 5, default: 1.96, description: 'Wilson interval z; the lower bound must beat the 50% baseline' }
+    }
+};
+
+// Relations between keys that the per-key ranges cannot express
+const CROSS_FIELD_RULES = [
+    [values => values.performance.minWeightFactor <= values.performance.maxWeightFactor, 'performance.minWeightFactor must not exceed performance.maxWeightFactor'],
+    [values => values.performance.minAlphaFactor <= values.performance.maxAlphaFactor, 'performance.minAlphaFactor must not exceed performance.maxAlphaFactor'],
+    [values => values.confidence.mediumThreshold <= values.confidence.highThreshold, 'confidence.mediumThreshold must not exceed confidence.highThreshold'],
+    [values => values.confidence.primeTimeMediumThreshold <= values.confidence.primeTimeHighThreshold, 'confidence.primeTimeMediumThreshold must not exceed confidence.primeTimeHighThreshold'],
+    [values => values.uncertainty.correctionThreshold <= values.uncertainty.threshold, 'uncertainty.correctionThreshold must not exceed uncertainty.threshold']
+];
+
+function defaultValues() {
+    const values = { signalParams: {}, sessions: normalizeSessionSchedule(DEFAULT_SESSION_SCHEDULE).schedule };
+    Object.entries(ENGINE_CONFIG_SCHEMA).forEach(([section, keys]) => {
+        values[section] = {};
+        Object.entries(keys).forEach(([key, spec]) => { values[section][key] = spec.default; });
+    });
+    return values;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkValue(path, spec, value) {
+    if (typeof value !== 'number' || !isFinite(value)) return `${path} must be a number`;
+    if (spec.type === 'integer' && !Number.isInteger(value)) return `${path} must be an integer`;
+    if (value < spec.min || value > spec.max) return `${path} must be between ${spec.min} and ${spec.max}`;
+    return null;
+}
+
+// Applies one layer onto values, collecting every problem instead of stopping at the first
+function applyLayer(values, layer, layerName, signalRegistry, errors) {
+    if (layer === undefined) return;
+    if (!isPlainObject(layer)) {
+        errors.push(`${layerName} must be an object`);
+        return;
+    }
+    Object.entries(layer).forEach(([section, entries]) => {
+        if (section === 'sessions') {
+            const { schedule, errors: scheduleErrors } = normalizeSessionSchedule(entries, `${layerName}.sessions`);
+            if (schedule) values.sessions = schedule;
+            errors.push(...scheduleErrors);
+            return;
+        }
+        if (!isPlainObject(entries)) {
+            errors.push(`${layerName}.${section} must be an object`);
+            return;
+        }
+        if (section === 'signalParams') {
+            Object.entries(entries).forEach(([signalId, params]) => {
+                const signal = signalRegistry ? signalRegistry.get(signalId) : null;
+                if (!signal) return errors.push(`${layerName}.signalParams.${signalId} is not a registered signal`);
+                if (!isPlainObject(params)) return errors.push(`${layerName}.signalParams.${signalId} must be an object`);
+                Object.entries(params).forEach(([key, value]) => {
+                    const path = `${layerName}.signalParams.${signalId}.${key}`;
+                    if (!Object.prototype.hasOwnProperty.call(signal.params, key)) return errors.push(`${path} is not a param of ${signalId}`);
+                    if (typeof value !== 'number' || !isFinite(value) || value <= 0) return errors.push(`${path} must be a positive number`);
+                    values.signalParams[signalId] = { ...values.signalParams[signalId], [key]: value };
+                });
+            });
+            return;
+        }
+        const sectionSchema = ENGINE_CONFIG_SCHEMA[section];
+        if (!sectionSchema) return errors.push(`${layerName}.${section} is not a config section`);
+        Object.entries(entries).forEach(([key, value]) => {
+            const spec = sectionSchema[key];
+            if (!spec) return errors.push(`${layerName}.${section}.${key} is not a config key`);
+            const problem = checkValue(`${layerName}.${section}.${key}`, spec, value);
+            if (problem) return errors.push(problem);
+            values[section][key] = value;
+        });
+    });
+}
+
+/**
+ * Parses ENGINE_CONFIG_OVERRIDES ("a.b=1,c.d=2") into a layer.
+ */
+function parseOverrides(text) {
+    const layer = {};
+    String(text || '').split(',').map(pair => pair.trim()).filter(pair => pair).forEach(pair => {
+        const [path, raw] = pair.split('=').map(part => (part || '').trim());
+        const keys = path.split('.');
+        let target = layer;
+        keys.slice(0, -1).forEach(key => {
+            if (!isPlainObject(target[key])) target[key] = {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = raw === '' ? NaN : Number(raw);
+    });
+    return layer;
+}
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (isPlainObject(value)) return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    return JSON.stringify(value);
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') Object.values(value).forEach(deepFreeze);
+    return Object.freeze(value);
+}
+
+/**
+ * Resolves and validates a config from its layers.
+ * @param {Object} [options] - file (parsed config file), profile, overrides (a layer), signalRegistry.
+ * @returns {{profile: string|null, hash: string, values: Object}} Deeply frozen.
+ * @throws {Error} Listing every validation problem.
+ */
+function resolveEngineConfig(options = {}) {
+    const file = options.file || {};
+    const errors = [];
+    const values = defaultValues();
+    if (!isPlainObject(file)) errors.push('config file must be an object');
+    else {
+        const unknown = Object.keys(file).filter(key => key !== 'base' && key !== 'profiles');
+        if (unknown.length > 0) errors.push(`config file has unknown top-level key(s) ${unknown.join(', ')}`);
+        applyLayer(values, file.base, 'base', options.signalRegistry, errors);
+        if (options.profile) {
+            const profile = isPlainObject(file.profiles) ? file.profiles[options.profile] : undefined;
+            if (profile === undefined) errors.push(`profile "${options.profile}" is not defined in the config file`);
+            else applyLayer(values, profile, `profiles.${options.profile}`, options.signalRegistry, errors);
+        }
+    }
+    applyLayer(values, options.overrides, 'overrides', options.signalRegistry, errors);
+    if (errors.length === 0) {
+        CROSS_FIELD_RULES.forEach(([holds, message]) => { if (!holds(values)) errors.push(message); });
+    }
+    if (errors.length > 0) throw new Error(`Invalid engine config: ${errors.join('; ')}`);
+
+    return deepFreeze({
+        profile: options.profile || null,
+        hash: crypto.createHash('sha256').update(canonicalJson(values)).digest('hex').slice(0, 12),
+        values
+    });
+}
+
+// --- Store ---
+/**
+ * Holds the active config and reloads it when the config file changes. A file that fails to parse or
+ * validate is reported and the previous config stays active.
+ * @param {Object} options - file (path), profile, overrides (a layer), signalRegistry, watchMs, onChange(config).
+ */
+function createEngineConfigStore(options = {}) {
+    const load = () => resolveEngineConfig({
+        file: options.file ? JSON.parse(fs.readFileSync(options.file, 'utf8')) : {},
+        profile: options.profile,
+        overrides: options.overrides,
+        signalRegistry: options.signalRegistry
+    });
+    let config = load();
+    let watching = false;
+
+    const store = {
+        current() {
+            return config;
+        },
+        /**
+         * Re-reads the file.
+         * @returns {{changed: boolean, config: Object}|{error: string}}
+         */
+        reload() {
+            let next;
+            try {
+                next = load();
+            } catch (error) {
+                console.error(`Engine config: reload failed, keeping ${config.hash}:`, error.message);
+                return { error: error.message };
+            }
+            const changed = next.hash !== config.hash;
+            config = next;
+            if (changed) {
+                console.log(`Engine config: now ${config.hash}${config.profile ? ` (profile ${config.profile})` : ''}.`);
+                if (options.onChange) options.onChange(config);
+            }
+            return { changed, config };
+        },
+        watch() {
+            if (!options.file || !(options.watchMs > 0) || watching) return;
+            watching = true;
+            fs.watchFile(options.file, { interval: options.watchMs, persistent: false }, (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) store.reload();
+            });
+        }
+    };
+    return store;
+}
+
+function engineConfigOptionsFromEnv(env = process.env) {
+    const watchMs = parseInt(env.ENGINE_CONFIG_WATCH_MS, 10);
+    return {
+        file: env.ENGINE_CONFIG_FILE || null,
+        profile: env.ENGINE_CONFIG_PROFILE || null,
+        overrides: parseOverrides(env.ENGINE_CONFIG_OVERRIDES),
+        watchMs: isNaN(watchMs) ? DEFAULT_WATCH_MS : watchMs
+    };
+}
+
+/** Schema with defaults, for documentation and API responses. */
+function describeEngineConfigSchema() {
+    return JSON.parse(JSON.stringify(ENGINE_CONFIG_SCHEMA));
+}
+
+module.exports = {
+    ENGINE_CONFIG_SCHEMA,
+    resolveEngineConfig,
+    parseOverrides,
+    createEngineConfigStore,
+    engineConfigOptionsFromEnv,
+    describeEngineConfigSchema
+};
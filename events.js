@@ -0,0 +1,149 @@
+// events.js - Push delivery of predictions and results (Server-Sent Events and WebSocket)
+//
+// Event types:
+//   prediction.created - mainCycle produced a prediction for an upcoming period
+//   result.settled     - a period's result arrived (with the prediction's Win/Loss when one was made)
+//
+// Every event carries a numeric id. Ids keep increasing across restarts because the counter starts at
+// the boot time in milliseconds. A client that reconnects with its last id (SSE Last-Event-ID header or
+// lastEventId query parameter, WebSocket lastEventId query parameter) first receives the buffered events
+// after that id. When its id is older than the buffer, the whole buffer is replayed; use /predictions
+// to fill anything older.
+//
+// Settings:
+//   EVENT_BUFFER_SIZE - events kept for resuming clients (default 1000)
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_BUFFER_SIZE = 1000;
+const HEARTBEAT_MS = 25000;
+
+// --- Event Bus ---
+function createEventBus(options = {}) {
+    const bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    const buffer = [];
+    const listeners = new Set();
+    let lastId = options.startId !== undefined ? options.startId : Date.now();
+
+    return {
+        publish(type, data) {
+            const event = { id: ++lastId, type, time: Date.now(), data };
+            buffer.push(event);
+            if (buffer.length > bufferSize) buffer.shift();
+            listeners.forEach(listener => {
+                try {
+                    listener(event);
+                } catch (error) {
+                    console.error('Event listener failed:', error);
+                }
+            });
+            return event;
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        eventsSince(lastEventId) {
+            const since = parseInt(lastEventId, 10);
+            if (isNaN(since)) return [];
+            return buffer.filter(event => event.id > since);
+        }
+    };
+}
+
+// Clients may limit a stream to some games (?game=1m,3m); without the parameter they get every game
+function createGameFilter(gameParam, resolveGameKey) {
+    if (!gameParam) return () => true;
+    const keys = new Set(String(gameParam).split(',').map(value => resolveGameKey(value.trim())));
+    if (keys.has(null)) return null;
+    return event => keys.has(event.data.game);
+}
+
+// --- Server-Sent Events ---
+/**
+ * Express handler streaming bus events as SSE.
+ * @param {Object} bus - From createEventBus.
+ * @param {Object} options - resolveGameKey(keyOrTypeId) -> game key or null.
+ */
+function createSseHandler(bus, options = {}) {
+    return (req, res) => {
+        const matchesGame = createGameFilter(req.query.game, options.resolveGameKey);
+        if (!matchesGame) return res.status(400).json({ error: `Unknown game "${req.query.game}".` });
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = event => {
+            if (!matchesGame(event)) return;
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`);
+        };
+        bus.eventsSince(req.get('Last-Event-ID') || req.query.lastEventId).forEach(send);
+        const unsubscribe = bus.subscribe(send);
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    };
+}
+
+// --- WebSocket ---
+/**
+ * Serves bus events on a WebSocket path of an existing HTTP server. Messages are JSON
+ * { id, type, time, data }; client messages are ignored.
+ * @param {http.Server} httpServer
+ * @param {Object} bus - From createEventBus.
+ * @param {Object} options - path, authenticate(req) -> boolean, resolveGameKey(keyOrTypeId).
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(httpServer, bus, options = {}) {
+    const wsPath = options.path || '/events/ws';
+    const wss = new WebSocketServer({ noServer: true });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+        const reject = (status, message) => {
+            socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+            socket.destroy();
+        };
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== wsPath) return reject(404, 'Not Found');
+        if (options.authenticate && !options.authenticate(req, url)) return reject(401, 'Unauthorized');
+        const matchesGame = createGameFilter(url.searchParams.get('game'), options.resolveGameKey);
+        if (!matchesGame) return reject(400, 'Bad Request');
+
+        wss.handleUpgrade(req, socket, head, ws => {
+            const send = event => {
+                if (matchesGame(event) && ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+            };
+            bus.eventsSince(url.searchParams.get('lastEventId')).forEach(send);
+            const unsubscribe = bus.subscribe(send);
+
+            // Drop connections that stop answering pings
+            let isAlive = true;
+            ws.on('pong', () => { isAlive = true; });
+            const heartbeat = setInterval(() => {
+                if (!isAlive) return ws.terminate();
+                isAlive = false;
+                ws.ping();
+            }, HEARTBEAT_MS);
+
+            ws.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+            });
+            ws.on('error', error => console.error('WebSocket client error:', error.message));
+        });
+    });
+    return wss;
+}
+
+module.exports = {
+    createEventBus,
+    createSseHandler,
+    attachWebSocketServer
+};
@@ -0,0 +1,65 @@
+// externalFactorServer.js - Local HTTP stand-in for external factor providers
+//
+// Usage:
+//   node externalFactorServer.js --file F [--port N]
+//
+//   --file   JSON file mapping factor ids to readings, e.g. { "newsSentiment": { "value": "Positive" } };
+//            re-read on every request, so readings can be edited while the server runs
+//   --port   port to listen on (default 4100)
+//
+// GET /<id> answers { value, observedAt } for that factor (observedAt defaults to now), 404 for unknown ids
+// and 400 for paths that are not valid percent-encoding.
+// Declare the factor with type "http" and url http://localhost:<port>/<id> (see externalFactors.js).
+const fs = require('fs');
+const http = require('http');
+
+function parseArgs(argv) {
+    const args = { port: 4100 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--file') args.file = argv[++i];
+        else if (arg === '--port') args.port = parseInt(argv[++i], 10);
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (!args.file) throw new Error('--file is required');
+    return args;
+}
+
+function startFactorServer(args) {
+    const server = http.createServer((req, res) => {
+        let id;
+        try {
+            id = decodeURIComponent(req.url.split('?')[0].replace(/^\/+/, ''));
+        } catch (error) {
+            console.log(`${new Date().toISOString()} ${req.method} ${req.url} 400`);
+            return res.writeHead(400).end();
+        }
+        let readings;
+        try {
+            readings = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read ${args.file}:`, error.message);
+            return res.writeHead(500).end();
+        }
+        const reading = req.method === 'GET' && Object.prototype.hasOwnProperty.call(readings, id) ? readings[id] : undefined;
+        console.log(`${new Date().toISOString()} ${req.method} /${id} ${reading === undefined ? 404 : 200}`);
+        if (reading === undefined) return res.writeHead(404).end();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ observedAt: Date.now(), ...reading }));
+    });
+    server.listen(args.port, () => console.log(`External factor server listening on http://localhost:${args.port}/<id>`));
+    return server;
+}
+
+if (require.main === module) {
+    try {
+        startFactorServer(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error('External factor server failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    startFactorServer
+};
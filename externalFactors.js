@@ -0,0 +1,182 @@
+// externalFactors.js - Outside information that scales the engine's final confidence
+//
+// Each provider supplies one named factor and declares:
+//   id         - factor name used in logs, the decision trace and the ledger
+//   type       - file | http | disabled
+//   schema     - the value it delivers, either { type: 'number', minimum, maximum } (the value is the score)
+//                or { type: 'string', values: { <label>: <score>, ... } } (the label is mapped to its score)
+//   maxAgeMs   - freshness: a reading observed longer ago than this is ignored (default 3600000)
+//   weight     - confidence multiplier per unit of score: multiplier = 1 + weight * score (default 0.05)
+//   path       - file: JSON file holding { value, observedAt }, re-read on every collection
+//                (observedAt falls back to the file's modification time)
+//   url        - http: GET endpoint answering { value, observedAt }, e.g. externalFactorServer.js
+//                (observedAt falls back to the time of the response)
+//   timeoutMs  - http: request timeout (default 2000)
+//
+// collect() reads every provider once and returns a snapshot:
+//   { collectedAt, factor, factors: [{ id, source, status, value, score, weight, multiplier, observedAt, ageMs, error }] }
+// status is ok, stale, invalid, error or disabled. Only ok readings count: factor is the product of their
+// multipliers, 1 when there are none. The engine only reads the snapshot it is handed (options.externalFactors),
+// and the snapshot is stored with the prediction in the ledger, so backtest.js --factors replays it as it was.
+//
+// Settings:
+//   EXTERNAL_FACTORS_FILE  - JSON file with the list of provider declarations (default: none, no factors)
+const fs = require('fs');
+
+const EXTERNAL_FACTOR_TYPES = ['file', 'http', 'disabled'];
+const DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+const DEFAULT_WEIGHT = 0.05;
+const DEFAULT_TIMEOUT_MS = 2000;
+
+function validateSchema(id, schema) {
+    if (!schema || typeof schema !== 'object') throw new Error(`External factor "${id}" needs a schema.`);
+    if (schema.type === 'number') {
+        if (typeof schema.minimum !== 'number' || typeof schema.maximum !== 'number' || schema.minimum > schema.maximum) {
+            throw new Error(`External factor "${id}" number schema needs minimum <= maximum.`);
+        }
+        return { type: 'number', minimum: schema.minimum, maximum: schema.maximum };
+    }
+    if (schema.type === 'string') {
+        const values = schema.values;
+        if (!values || typeof values !== 'object' || Object.values(values).length === 0 || Object.values(values).some(score => typeof score !== 'number')) {
+            throw new Error(`External factor "${id}" string schema needs a values map of label to numeric score.`);
+        }
+        return { type: 'string', values: { ...values } };
+    }
+    throw new Error(`External factor "${id}" schema type must be number or string.`);
+}
+
+/**
+ * Validates a provider declaration and fills in defaults.
+ * @returns {Object} The normalized declaration.
+ */
+function validateFactorDeclaration(declaration) {
+    if (!declaration || typeof declaration !== 'object') throw new Error('External factor declaration must be an object.');
+    const { id, type } = declaration;
+    if (typeof id !== 'string' || id.length === 0) throw new Error('External factor id must be a non-empty string.');
+    if (!EXTERNAL_FACTOR_TYPES.includes(type)) {
+        throw new Error(`External factor "${id}" has unknown type "${type}". Expected ${EXTERNAL_FACTOR_TYPES.join(', ')}.`);
+    }
+    if (type === 'file' && typeof declaration.path !== 'string') throw new Error(`External factor "${id}" needs a path.`);
+    if (type === 'http' && typeof declaration.url !== 'string') throw new Error(`External factor "${id}" needs a url.`);
+    const weight = declaration.weight === undefined ? DEFAULT_WEIGHT : declaration.weight;
+    const maxAgeMs = declaration.maxAgeMs === undefined ? DEFAULT_MAX_AGE_MS : declaration.maxAgeMs;
+    if (typeof weight !== 'number' || !isFinite(weight)) throw new Error(`External factor "${id}" weight must be a number.`);
+    if (typeof maxAgeMs !== 'number' || !(maxAgeMs > 0)) throw new Error(`External factor "${id}" maxAgeMs must be positive.`);
+    return {
+        id,
+        type,
+        schema: validateSchema(id, declaration.schema),
+        weight,
+        maxAgeMs,
+        path: declaration.path,
+        url: declaration.url,
+        timeoutMs: declaration.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+}
+
+function toTimestamp(value) {
+    if (typeof value === 'number') return value;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+// Returns the score for a value that matches the schema, or null
+function scoreOf(schema, value) {
+    if (schema.type === 'number') {
+        return typeof value === 'number' && isFinite(value) && value >= schema.minimum && value <= schema.maximum ? value : null;
+    }
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(schema.values, value) ? schema.values[value] : null;
+}
+
+// --- Readers ---
+// Each resolves to { value, observedAt } or throws
+async function readFileFactor(declaration) {
+    const stat = fs.statSync(declaration.path);
+    const reading = JSON.parse(fs.readFileSync(declaration.path, 'utf8'));
+    return { value: reading.value, observedAt: reading.observedAt !== undefined ? toTimestamp(reading.observedAt) : stat.mtimeMs };
+}
+
+async function readHttpFactor(declaration, fetchImpl, now) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), declaration.timeoutMs);
+    try {
+        const response = await fetchImpl(declaration.url, { headers: { Accept: 'application/json' }, signal: controller.signal });
+        if (!response.ok) throw new Error(`Responded with status ${response.status}`);
+        const reading = await response.json();
+        return { value: reading.value, observedAt: reading.observedAt !== undefined ? toTimestamp(reading.observedAt) : now };
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Timed out after ${declaration.timeoutMs}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// --- Collector ---
+/**
+ * @param {Array<Object>} declarations - Provider declarations (see the header).
+ * @param {Object} [options] - fetch: fetch implementation (defaults to the global fetch).
+ * @returns {{collect(now?: number): Promise<Object>, describe(): Array<Object>}}
+ */
+function createExternalFactorCollector(declarations = [], options = {}) {
+    const providers = declarations.map(validateFactorDeclaration);
+    const duplicate = providers.find((provider, index) => providers.findIndex(p => p.id === provider.id) !== index);
+    if (duplicate) throw new Error(`External factor "${duplicate.id}" is declared more than once.`);
+    const fetchImpl = options.fetch || fetch;
+
+    async function read(provider, now) {
+        const source = provider.type === 'file' ? `file:${provider.path}` : provider.type === 'http' ? `http:${provider.url}` : 'disabled';
+        const factor = { id: provider.id, source, status: 'disabled', value: null, score: null, weight: provider.weight, multiplier: 1, observedAt: null, ageMs: null, error: null };
+        if (provider.type === 'disabled') return factor;
+        try {
+            const reading = provider.type === 'file' ? await readFileFactor(provider) : await readHttpFactor(provider, fetchImpl, now);
+            factor.value = reading.value;
+            factor.observedAt = reading.observedAt;
+            factor.ageMs = reading.observedAt === null ? null : Math.max(0, now - reading.observedAt);
+            factor.score = scoreOf(provider.schema, reading.value);
+            if (factor.score === null || reading.observedAt === null) factor.status = 'invalid';
+            else if (factor.ageMs > provider.maxAgeMs) factor.status = 'stale';
+            else {
+                factor.status = 'ok';
+                factor.multiplier = Math.max(0, 1 + provider.weight * factor.score);
+            }
+        } catch (error) {
+            factor.status = 'error';
+            factor.error = error.message;
+        }
+        return factor;
+    }
+
+    return {
+        async collect(now = Date.now()) {
+            const factors = await Promise.all(providers.map(provider => read(provider, now)));
+            return {
+                collectedAt: now,
+                factor: factors.filter(f => f.status === 'ok').reduce((product, f) => product * f.multiplier, 1),
+                factors
+            };
+        },
+        /** Declarations as loaded, for logs and API responses. */
+        describe() {
+            return providers.map(provider => ({ ...provider }));
+        }
+    };
+}
+
+/**
+ * Builds the collector from EXTERNAL_FACTORS_FILE; without it the collector has no providers.
+ */
+function createExternalFactorCollectorFromEnv(env = process.env, options = {}) {
+    if (!env.EXTERNAL_FACTORS_FILE) return createExternalFactorCollector([], options);
+    const declarations = JSON.parse(fs.readFileSync(env.EXTERNAL_FACTORS_FILE, 'utf8'));
+    if (!Array.isArray(declarations)) throw new Error('EXTERNAL_FACTORS_FILE must contain a list of factor declarations.');
+    return createExternalFactorCollector(declarations, options);
+}
+
+module.exports = {
+    EXTERNAL_FACTOR_TYPES,
+    validateFactorDeclaration,
+    createExternalFactorCollector,
+    createExternalFactorCollectorFromEnv
+};
@@ -0,0 +1,85 @@
+// games.js - Catalog of the upstream game variants the server tracks
+//
+// Each game has its own upstream typeId, history, engine state and poll schedule.
+//
+// Settings:
+//   GAMES   comma-separated list of game keys to run, optionally with overrides as key:typeId:pollMs:periodMs
+//           (default "1m,3m,5m"). Known keys: 1m (typeId 1), 3m (typeId 2), 5m (typeId 3), whose periods last
+//           1, 3 and 5 minutes; other keys need a typeId and default to 60000 ms periods.
+//           The first game in the list is the default for requests without a game parameter.
+//
+// The 1m game keeps the original document names (gameData, appState, predictions, mlModel) so existing
+// data is picked up unchanged; other games store gameData-<key>, appState-<key>, predictions-<key> and mlModel-<key>.
+
+const KNOWN_GAMES = {
+    '1m': { typeId: 1, pollMs: 30000, periodMs: 60000 },
+    '3m': { typeId: 2, pollMs: 60000, periodMs: 180000 },
+    '5m': { typeId: 3, pollMs: 60000, periodMs: 300000 }
+};
+const DEFAULT_GAMES = '1m,3m,5m';
+const LEGACY_GAME_KEY = '1m';
+
+function toInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? fallback : parsed;
+}
+
+function createGame(key, typeId, pollMs, periodMs) {
+    const suffix = key === LEGACY_GAME_KEY ? '' : `-${key}`;
+    return {
+        key,
+        typeId,
+        pollMs,
+        periodMs, // How long one period lasts; dates periods replayed after a backfill
+        gameDataDoc: `gameData${suffix}`,
+        appStateDoc: `appState${suffix}`,
+        ledgerDoc: `predictions${suffix}`,
+        mlModelDoc: `mlModel${suffix}`
+    };
+}
+
+/**
+ * Parses the GAMES setting into game definitions.
+ * @param {Object} env - Environment variables.
+ * @returns {Array<Object>} Games in configured order; the first one is the default.
+ */
+function loadGamesFromEnv(env = process.env) {
+    const entries = String(env.GAMES || DEFAULT_GAMES).split(',').map(entry => entry.trim()).filter(entry => entry);
+    const games = entries.map(entry => {
+        const [key, typeId, pollMs, periodMs] = entry.split(':').map(part => part.trim());
+        const known = KNOWN_GAMES[key];
+        if (!known && typeId === undefined) {
+            throw new Error(`Unknown game "${key}" in GAMES. Use one of ${Object.keys(KNOWN_GAMES).join(', ')} or key:typeId:pollMs.`);
+        }
+        const defaults = known || { pollMs: 30000, periodMs: 60000 };
+        return createGame(key, toInt(typeId, defaults.typeId), toInt(pollMs, defaults.pollMs), toInt(periodMs, defaults.periodMs));
+    });
+
+    if (games.length === 0) throw new Error('GAMES must list at least one game.');
+    const keys = new Set();
+    const typeIds = new Set();
+    games.forEach(game => {
+        if (keys.has(game.key) || typeIds.has(game.typeId)) {
+            throw new Error(`Game "${game.key}" (typeId ${game.typeId}) is listed more than once in GAMES.`);
+        }
+        keys.add(game.key);
+        typeIds.add(game.typeId);
+    });
+    return games;
+}
+
+/**
+ * Finds a game by key ("3m") or upstream typeId ("2").
+ * @returns {Object|null}
+ */
+function findGame(games, keyOrTypeId) {
+    if (keyOrTypeId === undefined || keyOrTypeId === null || keyOrTypeId === '') return games[0];
+    const value = String(keyOrTypeId).trim();
+    return games.find(game => game.key === value || String(game.typeId) === value) || null;
+}
+
+module.exports = {
+    KNOWN_GAMES,
+    loadGamesFromEnv,
+    findGame
+};
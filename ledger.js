@@ -0,0 +1,286 @@
+// ledger.js - Persistent record of every prediction the server has published
+//
+// The ledger is stored per game next to gameData. Each entry is created when a prediction is made and settled
+// once the result for its period arrives, including results recovered later by a backfill.
+//
+// Only the newest entries live in the ledger document itself, { entries, archives } with entries newest period
+// first, which is rewritten on every cycle. Once it holds more than LEDGER_LIVE_ENTRIES entries, its older half
+// moves to an archive document "<ledger>-archive-<n>" ({ entries }) that is written once and then left alone;
+// archives lists them newest first as { doc, seq, count, newestPeriod, oldestPeriod, archivedAt }. Archived
+// entries are long settled or voided and are not settled again. When the live and archived entries together
+// would exceed LEDGER_MAX_ENTRIES, the oldest archive is dropped and its document reused for the next one.
+//
+// Entry statuses:
+//   Pending  - waiting for the period's result
+//   Win/Loss - settled against the upstream result
+//   Void     - reconciliation gave up: the result never appeared within LEDGER_RECONCILE_PERIODS periods.
+//              A Void entry is still settled if the result turns up later.
+//
+// Settings:
+//   LEDGER_MAX_ENTRIES        - entries kept per game, live and archived, oldest dropped first (default 20000, 0 = unlimited)
+//   LEDGER_LIVE_ENTRIES       - entries kept in the ledger document before its older half is archived (default 1000)
+//   LEDGER_RECONCILE_PERIODS  - how far the latest result may run ahead of a pending period before it is voided (default 20)
+
+const DEFAULT_MAX_ENTRIES = 20000;
+const DEFAULT_LIVE_ENTRIES = 1000;
+const DEFAULT_RECONCILE_PERIODS = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const LEDGER_STATUSES = ['Pending', 'Win', 'Loss', 'Void'];
+
+function toPeriodBigInt(period) {
+    try {
+        return BigInt(String(period));
+    } catch (error) {
+        return null;
+    }
+}
+
+function compareEntriesDesc(a, b) {
+    const diff = (toPeriodBigInt(b.period) || 0n) - (toPeriodBigInt(a.period) || 0n);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
+
+function outcomeFromNumber(number) {
+    const value = parseInt(number, 10);
+    if (isNaN(value) || value < 0 || value > 9) return null;
+    return value >= 5 ? 'BIG' : 'SMALL';
+}
+
+function createLedger() {
+    return { entries: [], archives: [] };
+}
+
+/**
+ * Builds a ledger entry from a processPredictionCycle result.
+ * @param {Object} result - Cycle result (nextPeriodId, nextPeriodPrediction, predictionOutput, ...).
+ * @param {number} createdAt - Time the prediction was made (ms).
+ * @returns {Object|null} Null when the cycle produced no next period.
+ */
+function createLedgerEntry(result, createdAt = Date.now()) {
+    if (!result || !result.nextPeriodId) return null;
+    const output = result.predictionOutput || {};
+    return {
+        period: String(result.nextPeriodId),
+        createdAt,
+        decision: result.nextPeriodPrediction,
+        predictedNumber: result.nextPeriodPredictedNumber,
+        confidence: result.nextPeriodConfidence,
+        confidenceLevel: output.confidenceLevel,
+        isForced: Boolean(output.isForcedPrediction),
+        pqs: typeof output.predictionQualityScore === 'number' ? output.predictionQualityScore : null,
+        source: output.source || null,
+        macroRegime: output.currentMacroRegime || null,
+        entropyState: output.marketEntropyState || null,
+        localHour: typeof output.localHour === 'number' ? output.localHour : null,
+        timezone: output.timezone || null,
+        session: output.activeSession ? output.activeSession.id : null,
+        sessionBoosted: Boolean(output.primeTimeSession),
+        externalFactors: output.externalFactors || null,
+        signals: (output.contributingSignals || []).map(signal => ({
+            source: signal.source,
+            prediction: signal.prediction,
+            weight: parseFloat(signal.weight)
+        })),
+        rngSeed: output.rngSeed,
+        configHash: output.configHash || null,
+        status: 'Pending',
+        actualNumber: null,
+        actualOutcome: null,
+        settledAt: null
+    };
+}
+
+/**
+ * Adds (or replaces) the entry for a period at its place in the newest-first order.
+ */
+function recordPrediction(ledger, entry) {
+    if (!entry) return ledger;
+    const existing = ledger.entries.findIndex(e => e.period === entry.period);
+    if (existing !== -1) {
+        // A settled entry is history; only a still-open prediction may be replaced (e.g. after a restart)
+        if (ledger.entries[existing].status !== 'Pending') return ledger;
+        ledger.entries.splice(existing, 1);
+    }
+    // New predictions are almost always for the newest period, so the search rarely gets past the first entry
+    let index = 0;
+    while (index < ledger.entries.length && compareEntriesDesc(ledger.entries[index], entry) < 0) index++;
+    ledger.entries.splice(index, 0, entry);
+    return ledger;
+}
+
+/**
+ * Moves the older half of a live ledger that has outgrown liveEntries into archives (see the top of this file)
+ * and drops the archives maxEntries has no room for.
+ * @param {Object} ledger - The live ledger; its entries and archives are updated in place.
+ * @param {string} ledgerDoc - Name of the live document; archives are named after it.
+ * @param {Object} options - maxEntries, liveEntries.
+ * @returns {Array<{doc: string, entries: Array<Object>}>} Archive documents to write before the live ledger is saved.
+ */
+function archiveLedger(ledger, ledgerDoc, options = {}) {
+    const maxEntries = options.maxEntries !== undefined ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+    const configuredLive = options.liveEntries > 0 ? options.liveEntries : DEFAULT_LIVE_ENTRIES;
+    const liveEntries = maxEntries > 0 ? Math.min(configuredLive, maxEntries) : configuredLive;
+    if (ledger.entries.length <= liveEntries) return [];
+
+    const chunkSize = Math.ceil(liveEntries / 2);
+    // Archive slots that fit next to a full live document; their names are reused in turn
+    const slots = maxEntries > 0 ? Math.floor((maxEntries - liveEntries) / chunkSize) : Infinity;
+    ledger.archives = ledger.archives || [];
+    const written = [];
+    while (ledger.entries.length > liveEntries) {
+        const entries = ledger.entries.splice(ledger.entries.length - chunkSize);
+        if (slots === 0) continue;
+        const seq = (ledger.archiveSeq || 0) + 1;
+        ledger.archiveSeq = seq;
+        const doc = `${ledgerDoc}-archive-${slots === Infinity ? seq : ((seq - 1) % slots) + 1}`;
+        const archive = {
+            doc,
+            seq,
+            count: entries.length,
+            newestPeriod: entries[0].period,
+            oldestPeriod: entries[entries.length - 1].period,
+            archivedAt: options.now || Date.now()
+        };
+        ledger.archives = [archive, ...ledger.archives.filter(existing => existing.doc !== doc)].slice(0, slots);
+        const pending = written.findIndex(existing => existing.doc === doc);
+        if (pending !== -1) written.splice(pending, 1);
+        written.push({ doc, entries });
+    }
+    return written;
+}
+
+/**
+ * Settles Pending and Void entries against upstream rows.
+ * @param {Object} ledger
+ * @param {Array<{issueNumber: string, number: string}>} rows - Results in any order.
+ * @param {number} settledAt
+ * @returns {Array<Object>} The entries that were settled by this call.
+ */
+function settleLedger(ledger, rows, settledAt = Date.now()) {
+    const byPeriod = new Map();
+    (rows || []).forEach(row => {
+        if (row && row.issueNumber !== undefined && outcomeFromNumber(row.number)) byPeriod.set(String(row.issueNumber), row);
+    });
+    const settled = [];
+    ledger.entries.forEach(entry => {
+        if (entry.status !== 'Pending' && entry.status !== 'Void') return;
+        const row = byPeriod.get(entry.period);
+        if (!row) return;
+        entry.actualNumber = parseInt(row.number, 10);
+        entry.actualOutcome = outcomeFromNumber(row.number);
+        entry.status = entry.actualOutcome === entry.decision ? 'Win' : 'Loss';
+        entry.settledAt = settledAt;
+        delete entry.voidReason;
+        settled.push(entry);
+    });
+    return settled;
+}
+
+/**
+ * Voids pending entries whose result should long have arrived.
+ * @param {Object} ledger
+ * @param {string} latestIssueNumber - Newest period with a known result.
+ * @param {Object} options - reconcilePeriods, now.
+ * @returns {Array<Object>} The entries voided by this call.
+ */
+function reconcileLedger(ledger, latestIssueNumber, options = {}) {
+    const latest = toPeriodBigInt(latestIssueNumber);
+    if (latest === null) return [];
+    const reconcilePeriods = BigInt(options.reconcilePeriods !== undefined ? options.reconcilePeriods : DEFAULT_RECONCILE_PERIODS);
+    const voided = [];
+    ledger.entries.forEach(entry => {
+        const period = toPeriodBigInt(entry.period);
+        if (entry.status !== 'Pending' || period === null) return;
+        if (latest - period >= reconcilePeriods) {
+            entry.status = 'Void';
+            entry.voidReason = 'NoResult';
+            entry.settledAt = options.now || Date.now();
+            voided.push(entry);
+        }
+    });
+    return voided;
+}
+
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const asNumber = Number(value);
+    const time = isNaN(asNumber) ? new Date(value).getTime() : asNumber;
+    return isNaN(time) ? undefined : time;
+}
+
+/**
+ * Validates /predictions query parameters.
+ * @param {Object} query - from, to (ISO date or ms), outcome, level (comma-separated), page, pageSize.
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parseLedgerQuery(query = {}) {
+    const from = parseTime(query.from);
+    const to = parseTime(query.to);
+    if (from === undefined || to === undefined) return { error: 'from and to must be ISO dates or millisecond timestamps.' };
+
+    let statuses = null;
+    if (query.outcome) {
+        statuses = String(query.outcome).split(',').map(value => {
+            const normalized = value.trim().toLowerCase();
+            return LEDGER_STATUSES.find(status => status.toLowerCase() === normalized);
+        });
+        if (statuses.some(status => !status)) return { error: `outcome must be one of ${LEDGER_STATUSES.join(', ')}.` };
+    }
+
+    let levels = null;
+    if (query.level) {
+        levels = String(query.level).split(',').map(value => parseInt(value, 10));
+        if (levels.some(level => isNaN(level))) return { error: 'level must be a comma-separated list of confidence levels.' };
+    }
+
+    const page = parseInt(query.page, 10) || 1;
+    const pageSize = parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE;
+    if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) return { error: `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}.` };
+
+    return { filters: { from, to, statuses, levels, page, pageSize } };
+}
+
+/**
+ * Filters and paginates the ledger, newest period first.
+ */
+function queryLedger(ledger, filters = {}) {
+    const page = filters.page || 1;
+    const pageSize = filters.pageSize || DEFAULT_PAGE_SIZE;
+    const matching = ledger.entries.filter(entry =>
+        (filters.from === null || filters.from === undefined || entry.createdAt >= filters.from) &&
+        (filters.to === null || filters.to === undefined || entry.createdAt <= filters.to) &&
+        (!filters.statuses || filters.statuses.includes(entry.status)) &&
+        (!filters.levels || filters.levels.includes(entry.confidenceLevel))
+    );
+    return {
+        page,
+        pageSize,
+        total: matching.length,
+        totalPages: Math.ceil(matching.length / pageSize),
+        predictions: matching.slice((page - 1) * pageSize, page * pageSize)
+    };
+}
+
+function ledgerOptionsFromEnv(env = process.env) {
+    const maxEntries = parseInt(env.LEDGER_MAX_ENTRIES, 10);
+    const liveEntries = parseInt(env.LEDGER_LIVE_ENTRIES, 10);
+    const reconcilePeriods = parseInt(env.LEDGER_RECONCILE_PERIODS, 10);
+    return {
+        maxEntries: isNaN(maxEntries) ? DEFAULT_MAX_ENTRIES : maxEntries,
+        liveEntries: liveEntries > 0 ? liveEntries : DEFAULT_LIVE_ENTRIES,
+        reconcilePeriods: isNaN(reconcilePeriods) ? DEFAULT_RECONCILE_PERIODS : reconcilePeriods
+    };
+}
+
+module.exports = {
+    createLedger,
+    createLedgerEntry,
+    recordPrediction,
+    archiveLedger,
+    settleLedger,
+    reconcileLedger,
+    parseLedgerQuery,
+    queryLedger,
+    ledgerOptionsFromEnv
+};
@@ -0,0 +1,312 @@
+// llmProviders.js - LLM-backed predictions for the ml_standard / ml_volatile signals
+//
+// A provider turns one structured request into one JSON answer:
+//   provider.complete({ model, modelType, features, schema, signal }) -> Promise<Object>
+// Providers:
+//   gemini - Google Generative Language API with a response JSON schema (needs LLM_API_KEY)
+//   mock   - deterministic local answers derived from the features; no network, for tests and development
+//
+// The client around a provider adds what the engine needs from a remote call: a timeout per attempt,
+// retries with exponential backoff for timeouts, network errors, 429 and 5xx responses, validation of
+// the answer against PREDICTION_SCHEMA, a concurrency limit per model type (Standard and Volatile never
+// block each other; extra calls for the same type wait for a slot), and a cache keyed by a hash of the
+// model, model type and features.
+//
+// Settings:
+//   LLM_PROVIDER        - gemini (default) or mock
+//   LLM_API_KEY         - API key for the gemini provider
+//   LLM_MODEL           - model name (default gemini-2.0-flash)
+//   LLM_TIMEOUT_MS      - per-attempt timeout (default 8000)
+//   LLM_MAX_RETRIES     - retries after the first attempt (default 2)
+//   LLM_RETRY_BASE_MS   - delay before the first retry; doubles on every retry (default 500)
+//   LLM_CONCURRENCY     - calls in flight per model type (default 1)
+//   LLM_CACHE_SIZE      - cached answers kept, least recently used dropped first (default 500)
+//   LLM_CACHE_TTL_MS    - how long a cached answer is reused (default 600000)
+const crypto = require('crypto');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+const LLM_PROVIDERS = ['gemini', 'mock'];
+const DEFAULTS = {
+    timeoutMs: 8000,
+    maxRetries: 2,
+    retryBaseMs: 500,
+    concurrency: 1,
+    cacheSize: 500,
+    cacheTtlMs: 10 * 60 * 1000
+};
+
+// Structured output every provider must return
+const PREDICTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        prediction: { type: 'string', enum: ['BIG', 'SMALL'] },
+        confidence: { type: 'number', minimum: 0.5, maximum: 1.0 }
+    },
+    required: ['prediction', 'confidence']
+};
+
+class LlmError extends Error {
+    constructor(message, { retryable = false, status = null } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+// Checks the subset of JSON schema PREDICTION_SCHEMA uses (object, string enum, number range, required)
+function validateAgainstSchema(value, schema) {
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected an object';
+        const missing = (schema.required || []).find(key => value[key] === undefined);
+        if (missing) return `missing "${missing}"`;
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] === undefined) continue;
+            const problem = validateAgainstSchema(value[key], propertySchema);
+            if (problem) return `"${key}": ${problem}`;
+        }
+        return null;
+    }
+    if (schema.type === 'string') {
+        if (typeof value !== 'string') return 'expected a string';
+        if (schema.enum && !schema.enum.includes(value)) return `expected one of ${schema.enum.join(', ')}`;
+        return null;
+    }
+    if (schema.type === 'number') {
+        if (typeof value !== 'number' || !isFinite(value)) return 'expected a number';
+        if (schema.minimum !== undefined && value < schema.minimum) return `below ${schema.minimum}`;
+        if (schema.maximum !== undefined && value > schema.maximum) return `above ${schema.maximum}`;
+        return null;
+    }
+    return null;
+}
+
+function buildPrompt(modelType, features) {
+    return [
+        'You are a prediction model for game outcomes.',
+        'Based on the following features, predict whether the next outcome will be "BIG" or "SMALL",',
+        'with a confidence between 0.5 and 1.0.',
+        modelType === 'Volatile' ? 'Focus on volatility and mean reversion.' : 'Focus on trend and momentum indicators.',
+        '',
+        `Features:\n${JSON.stringify(features, null, 2)}`
+    ].join('\n');
+}
+
+// --- Providers ---
+// Gemini's responseSchema is an OpenAPI subset with upper-case type names
+function toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.properties) {
+        converted.properties = {};
+        Object.entries(schema.properties).forEach(([key, value]) => { converted.properties[key] = toGeminiSchema(value); });
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+}
+
+function createGeminiProvider(options = {}) {
+    if (!options.apiKey) throw new Error('LLM_API_KEY is required for the gemini LLM provider.');
+    const fetchImpl = options.fetch || fetch;
+    const baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+    return {
+        name: 'gemini',
+        async complete({ model, modelType, features, schema, signal }) {
+            let response;
+            try {
+                response = await fetchImpl(`${baseUrl}/models/${encodeURIComponent(model)}:generateContent`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': options.apiKey },
+                    body: JSON.stringify({
+                        contents: [{ role: 'user', parts: [{ text: buildPrompt(modelType, features) }] }],
+                        generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) }
+                    }),
+                    signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new LlmError(`Network error: ${error.message}`, { retryable: true });
+            }
+            if (!response.ok) {
+                throw new LlmError(`Gemini responded with status ${response.status}`, {
+                    retryable: response.status === 429 || response.status >= 500,
+                    status: response.status
+                });
+            }
+            const result = await response.json();
+            const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (typeof text !== 'string') throw new LlmError('Gemini response has no candidate text.');
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new LlmError('Gemini returned text that is not JSON.');
+            }
+        }
+    };
+}
+
+// Answers from a hash of the features, so the same features always get the same answer
+function createMockProvider(options = {}) {
+    return {
+        name: 'mock',
+        async complete({ model, modelType, features }) {
+            if (options.latencyMs) await new Promise(resolve => setTimeout(resolve, options.latencyMs));
+            const digest = crypto.createHash('sha256').update(`${model}|${modelType}|${JSON.stringify(features)}`).digest();
+            return {
+                prediction: digest[0] % 2 === 0 ? 'BIG' : 'SMALL',
+                confidence: parseFloat((0.5 + (digest[1] / 255) * 0.3).toFixed(3))
+            };
+        }
+    };
+}
+
+function createLlmProvider(name, options = {}) {
+    if (name === 'gemini') return createGeminiProvider(options);
+    if (name === 'mock') return createMockProvider(options);
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected ${LLM_PROVIDERS.join(', ')}.`);
+}
+
+// --- Client ---
+function createSemaphore(limit) {
+    let active = 0;
+    const waiting = [];
+    return {
+        async acquire() {
+            if (active < limit) {
+                active++;
+                return;
+            }
+            await new Promise(resolve => waiting.push(resolve));
+        },
+        release() {
+            const next = waiting.shift();
+            if (next) next(); // The slot passes straight to the next caller
+            else active--;
+        }
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.provider - From createLlmProvider.
+ * @param {string} [options.model]
+ * @returns {{predict(modelType: string, features: Object): Promise<{prediction: string, confidence: number, cached: boolean}|null>, stats(): Object}}
+ */
+function createLlmClient(options = {}) {
+    const provider = options.provider;
+    const model = options.model || DEFAULT_MODEL;
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (typeof options[key] === 'number' && !isNaN(options[key])) settings[key] = options[key];
+    });
+    const semaphores = new Map();
+    const cache = new Map(); // Insertion order doubles as recency order
+    const counters = { requests: 0, cacheHits: 0, failures: 0, retries: 0 };
+
+    const semaphoreFor = modelType => {
+        if (!semaphores.has(modelType)) semaphores.set(modelType, createSemaphore(Math.max(1, settings.concurrency)));
+        return semaphores.get(modelType);
+    };
+
+    const cacheKeyOf = (modelType, features) => crypto.createHash('sha256')
+        .update(JSON.stringify([provider.name, model, modelType, features]))
+        .digest('hex');
+
+    const readCache = key => {
+        const hit = cache.get(key);
+        if (!hit) return null;
+        cache.delete(key);
+        if (Date.now() - hit.storedAt > settings.cacheTtlMs) return null;
+        cache.set(key, hit);
+        return hit.answer;
+    };
+
+    const writeCache = (key, answer) => {
+        if (settings.cacheSize <= 0) return;
+        cache.set(key, { answer, storedAt: Date.now() });
+        while (cache.size > settings.cacheSize) cache.delete(cache.keys().next().value);
+    };
+
+    async function attempt(modelType, features) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+        try {
+            const answer = await provider.complete({ model, modelType, features, schema: PREDICTION_SCHEMA, signal: controller.signal });
+            const problem = validateAgainstSchema(answer, PREDICTION_SCHEMA);
+            if (problem) throw new LlmError(`Answer does not match the schema: ${problem}`);
+            return { prediction: answer.prediction, confidence: answer.confidence };
+        } catch (error) {
+            if (error.name === 'AbortError') throw new LlmError(`Timed out after ${settings.timeoutMs}ms`, { retryable: true });
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {
+        async predict(modelType, features) {
+            counters.requests++;
+            const key = cacheKeyOf(modelType, features);
+            const cached = readCache(key);
+            if (cached) {
+                counters.cacheHits++;
+                return { ...cached, cached: true };
+            }
+
+            const semaphore = semaphoreFor(modelType);
+            await semaphore.acquire();
+            try {
+                for (let attemptNo = 0; ; attemptNo++) {
+                    try {
+                        const answer = await attempt(modelType, features);
+                        writeCache(key, answer);
+                        return { ...answer, cached: false };
+                    } catch (error) {
+                        if (!error.retryable || attemptNo >= settings.maxRetries) throw error;
+                        counters.retries++;
+                        await new Promise(resolve => setTimeout(resolve, settings.retryBaseMs * 2 ** attemptNo));
+                    }
+                }
+            } catch (error) {
+                counters.failures++;
+                console.error(`LLM ${provider.name}/${model} (${modelType}) failed:`, error.message);
+                return null;
+            } finally {
+                semaphore.release();
+            }
+        },
+        stats() {
+            return { provider: provider.name, model, ...counters, cacheEntries: cache.size };
+        }
+    };
+}
+
+function llmOptionsFromEnv(env = process.env) {
+    return {
+        provider: (env.LLM_PROVIDER || 'gemini').toLowerCase(),
+        apiKey: env.LLM_API_KEY || '',
+        model: env.LLM_MODEL || DEFAULT_MODEL,
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10),
+        maxRetries: parseInt(env.LLM_MAX_RETRIES, 10),
+        retryBaseMs: parseInt(env.LLM_RETRY_BASE_MS, 10),
+        concurrency: parseInt(env.LLM_CONCURRENCY, 10),
+        cacheSize: parseInt(env.LLM_CACHE_SIZE, 10),
+        cacheTtlMs: parseInt(env.LLM_CACHE_TTL_MS, 10)
+    };
+}
+
+/** Builds the configured provider and client in one step. */
+function createLlmClientFromEnv(env = process.env) {
+    const options = llmOptionsFromEnv(env);
+    return createLlmClient({ ...options, provider: createLlmProvider(options.provider, options) });
+}
+
+module.exports = {
+    PREDICTION_SCHEMA,
+    LlmError,
+    validateAgainstSchema,
+    createLlmProvider,
+    createLlmClient,
+    llmOptionsFromEnv,
+    createLlmClientFromEnv
+};
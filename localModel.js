@@ -0,0 +1,193 @@
+// localModel.js - Offline logistic-regression models behind the ml_standard and ml_volatile signals
+//
+// Both models are trained on createFeatureSetForML features (see createMlTrainingSamples in
+// predictionLogic.js) with the next period's BIG/SMALL outcome as the label. Each variant uses its own
+// feature subset: "standard" reads trend and momentum features, "volatile" volatility and mean-reversion
+// ones. Training is plain batch gradient descent with L2 regularization on standardized features, so a
+// model is fully determined by its training samples and settings. The newest HOLDOUT_FRACTION of the
+// samples is held out to report out-of-sample accuracy; the served model is then refitted on all samples.
+//
+// A trained model is a JSON document ({ format, schemaVersion, version, trainedAt, ... }); version goes
+// up by one on every retrain so predictions can name the model that made them.
+//
+// Settings:
+//   ML_SIGNAL_BACKEND     - local (default), llm (remote LLM, see llmProviders.js) or none
+//   ML_MODEL_RETRAIN_MS   - how often the server retrains each game's model (default 21600000, 6 hours)
+//   ML_MODEL_MIN_SAMPLES  - labelled samples needed before a model is trained (default 300)
+//   ML_MODEL_MAX_SAMPLES  - most recent samples used for training (default 5000)
+//   ML_MODEL_EPOCHS       - gradient descent passes (default 300)
+//   ML_MODEL_L2           - L2 regularization strength (default 0.01)
+//   ML_MODEL_MIN_EDGE     - minimum |p(BIG) - 0.5| before a model emits a signal (default 0.03)
+
+const MODEL_FORMAT = 'quintus-local-ml';
+const MODEL_SCHEMA_VERSION = 1;
+const HOLDOUT_FRACTION = 0.2;
+const LEARNING_RATE = 0.1;
+const ML_SIGNAL_BACKENDS = ['local', 'llm', 'none'];
+const DEFAULTS = {
+    retrainMs: 6 * 60 * 60 * 1000,
+    minSamples: 300,
+    maxSamples: 5000,
+    epochs: 300,
+    l2: 0.01,
+    minEdge: 0.03
+};
+
+// No time_sin/time_cos: stored rows carry no timestamp, so training samples have no time features.
+// Models trained before this list their own featureNames.
+const LOCAL_MODEL_VARIANTS = {
+    standard: ['last_5_mean', 'last_20_mean', 'rsi_14', 'stoch_k_14', 'macd_hist', 'trend_strength'],
+    volatile: ['stddev_10', 'stddev_30', 'volatility_level', 'last_5_mean', 'last_20_mean', 'rsi_14']
+};
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function toVector(features, featureNames) {
+    return featureNames.map(name => {
+        const value = features[name];
+        return typeof value === 'number' && isFinite(value) ? value : 0;
+    });
+}
+
+// --- Training ---
+function standardization(vectors) {
+    const size = vectors[0].length;
+    const means = new Array(size).fill(0);
+    const stds = new Array(size).fill(0);
+    vectors.forEach(v => v.forEach((x, i) => { means[i] += x / vectors.length; }));
+    vectors.forEach(v => v.forEach((x, i) => { stds[i] += (x - means[i]) ** 2 / vectors.length; }));
+    // Constant features get a unit scale so they standardize to zero instead of dividing by zero
+    return { means, stds: stds.map(variance => (variance > 1e-12 ? Math.sqrt(variance) : 1)) };
+}
+
+function fitLogisticRegression(vectors, labels, settings) {
+    const scale = standardization(vectors);
+    const inputs = vectors.map(v => v.map((x, i) => (x - scale.means[i]) / scale.stds[i]));
+    const weights = new Array(scale.means.length).fill(0);
+    let bias = 0;
+    for (let epoch = 0; epoch < settings.epochs; epoch++) {
+        const gradient = new Array(weights.length).fill(0);
+        let biasGradient = 0;
+        inputs.forEach((x, n) => {
+            const error = sigmoid(bias + x.reduce((sum, xi, i) => sum + xi * weights[i], 0)) - labels[n];
+            x.forEach((xi, i) => { gradient[i] += error * xi; });
+            biasGradient += error;
+        });
+        weights.forEach((w, i) => { weights[i] -= LEARNING_RATE * (gradient[i] / inputs.length + settings.l2 * w); });
+        bias -= LEARNING_RATE * biasGradient / inputs.length;
+    }
+    return { weights, bias, means: scale.means, stds: scale.stds };
+}
+
+function probabilityOf(fit, vector) {
+    return sigmoid(fit.bias + vector.reduce((sum, x, i) => sum + ((x - fit.means[i]) / fit.stds[i]) * fit.weights[i], 0));
+}
+
+function evaluate(fit, vectors, labels) {
+    if (vectors.length === 0) return null;
+    let correct = 0;
+    let logLoss = 0;
+    vectors.forEach((v, n) => {
+        const p = Math.min(1 - 1e-9, Math.max(1e-9, probabilityOf(fit, v)));
+        if ((p >= 0.5 ? 1 : 0) === labels[n]) correct++;
+        logLoss -= labels[n] === 1 ? Math.log(p) : Math.log(1 - p);
+    });
+    const bigRate = labels.reduce((a, b) => a + b, 0) / labels.length;
+    return {
+        samples: vectors.length,
+        accuracy: correct / vectors.length,
+        logLoss: logLoss / vectors.length,
+        majorityBaseline: Math.max(bigRate, 1 - bigRate)
+    };
+}
+
+/**
+ * Trains both variants.
+ * @param {Array<{features: Object, label: number}>} samples - Newest first; label is 1 for BIG.
+ * @param {Object} options - Settings (see DEFAULTS) plus previousVersion.
+ * @returns {Object|null} The model document, or null when there are fewer than minSamples samples.
+ */
+function trainLocalModel(samples, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const usable = (samples || []).filter(sample => sample && sample.features && (sample.label === 0 || sample.label === 1)).slice(0, settings.maxSamples);
+    if (usable.length < settings.minSamples) return null;
+
+    const holdoutCount = Math.floor(usable.length * HOLDOUT_FRACTION);
+    const labels = usable.map(sample => sample.label);
+    const variants = {};
+    Object.entries(LOCAL_MODEL_VARIANTS).forEach(([variant, featureNames]) => {
+        const vectors = usable.map(sample => toVector(sample.features, featureNames));
+        const validationFit = fitLogisticRegression(vectors.slice(holdoutCount), labels.slice(holdoutCount), settings);
+        variants[variant] = {
+            featureNames,
+            ...fitLogisticRegression(vectors, labels, settings),
+            holdout: evaluate(validationFit, vectors.slice(0, holdoutCount), labels.slice(0, holdoutCount))
+        };
+    });
+
+    return {
+        format: MODEL_FORMAT,
+        schemaVersion: MODEL_SCHEMA_VERSION,
+        version: (options.previousVersion || 0) + 1,
+        trainedAt: Date.now(),
+        samples: usable.length,
+        settings: { epochs: settings.epochs, l2: settings.l2, minEdge: settings.minEdge },
+        variants
+    };
+}
+
+// --- Prediction ---
+function isUsableModel(model) {
+    return Boolean(model && model.format === MODEL_FORMAT && model.schemaVersion === MODEL_SCHEMA_VERSION && model.variants);
+}
+
+/**
+ * @returns {{pBig: number, edge: number, modelVersion: number}|null} Null without a usable model.
+ */
+function predictLocalModel(model, variant, features) {
+    if (!isUsableModel(model) || !features) return null;
+    const fit = model.variants[variant];
+    if (!fit) return null;
+    const pBig = probabilityOf(fit, toVector(features, fit.featureNames));
+    return { pBig, edge: Math.abs(pBig - 0.5), modelVersion: model.version };
+}
+
+/** Model metadata without the fitted coefficients, for logs and API responses. */
+function describeLocalModel(model) {
+    if (!isUsableModel(model)) return null;
+    const variants = {};
+    Object.entries(model.variants).forEach(([variant, fit]) => {
+        variants[variant] = { featureNames: fit.featureNames, holdout: fit.holdout };
+    });
+    return { version: model.version, trainedAt: model.trainedAt, samples: model.samples, settings: model.settings, variants };
+}
+
+function mlModelOptionsFromEnv(env = process.env) {
+    const backend = (env.ML_SIGNAL_BACKEND || 'local').toLowerCase();
+    if (!ML_SIGNAL_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown ML_SIGNAL_BACKEND "${backend}". Expected ${ML_SIGNAL_BACKENDS.join(', ')}.`);
+    }
+    const number = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? fallback : parsed;
+    };
+    return {
+        backend,
+        retrainMs: number(env.ML_MODEL_RETRAIN_MS, DEFAULTS.retrainMs),
+        minSamples: number(env.ML_MODEL_MIN_SAMPLES, DEFAULTS.minSamples),
+        maxSamples: number(env.ML_MODEL_MAX_SAMPLES, DEFAULTS.maxSamples),
+        epochs: number(env.ML_MODEL_EPOCHS, DEFAULTS.epochs),
+        l2: number(env.ML_MODEL_L2, DEFAULTS.l2),
+        minEdge: number(env.ML_MODEL_MIN_EDGE, DEFAULTS.minEdge)
+    };
+}
+
+module.exports = {
+    LOCAL_MODEL_VARIANTS,
+    trainLocalModel,
+    predictLocalModel,
+    describeLocalModel,
+    mlModelOptionsFromEnv
+};
@@ -0,0 +1,43 @@
+// localModelWorker.js - Trains a game's local ML model on a worker thread
+//
+// Building the samples and running gradient descent over thousands of them takes long enough to stall
+// polling and every API request, so the server hands the stored history to a worker instead:
+//
+//   trainLocalModelInWorker(history, { samples, model }) -> Promise<model|null>
+//
+// samples are the createMlTrainingSamples options and model the trainLocalModel ones (see localModel.js).
+// The worker loads this same file, trains once, posts the model (or null when there were too few samples)
+// back and exits. A failed training rejects the promise.
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+function trainLocalModelInWorker(history, options = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'localModelWorker.js'), {
+            workerData: { history, samples: options.samples || {}, model: options.model || {} }
+        });
+        let settled = false;
+        worker.once('message', model => {
+            settled = true;
+            resolve(model);
+        });
+        worker.once('error', error => {
+            settled = true;
+            reject(error);
+        });
+        worker.once('exit', code => {
+            if (!settled) reject(new Error(`Training worker exited with code ${code} before sending a model.`));
+        });
+    });
+}
+
+if (!isMainThread && parentPort) {
+    const { createMlTrainingSamples } = require('./predictionLogic.js');
+    const { trainLocalModel } = require('./localModel.js');
+    const samples = createMlTrainingSamples(workerData.history, workerData.samples);
+    parentPort.postMessage(trainLocalModel(samples, workerData.model));
+}
+
+module.exports = {
+    trainLocalModelInWorker
+};
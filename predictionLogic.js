@@ -7,10 +7,10 @@
 // - ADDED: Global getSignalCategory helper for consistent signal categorization.
 // - IMPROVED: Enhanced comments and logging for new features.
 
-// ADDED: This is required to use 'fetch' in a Node.js environment
-const fetch = require('node-fetch');
-
-let isMlModelLoading = false; // Simple flag to indicate if an ML prediction is in progress
+const { SIGNAL_CATEGORIES, createSignalRegistry } = require('./signalRegistry.js');
+const { predictLocalModel } = require('./localModel.js');
+const { resolveEngineConfig } = require('./engineConfig.js');
+const { getSessionClock, describeActiveSession } = require('./sessions.js');
 
 // --- Helper Functions ---
 function getBigSmallFromNumber(number) {
@@ -20,6 +20,34 @@ function getBigSmallFromNumber(number) {
     return num >= 0 && num <= 4 ? 'SMALL' : num >= 5 && num <= 9 ? 'BIG' : null;
 }
 
+// Seeded PRNG (mulberry32). Every random choice in the engine goes through one of these so that a
+// prediction can be reproduced exactly from its inputs and the rngSeed recorded in its output.
+function createSeededRng(seed) {
+    let state = seed >>> 0;
+    const rng = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.seed = seed >>> 0;
+    return rng;
+}
+
+function generateRngSeed() {
+    return Math.floor(Math.random() * 4294967296); // The only unseeded draw: picks a seed that is then recorded
+}
+
+// Combines a base seed with a period id so every period of a seeded run gets its own reproducible seed
+function deriveRngSeed(baseSeed, periodId) {
+    let hash = (baseSeed >>> 0) ^ 0x811C9DC5;
+    for (const char of String(periodId)) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0;
+    }
+    return hash >>> 0;
+}
+
 function getOppositeOutcome(prediction) {
     return prediction === "BIG" ? "SMALL" : prediction === "SMALL" ? "BIG" : null;
 }
@@ -111,85 +139,16 @@ function calculateRSI(data, period) {
     return 100 - (100 / (1 + rs));
 }
 
-function getCurrentISTHour() {
-    try {
-        const now = new Date();
-        const istFormatter = new Intl.DateTimeFormat('en-US', {
-            timeZone: 'Asia/Kolkata',
-            hour: 'numeric',
-            hour12: false
-        });
-        const istHourString = istFormatter.formatToParts(now).find(part => part.type === 'hour').value;
-        let hour = parseInt(istHourString, 10);
-        if (hour === 24) hour = 0;
-
-        return {
-            raw: hour,
-            sin: Math.sin(hour / 24 * 2 * Math.PI),
-            cos: Math.cos(hour / 24 * 2 * Math.PI)
-        };
-    } catch (error) {
-        console.error("Error getting IST hour:", error);
-        const hour = new Date().getHours(); // Fallback to local hour
-        return {
-             raw: hour,
-             sin: Math.sin(hour / 24 * 2 * Math.PI),
-             cos: Math.cos(hour / 24 * 2 * Math.PI)
-        };
-    }
-}
-
-function getRealTimeExternalData() {
-    try {
-        // Simulate external API call
-        if (Math.random() < 0.1) {
-            throw new Error("Simulated API failure for external data.");
-        }
-        
-        const weatherConditions = ["Clear", "Clouds", "Haze", "Smoke", "Rain", "Drizzle"];
-        const randomWeather = weatherConditions[Math.floor(Math.random() * weatherConditions.length)];
-        let weatherFactor = 1.0;
-        if (["Clear", "Clouds"].includes(randomWeather)) weatherFactor = 1.01;
-        else if (["Rain", "Drizzle"].includes(randomWeather)) weatherFactor = 0.99;
-
-        const newsSentiments = ["Strongly Positive", "Positive", "Neutral", "Negative", "Strongly Negative"];
-        const randomNewsSentiment = newsSentiments[Math.floor(Math.random() * newsSentiments.length)];
-        let newsFactor = 1.0;
-        if(randomNewsSentiment === "Strongly Positive") newsFactor = 1.05;
-        else if(randomNewsSentiment === "Positive") newsFactor = 1.02;
-        else if(randomNewsSentiment === "Negative") newsFactor = 0.98;
-        else if(randomNewsSentiment === "Strongly Negative") newsFactor = 0.95;
-
-        const marketVolatilities = ["Low", "Normal", "Elevated", "High"];
-        const randomMarketVol = marketVolatilities[Math.floor(Math.random() * marketVolatilities.length)];
-        let marketVolFactor = 1.0;
-        if(randomMarketVol === "Elevated") marketVolFactor = 0.97;
-        else if(randomMarketVol === "High") marketVolFactor = 0.94;
-
-        const combinedFactor = weatherFactor * newsFactor * marketVolFactor;
-        const reason = `ExtData(Weather:${randomWeather},News:${randomNewsSentiment},MktVol:${randomMarketVol})`;
-
-        return { factor: combinedFactor, reason: reason };
-    } catch (error) {
-        console.warn("Could not fetch real-time external data:", error.message);
-        return null; 
-    }
-}
-
-function getPrimeTimeSession(istHour) {
-    if (istHour >= 10 && istHour < 12) return { session: "PRIME_MORNING", aggression: 1.25, confidence: 1.15 };
-    if (istHour >= 13 && istHour < 14) return { session: "PRIME_AFTERNOON_1", aggression: 1.15, confidence: 1.10 };
-    if (istHour >= 15 && istHour < 16) return { session: "PRIME_AFTERNOON_2", aggression: 1.15, confidence: 1.10 };
-    if (istHour >= 17 && istHour < 20) {
-        if (istHour === 19) {
-             return { session: "PRIME_EVENING_PEAK", aggression: 1.35, confidence: 1.25 };
-        }
-        return { session: "PRIME_EVENING", aggression: 1.30, confidence: 1.20 };
-    }
-    return null; 
+// Confidence factor from the external-factor snapshot the caller collected (see externalFactors.js);
+// readings that were stale, invalid or failed are recorded in the snapshot but do not count
+function summarizeExternalFactors(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.factors)) return null;
+    const used = snapshot.factors.filter(f => f.status === 'ok');
+    if (used.length === 0) return null;
+    const reason = `ExtFactors(${used.map(f => `${f.id}:${f.value}x${f.multiplier.toFixed(3)}`).join(',')})`;
+    return { factor: snapshot.factor, reason };
 }
 
-
 // --- Market Context Analysis ---
 function getMarketRegimeAndTrendContext(history, shortMALookback = 5, mediumMALookback = 10, longMALookback = 20) {
     const baseContext = getTrendContext(history, shortMALookback, mediumMALookback, longMALookback);
@@ -337,15 +296,85 @@ function analyzeStreaks(history, baseWeight) {
     return null;
 }
 
-function analyzeAlternatingPatterns(history, baseWeight) {
-    if (!Array.isArray(history) || history.length < 5) return null;
-    const actuals = history.slice(0, 5).map(p => getBigSmallFromNumber(p.actual)).filter(bs => bs);
-    if (actuals.length < 4) return null; // Need at least 4 for the patterns
-    if (actuals[0] === "SMALL" && actuals[1] === "BIG" && actuals[2] === "SMALL" && actuals[3] === "BIG")
-        return { prediction: "SMALL", weight: baseWeight * 1.15, source: "Alt-BSBS->S" };
-    if (actuals[0] === "BIG" && actuals[1] === "SMALL" && actuals[2] === "BIG" && actuals[3] === "SMALL")
-        return { prediction: "BIG", weight: baseWeight * 1.15, source: "Alt-SBSB->B" };
-    return null;
+// Transition counts behind the ngramPattern signal, kept by the engine (see observeResults) so they cover
+// every stored result rather than the cycle history. contexts maps each BIG/SMALL context of up to
+// NGRAM_TRACKED_ORDER outcomes (written oldest first as B/S, '' for the empty context) to the [BIG, SMALL]
+// counts of the outcome that followed it; recent holds the latest outcomes and lastPeriod the newest one counted.
+const NGRAM_TRACKED_ORDER = 8; // A larger maxOrder param is capped here
+
+function createNGramCounts() {
+    return { lastPeriod: null, recent: '', contexts: {} };
+}
+
+function isPeriodAfter(period, otherPeriod) {
+    return comparePeriodsDesc({ period }, { period: otherPeriod }) < 0;
+}
+
+/**
+ * Counts the results newer than counts.lastPeriod, oldest first. Older results (late backfills) can no
+ * longer be placed in the sequence and are skipped.
+ * @param {Object} counts - createNGramCounts() state, updated in place.
+ * @param {Array<Object>} recordsNewestFirst - Cycle records ({ period, actual }) or upstream rows ({ issueNumber, number }).
+ * @param {string} [beforePeriod] - Only results older than this period are counted; later ones are left for later calls.
+ */
+function countNGramOutcomes(counts, recordsNewestFirst, beforePeriod) {
+    const fresh = [];
+    for (const record of recordsNewestFirst || []) {
+        if (!record) continue;
+        const isCycleRecord = record.period !== undefined;
+        const period = String(isCycleRecord ? record.period : record.issueNumber);
+        const outcome = getBigSmallFromNumber(isCycleRecord ? record.actual : record.number);
+        if (!outcome || (beforePeriod && !isPeriodAfter(beforePeriod, period))) continue;
+        if (counts.lastPeriod !== null && !isPeriodAfter(period, counts.lastPeriod)) break;
+        fresh.push({ period, code: outcome === "BIG" ? "B" : "S" });
+    }
+    fresh.reverse().forEach(({ period, code }) => {
+        for (let order = 0; order <= counts.recent.length; order++) {
+            const context = counts.recent.slice(counts.recent.length - order);
+            const pair = counts.contexts[context] || (counts.contexts[context] = [0, 0]);
+            pair[code === "B" ? 0 : 1]++;
+        }
+        counts.recent = (counts.recent + code).slice(-NGRAM_TRACKED_ORDER);
+        counts.lastPeriod = period;
+    });
+}
+
+// Variable-order pattern model over the engine's transition counts: for the latest BIG/SMALL context of
+// length 1..maxOrder, the outcomes that followed it anywhere in the counted results. Estimates are smoothed
+// towards the next lower order (down to the base rate), and the longest context with enough support is used.
+// A prediction is emitted only when that context's estimate is skewed by at least minSkew and its counts
+// beat a fair coin by minZ.
+function analyzeNGramPatterns(counts, params, baseWeight) {
+    if (!counts || !counts.contexts || !counts.contexts['']) return null;
+    const { maxOrder, minSupport, smoothing, minSkew, minZ } = params;
+    const [bigTotal, smallTotal] = counts.contexts[''];
+    if (bigTotal + smallTotal < minSupport + 1) return null;
+
+    let estimate = (bigTotal + smoothing * 0.5) / (bigTotal + smallTotal + smoothing); // Order 0: smoothed base rate
+    let match = null;
+
+    for (let order = 1; order <= Math.min(maxOrder, counts.recent.length); order++) {
+        const context = counts.recent.slice(-order);
+        const [big, small] = counts.contexts[context] || [0, 0];
+        const support = big + small;
+        if (support === 0) break; // Longer contexts contain this one, so they cannot have been seen either
+        estimate = (big + smoothing * estimate) / (support + smoothing);
+        if (support >= minSupport) {
+            match = { order, context, big, small, support, pBig: estimate };
+        }
+    }
+    if (!match) return null;
+
+    const skew = Math.abs(match.pBig - 0.5);
+    const z = (Math.max(match.big, match.small) - match.support / 2) / Math.sqrt(match.support / 4);
+    if (skew < minSkew || z < minZ) return null;
+
+    const prediction = match.pBig > 0.5 ? "BIG" : "SMALL";
+    // Weight grows with the skew and with the context length (longer contexts are more specific)
+    const weightFactor = Math.min(1.5, (0.5 + skew * 2) * (1 + (match.order - 1) * 0.05));
+    // The context is written oldest outcome first, e.g. ctx:SBB means SMALL, BIG, then the latest BIG
+    const logic = `NGram(ctx:${match.context},n:${match.order},support:${match.support},B:${match.big},S:${match.small},pBig:${match.pBig.toFixed(2)},z:${z.toFixed(2)})->${prediction}`;
+    return { prediction, weight: baseWeight * weightFactor, source: "NGram", logic };
 }
 
 function analyzeWeightedHistorical(history, weightDecayFactor, baseWeight) {
@@ -365,44 +394,6 @@ function analyzeWeightedHistorical(history, weightDecayFactor, baseWeight) {
     return null;
 }
 
-function analyzeTwoPlusOnePatterns(history, baseWeight) {
-    if (!history || history.length < 3) return null;
-    const outcomes = history.slice(0, 3).map(p => getBigSmallFromNumber(p.actual));
-    if (outcomes.some(o => o === null)) return null;
-
-    const pattern = outcomes.join('');
-    if (pattern === 'BBS') return { prediction: 'BIG', weight: baseWeight * 0.85, source: 'Pattern-BBS->B' };
-    if (pattern === 'SSB') return { prediction: 'SMALL', weight: baseWeight * 0.85, source: 'Pattern-SSB->S' };
-
-    return null;
-}
-
-function analyzeDoublePatterns(history, baseWeight) {
-    if (!history || history.length < 4) return null;
-    const outcomes = history.slice(0, 4).map(p => getBigSmallFromNumber(p.actual));
-    if (outcomes.some(o => o === null)) return null;
-
-    if (outcomes[0] === 'BIG' && outcomes[1] === 'BIG' && outcomes[2] === 'SMALL' && outcomes[3] === 'SMALL') {
-        return { prediction: 'BIG', weight: baseWeight * 1.1, source: 'Pattern-SSBB->B' }; // Predict continuation of the double
-    }
-    if (outcomes[0] === 'SMALL' && outcomes[1] === 'SMALL' && outcomes[2] === 'BIG' && outcomes[3] === 'BIG') {
-        return { prediction: 'SMALL', weight: baseWeight * 1.1, source: 'Pattern-BBSS->S' }; // Predict continuation of the double
-    }
-    return null;
-}
-
-function analyzeMirrorPatterns(history, baseWeight) {
-    if (!history || history.length < 4) return null;
-    const outcomes = history.slice(0, 4).map(p => getBigSmallFromNumber(p.actual));
-    if (outcomes.some(o => o === null)) return null;
-
-    // Check for A B B A pattern where A != B
-    if (outcomes[0] === outcomes[3] && outcomes[1] === outcomes[2] && outcomes[0] !== outcomes[1]) {
-        return { prediction: outcomes[0], weight: baseWeight * 1.2, source: `Pattern-Mirror->${outcomes[0]}` };
-    }
-    return null;
-}
-
 function analyzeRSI(history, rsiPeriod, baseWeight, volatility) {
     try {
         if (rsiPeriod <= 0) return null;
@@ -762,7 +753,7 @@ function analyzeStochastic(history, kPeriod, dPeriod, smoothK, baseWeight, volat
     }
 }
 
-function analyzeVolatilityTrendFusion(trendContext, marketEntropyState, baseWeight) {
+function analyzeVolatilityTrendFusion(trendContext, marketEntropyState, baseWeight, rng) {
     const { direction, strength, volatility } = trendContext;
     const { state: entropy } = marketEntropyState;
 
@@ -781,7 +772,7 @@ function analyzeVolatilityTrendFusion(trendContext, marketEntropyState, baseWeig
     }
     // Ranging market with low volatility and orderly: less directional, but predictable range
     else if (strength === 'RANGING' && volatility === 'LOW' && entropy === 'ORDERLY') {
-        prediction = Math.random() > 0.5 ? 'BIG' : 'SMALL'; // Less certain, random pick within range
+        prediction = rng() > 0.5 ? 'BIG' : 'SMALL'; // Less certain, random pick within range
         weightFactor = 0.8;
     }
 
@@ -791,93 +782,108 @@ function analyzeVolatilityTrendFusion(trendContext, marketEntropyState, baseWeig
     return null;
 }
 
-/**
- * Calls the Gemini API to get a prediction based on features.
- * @param {Object} features - The feature set for the ML model.
- * @param {number} baseWeight - The base weight for this signal.
- * @param {string} modelType - "Standard" or "Volatile"
- * @returns {Promise<{prediction: string, weight: number, source: string}|null>}
- */
-async function callGeminiForMLPrediction(features, baseWeight, modelType) {
-    if (isMlModelLoading) {
-        console.warn("ML Model is already loading, skipping new request.");
-        return null;
-    }
-    isMlModelLoading = true;
-    try {
-        const prompt = `You are a prediction model for game outcomes.
-        Based on the following features, predict whether the next outcome will be "BIG" or "SMALL".
-        Also, provide a confidence score for your prediction as a number between 0.5 and 1.0.
-        Format your response as "PREDICTION: [BIG/SMALL], CONFIDENCE: [0.5-1.0]".
-
-        Features:
-        ${JSON.stringify(features, null, 2)}
-
-        Consider the model type: ${modelType}.
-        If ${modelType} is "Standard", focus on trend and momentum indicators.
-        If ${modelType} is "Volatile", focus on volatility and mean reversion.
-        `;
-
-        let chatHistory = [];
-        chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-        const payload = { contents: chatHistory };
-        const apiKey = ""; // Canvas will provide this at runtime
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        const result = await response.json();
-
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-            const text = result.candidates[0].content.parts[0].text;
-            console.log(`Gemini ML Response (${modelType}):`, text);
-
-            const predictionMatch = text.match(/PREDICTION:\s*(BIG|SMALL)/i);
-            const confidenceMatch = text.match(/CONFIDENCE:\s*([0-1]\.\d+)/i);
-
-            let prediction = null;
-            let confidence = 0.5;
-
-            if (predictionMatch && predictionMatch[1]) {
-                prediction = predictionMatch[1].toUpperCase();
-            }
-            if (confidenceMatch && confidenceMatch[1]) {
-                confidence = parseFloat(confidenceMatch[1]);
-                confidence = Math.max(0.5, Math.min(1.0, confidence)); // Clamp confidence
-            }
+// Remote LLM answer (llmProviders.js) for the same features; the client handles timeouts, retries,
+// per-model-type concurrency and caching, and resolves to null when no valid answer arrived
+async function analyzeLlmSignal(engine, features, baseWeight, modelType) {
+    if (!engine.llmClient) return null;
+    const answer = await engine.llmClient.predict(modelType, features);
+    if (!answer) return null;
+    return {
+        prediction: answer.prediction,
+        weight: baseWeight * answer.confidence * 1.5,
+        source: `ML-${modelType}`,
+        logic: `LLM(conf:${answer.confidence.toFixed(3)}${answer.cached ? ',cached' : ''})`
+    };
+}
 
-            if (prediction) {
-                return { prediction, weight: baseWeight * confidence * 1.5, source: `ML-${modelType}` };
-            }
-        } else {
-            console.warn(`Gemini ML Response (${modelType}) structure unexpected:`, result);
-        }
-        return null;
+// Offline logistic-regression model (localModel.js) trained on the same features; no network access
+function analyzeLocalModelSignal(engine, variant, features, baseWeight, modelType) {
+    const result = predictLocalModel(engine.mlModel, variant, features);
+    if (!result || result.edge < engine.mlModel.settings.minEdge) return null;
+    const prediction = result.pBig > 0.5 ? "BIG" : "SMALL";
+    const confidence = Math.max(result.pBig, 1 - result.pBig);
+    return {
+        prediction,
+        weight: baseWeight * confidence * 1.5,
+        source: `ML-${modelType}`,
+        logic: `LocalLR(v${result.modelVersion},${variant},pBig:${result.pBig.toFixed(3)})`
+    };
+}
 
-    } catch (error) {
-        console.error(`Error calling Gemini API for ML Model (${modelType}):`, error);
-        return null;
-    } finally {
-        isMlModelLoading = false;
-    }
+async function analyzeMLModelSignal_Standard(engine, features, baseWeight) {
+    if (!features || engine.mlBackend === 'none') return null;
+    if (engine.mlBackend === 'llm') return await analyzeLlmSignal(engine, features, baseWeight, "Standard");
+    return analyzeLocalModelSignal(engine, 'standard', features, baseWeight, "Standard");
 }
 
-async function analyzeMLModelSignal_Standard(features, baseWeight) {
-    if (!features) return null;
-    // Call Gemini API for prediction
-    return await callGeminiForMLPrediction(features, baseWeight, "Standard");
+async function analyzeMLModelSignal_Volatile(engine, features, baseWeight) {
+    if (!features || engine.mlBackend === 'none') return null;
+    if (engine.mlBackend === 'llm') return await analyzeLlmSignal(engine, features, baseWeight, "Volatile");
+    return analyzeLocalModelSignal(engine, 'volatile', features, baseWeight, "Volatile");
 }
 
-async function analyzeMLModelSignal_Volatile(features, baseWeight) {
-    if (!features) return null;
-    // Call Gemini API for prediction
-    return await callGeminiForMLPrediction(features, baseWeight, "Volatile");
+// --- Signal Registry ---
+// Built-in signals in the order they run. run() receives the per-prediction context built in
+// runEnginePrediction: history (confirmed results, newest first), trendContext (as detected),
+// finalTrendContext (after the AUROCHS override), marketEntropy, time, rng, engine and mlFeatures.
+const BUILTIN_SIGNALS = [
+    {
+        id: 'transitions', category: 'pattern', defaultWeight: 0.05, minHistory: 15,
+        run: (ctx, params, weight) => analyzeTransitions(ctx.history, weight)
+    },
+    {
+        id: 'streaks', category: 'meanRev', defaultWeight: 0.045, minHistory: 3,
+        run: (ctx, params, weight) => analyzeStreaks(ctx.history, weight)
+    },
+    {
+        id: 'ngramPattern', category: 'pattern', defaultWeight: 0.06, minHistory: 30,
+        params: { maxOrder: 6, minSupport: 12, smoothing: 2, minSkew: 0.12, minZ: 1.96 },
+        run: (ctx, params, weight) => analyzeNGramPatterns(ctx.engine.nGramCounts, params, weight)
+    },
+    {
+        id: 'rsi', category: 'momentum', defaultWeight: 0.08, minHistory: 15, params: { period: 14 },
+        run: (ctx, params, weight) => analyzeRSI(ctx.history, params.period, weight, ctx.finalTrendContext.volatility)
+    },
+    {
+        id: 'macd', category: 'trend', defaultWeight: 0.09, minHistory: 34, params: { shortPeriod: 12, longPeriod: 26, signalPeriod: 9 },
+        run: (ctx, params, weight) => analyzeMACD(ctx.history, params.shortPeriod, params.longPeriod, params.signalPeriod, weight)
+    },
+    {
+        id: 'bollinger', category: 'meanRev', defaultWeight: 0.07, minHistory: 20, params: { period: 20, stdDevMultiplier: 2.1 },
+        run: (ctx, params, weight) => analyzeBollingerBands(ctx.history, params.period, params.stdDevMultiplier, weight)
+    },
+    {
+        id: 'ichimoku', category: 'trend', defaultWeight: 0.14, minHistory: 77, params: { tenkanPeriod: 9, kijunPeriod: 26, senkouBPeriod: 52 },
+        run: (ctx, params, weight) => analyzeIchimokuCloud(ctx.history, params.tenkanPeriod, params.kijunPeriod, params.senkouBPeriod, weight)
+    },
+    {
+        id: 'stochastic', category: 'momentum', defaultWeight: 0.08, minHistory: 18, params: { kPeriod: 14, dPeriod: 3, smoothK: 3 },
+        run: (ctx, params, weight) => analyzeStochastic(ctx.history, params.kPeriod, params.dPeriod, params.smoothK, weight, ctx.finalTrendContext.volatility)
+    },
+    {
+        id: 'volBreakout', category: 'volatility', defaultWeight: 0.07, minHistory: 3,
+        run: (ctx, params, weight) => analyzeVolatilityBreakout(ctx.history, ctx.trendContext, weight)
+    },
+    {
+        id: 'volTrendFusion', category: 'fusion', defaultWeight: 0.25,
+        run: (ctx, params, weight) => analyzeVolatilityTrendFusion(ctx.finalTrendContext, ctx.marketEntropy, weight, ctx.rng)
+    },
+    {
+        id: 'ml_standard', category: 'ml', defaultWeight: 0.40, minHistory: 52, async: true,
+        run: (ctx, params, weight) => analyzeMLModelSignal_Standard(ctx.engine, ctx.mlFeatures, weight)
+    },
+    {
+        id: 'ml_volatile', category: 'ml', defaultWeight: 0.45, minHistory: 52, async: true,
+        run: (ctx, params, weight) => analyzeMLModelSignal_Volatile(ctx.engine, ctx.mlFeatures, weight)
+    }
+];
+
+// Default registry used by every engine that is not given its own; add custom signals with signalRegistry.register()
+const signalRegistry = createSignalRegistry(BUILTIN_SIGNALS);
+
+function isSignalActiveInRegime(signal, regimeProfile) {
+    const activeTypes = regimeProfile.activeSignalTypes || [];
+    return activeTypes.includes('all') || activeTypes.includes(signal.id) || activeTypes.includes(signal.category);
 }
 
 
@@ -1008,26 +1014,16 @@ function analyzeAdvancedMarketRegime(trendContext, marketEntropyState) {
 
 
 // --- Signal & Regime Performance Learning ---
-let signalPerformance = {};
-const PERFORMANCE_WINDOW = 30; // Number of recent observations for accuracy calculation
-const SESSION_PERFORMANCE_WINDOW = 15; // Shorter window for session-specific performance
-const MIN_OBSERVATIONS_FOR_ADJUST = 10; // Minimum observations before adjusting a signal's weight
-const MAX_WEIGHT_FACTOR = 2.5; // Max multiplier for a signal's weight (Increased from 1.95)
-const MIN_WEIGHT_FACTOR = 0.01; // Min multiplier for a signal's weight (Decreased from 0.05)
-const MAX_ALPHA_FACTOR = 1.6; // Max alpha for adaptive learning
-const MIN_ALPHA_FACTOR = 0.4; // Min alpha for adaptive learning
-const MIN_ABSOLUTE_WEIGHT = 0.0003; // Minimum weight a signal can have
-const INACTIVITY_PERIOD_FOR_DECAY = PERFORMANCE_WINDOW * 3; // Periods of inactivity before weight decay
-const DECAY_RATE = 0.025; // Rate at which weights decay during inactivity
-const ALPHA_UPDATE_RATE = 0.06; // Rate at which alpha factor updates (Increased from 0.04)
-const PROBATION_THRESHOLD_ACCURACY = 0.40; // Accuracy below which a signal goes on probation
-const PROBATION_MIN_OBSERVATIONS = 15; // Minimum observations for probation consideration
-const PROBATION_WEIGHT_CAP = 0.10; // Max weight for signals on probation
+// The learning state itself (signalPerformance, driftDetector, regime profiles, ...) is owned by a PredictionEngine
+// instance and passed into the functions below. Windows, weight bounds and probation thresholds come from the
+// engine's config (engine.config.values.performance / .probation / .regime; see engineConfig.js).
 
 // Concept Drift Detector (EWMA-based)
-let driftDetector = { p_min: Infinity, s_min: Infinity, n: 0, warning_level: 2.0, drift_level: 3.0 };
+const DEFAULT_DRIFT_DETECTOR = { p_min: Infinity, s_min: Infinity, n: 0, warning_level: 2.0, drift_level: 3.0 };
 
-function getDynamicWeightAdjustment(signalSourceName, baseWeight, currentPeriodFull, currentVolatilityRegime, sessionHistory) {
+function getDynamicWeightAdjustment(engine, signalSourceName, baseWeight, currentPeriodFull, currentVolatilityRegime, sessionHistory) {
+    const { performance: performanceConfig, probation: probationConfig } = engine.config.values;
+    const signalPerformance = engine.signalPerformance;
     const perf = signalPerformance[signalSourceName];
     if (!perf) {
         // Initialize performance tracking for a new signal source
@@ -1038,7 +1034,7 @@ function getDynamicWeightAdjustment(signalSourceName, baseWeight, currentPeriodF
             currentAdjustmentFactor: 1.0, alphaFactor: 1.0, longTermImportanceScore: 0.5,
             performanceByVolatility: {}, isOnProbation: false
         };
-        return Math.max(baseWeight, MIN_ABSOLUTE_WEIGHT);
+        return Math.max(baseWeight, performanceConfig.minAbsoluteWeight);
     }
 
     // Reset session performance if it's a new session (or first call)
@@ -1049,17 +1045,17 @@ function getDynamicWeightAdjustment(signalSourceName, baseWeight, currentPeriodF
 
     // Apply decay if signal has been inactive for a while
     if (perf.lastUpdatePeriod !== currentPeriodFull) {
-        if (perf.lastActivePeriod !== null && (currentPeriodFull - perf.lastActivePeriod) > INACTIVITY_PERIOD_FOR_DECAY) {
-            if (perf.currentAdjustmentFactor > 1.0) perf.currentAdjustmentFactor = Math.max(1.0, perf.currentAdjustmentFactor - DECAY_RATE);
-            else if (perf.currentAdjustmentFactor < 1.0) perf.currentAdjustmentFactor = Math.min(1.0, perf.currentAdjustmentFactor + DECAY_RATE);
-            if (perf.isOnProbation) perf.isOnProbation = false; // Reset probation after decay
+        if (perf.lastActivePeriod !== null && (currentPeriodFull - perf.lastActivePeriod) > performanceConfig.inactivityPeriodsForDecay) {
+            if (perf.currentAdjustmentFactor > 1.0) perf.currentAdjustmentFactor = Math.max(1.0, perf.currentAdjustmentFactor - performanceConfig.decayRate);
+            else if (perf.currentAdjustmentFactor < 1.0) perf.currentAdjustmentFactor = Math.min(1.0, perf.currentAdjustmentFactor + performanceConfig.decayRate);
+            if (perf.isOnProbation && !perf.isProbationForced) perf.isOnProbation = false; // Reset probation after decay
         }
         perf.lastUpdatePeriod = currentPeriodFull;
     }
 
     // Volatility-specific adjustment
     let volatilitySpecificAdjustment = 1.0;
-    if (perf.performanceByVolatility[currentVolatilityRegime] && perf.performanceByVolatility[currentVolatilityRegime].total >= MIN_OBSERVATIONS_FOR_ADJUST / 2.0) {
+    if (perf.performanceByVolatility[currentVolatilityRegime] && perf.performanceByVolatility[currentVolatilityRegime].total >= performanceConfig.minObservationsForAdjust / 2.0) {
         const volPerf = perf.performanceByVolatility[currentVolatilityRegime];
         const volAccuracy = volPerf.correct / volPerf.total;
         const volDeviation = volAccuracy - 0.5;
@@ -1081,15 +1077,17 @@ function getDynamicWeightAdjustment(signalSourceName, baseWeight, currentPeriodF
 
     // Apply probation cap if on probation
     if (perf.isOnProbation) {
-        finalAdjustmentFactor = Math.min(finalAdjustmentFactor, PROBATION_WEIGHT_CAP);
+        finalAdjustmentFactor = Math.min(finalAdjustmentFactor, probationConfig.weightCap);
     }
 
     let adjustedWeight = baseWeight * finalAdjustmentFactor;
-    return Math.max(adjustedWeight, MIN_ABSOLUTE_WEIGHT); // Ensure weight doesn't drop too low
+    return Math.max(adjustedWeight, performanceConfig.minAbsoluteWeight); // Ensure weight doesn't drop too low
 }
 
-function updateSignalPerformance(contributingSignals, actualOutcome, periodFull, currentVolatilityRegime, lastFinalConfidence, concentrationModeActive, marketEntropyState) {
+function updateSignalPerformance(engine, contributingSignals, actualOutcome, periodFull, currentVolatilityRegime, lastFinalConfidence, concentrationModeActive, marketEntropyState) {
     if (!actualOutcome || !contributingSignals || contributingSignals.length === 0) return;
+    const { performance: performanceConfig, probation: probationConfig } = engine.config.values;
+    const signalPerformance = engine.signalPerformance;
     const isHighConfidencePrediction = lastFinalConfidence > 0.75;
     // Check if the overall system prediction was correct, not just individual signals
     const isOverallCorrect = getBigSmallFromNumber(actualOutcome) === (lastFinalConfidence > 0.5 ? "BIG" : "SMALL");
@@ -1140,36 +1138,36 @@ function updateSignalPerformance(contributingSignals, actualOutcome, periodFull,
 
             // Keep track of recent accuracy for sliding window calculation
             signalPerformance[source].recentAccuracy.push(outcomeCorrect);
-            if (signalPerformance[source].recentAccuracy.length > PERFORMANCE_WINDOW) {
+            if (signalPerformance[source].recentAccuracy.length > performanceConfig.window) {
                 signalPerformance[source].recentAccuracy.shift();
             }
 
             // Adjust weight and alpha factor based on recent performance
-            if (signalPerformance[source].total >= MIN_OBSERVATIONS_FOR_ADJUST && signalPerformance[source].recentAccuracy.length >= PERFORMANCE_WINDOW / 2) {
+            if (signalPerformance[source].total >= performanceConfig.minObservationsForAdjust && signalPerformance[source].recentAccuracy.length >= performanceConfig.window / 2) {
                 const recentCorrectCount = signalPerformance[source].recentAccuracy.reduce((sum, acc) => sum + acc, 0);
                 const accuracy = recentCorrectCount / signalPerformance[source].recentAccuracy.length;
                 const deviation = accuracy - 0.5; // Deviation from random (0.5)
                 let newAdjustmentFactor = 1 + (deviation * 3.5); // Aggressive adjustment
-                newAdjustmentFactor = Math.min(Math.max(newAdjustmentFactor, MIN_WEIGHT_FACTOR), MAX_WEIGHT_FACTOR);
+                newAdjustmentFactor = Math.min(Math.max(newAdjustmentFactor, performanceConfig.minWeightFactor), performanceConfig.maxWeightFactor);
                 signalPerformance[source].currentAdjustmentFactor = newAdjustmentFactor;
 
                 // Probation logic: if accuracy drops too low
-                if (signalPerformance[source].recentAccuracy.length >= PROBATION_MIN_OBSERVATIONS && accuracy < PROBATION_THRESHOLD_ACCURACY) {
+                if (signalPerformance[source].recentAccuracy.length >= probationConfig.minObservations && accuracy < probationConfig.accuracyThreshold) {
                     signalPerformance[source].isOnProbation = true;
-                } else if (accuracy > PROBATION_THRESHOLD_ACCURACY + 0.15) { // Exit probation if accuracy improves significantly
+                } else if (accuracy > probationConfig.accuracyThreshold + 0.15 && !signalPerformance[source].isProbationForced) { // Exit probation if accuracy improves significantly (unless an admin forced it)
                     signalPerformance[source].isOnProbation = false;
                 }
 
                 // Adaptive learning rate for alpha factor
-                let alphaLearningRate = ALPHA_UPDATE_RATE;
+                let alphaLearningRate = performanceConfig.alphaUpdateRate;
                 if (accuracy < 0.35) alphaLearningRate *= 1.75; // Learn faster if very inaccurate
                 else if (accuracy < 0.45) alphaLearningRate *= 1.4;
 
                 // Alpha factor adjusts more slowly, representing long-term trust
                 if (newAdjustmentFactor > signalPerformance[source].alphaFactor) {
-                    signalPerformance[source].alphaFactor = Math.min(MAX_ALPHA_FACTOR, signalPerformance[source].alphaFactor + alphaLearningRate * (newAdjustmentFactor - signalPerformance[source].alphaFactor));
+                    signalPerformance[source].alphaFactor = Math.min(performanceConfig.maxAlphaFactor, signalPerformance[source].alphaFactor + alphaLearningRate * (newAdjustmentFactor - signalPerformance[source].alphaFactor));
                 } else {
-                    signalPerformance[source].alphaFactor = Math.max(MIN_ALPHA_FACTOR, signalPerformance[source].alphaFactor - alphaLearningRate * (signalPerformance[source].alphaFactor - newAdjustmentFactor));
+                    signalPerformance[source].alphaFactor = Math.max(performanceConfig.minAlphaFactor, signalPerformance[source].alphaFactor - alphaLearningRate * (signalPerformance[source].alphaFactor - newAdjustmentFactor));
                 }
             }
             signalPerformance[source].lastActivePeriod = periodFull;
@@ -1178,7 +1176,8 @@ function updateSignalPerformance(contributingSignals, actualOutcome, periodFull,
     });
 }
 
-function detectConceptDrift(isCorrect) {
+function detectConceptDrift(engine, isCorrect) {
+    const driftDetector = engine.driftDetector;
     // DDM (Drift Detection Method) for concept drift
     // p_i: observed error rate
     // s_i: standard deviation of error rate
@@ -1215,20 +1214,47 @@ function detectConceptDrift(isCorrect) {
 
 
 // Regime profiles define which signals are preferred in different market conditions
-let REGIME_SIGNAL_PROFILES = {
-    "TREND_STRONG_LOW_VOL": { baseWeightMultiplier: 1.30, activeSignalTypes: ['trend', 'momentum', 'ichimoku', 'volBreak', 'fusion', 'ml_standard'], contextualAggression: 1.35, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 },
-    "TREND_STRONG_MED_VOL": { baseWeightMultiplier: 1.20, activeSignalTypes: ['trend', 'momentum', 'ichimoku', 'pattern', 'fusion', 'ml_standard'], contextualAggression: 1.25, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 },
-    "TREND_STRONG_HIGH_VOL": { baseWeightMultiplier: 0.70, activeSignalTypes: ['trend', 'ichimoku', 'entropy', 'volPersist', 'fusion', 'ml_volatile'], contextualAggression: 0.70, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 },
-    "RANGE_LOW_VOL": { baseWeightMultiplier: 1.30, activeSignalTypes: ['meanRev', 'pattern', 'volBreak', 'stochastic', 'bollinger'], contextualAggression: 1.30, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 },
-    "RANGE_MED_VOL": { baseWeightMultiplier: 1.15, activeSignalTypes: ['meanRev', 'pattern', 'stochastic', 'rsi', 'bollinger'], contextualAggression: 1.15, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 },
-    "RANGE_HIGH_VOL": { baseWeightMultiplier: 0.85, activeSignalTypes: ['meanRev', 'entropy', 'bollinger', 'volPersist', 'fusion', 'ml_volatile'], contextualAggression: 0.85, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 },
-    "DEFAULT": { baseWeightMultiplier: 0.9, activeSignalTypes: ['all'], contextualAggression: 0.9, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 }
+// activeSignalTypes gates which registered signals run in a regime. Entries are signal categories
+// (see SIGNAL_CATEGORIES), signal ids, or 'all'; baseWeightMultiplier scales every active signal's weight.
+// There is one profile per regime getMarketRegimeAndTrendContext can emit; each "_TRANSITION" variant
+// starts as a damped copy of its base regime and then learns on its own.
+const BASE_REGIME_SIGNAL_PROFILES = {
+    "TREND_STRONG_LOW_VOL": { baseWeightMultiplier: 1.30, activeSignalTypes: ['trend', 'momentum', 'ichimoku', 'volBreakout', 'fusion', 'ml_standard'], contextualAggression: 1.35 },
+    "TREND_STRONG_MED_VOL": { baseWeightMultiplier: 1.20, activeSignalTypes: ['trend', 'momentum', 'ichimoku', 'pattern', 'fusion', 'ml_standard'], contextualAggression: 1.25 },
+    "TREND_STRONG_HIGH_VOL": { baseWeightMultiplier: 0.70, activeSignalTypes: ['trend', 'ichimoku', 'volatility', 'fusion', 'ml_volatile'], contextualAggression: 0.70 },
+    "TREND_MOD_LOW_VOL": { baseWeightMultiplier: 1.10, activeSignalTypes: ['trend', 'momentum', 'pattern', 'volBreakout', 'fusion', 'ml_standard'], contextualAggression: 1.10 },
+    "TREND_MOD_MED_VOL": { baseWeightMultiplier: 1.00, activeSignalTypes: ['trend', 'momentum', 'meanRev', 'pattern', 'fusion', 'ml_standard'], contextualAggression: 1.00 },
+    "TREND_MOD_HIGH_VOL": { baseWeightMultiplier: 0.75, activeSignalTypes: ['trend', 'meanRev', 'volatility', 'fusion', 'ml_volatile'], contextualAggression: 0.75 },
+    "RANGE_LOW_VOL": { baseWeightMultiplier: 1.30, activeSignalTypes: ['meanRev', 'pattern', 'volBreakout', 'stochastic', 'bollinger'], contextualAggression: 1.30 },
+    "RANGE_MED_VOL": { baseWeightMultiplier: 1.15, activeSignalTypes: ['meanRev', 'pattern', 'stochastic', 'rsi', 'bollinger'], contextualAggression: 1.15 },
+    "RANGE_HIGH_VOL": { baseWeightMultiplier: 0.85, activeSignalTypes: ['meanRev', 'volatility', 'bollinger', 'fusion', 'ml_volatile'], contextualAggression: 0.85 },
+    "WEAK_LOW_VOL": { baseWeightMultiplier: 0.90, activeSignalTypes: ['meanRev', 'pattern', 'momentum', 'volBreakout', 'fusion'], contextualAggression: 0.90 },
+    "WEAK_MED_VOL": { baseWeightMultiplier: 0.85, activeSignalTypes: ['meanRev', 'pattern', 'momentum', 'fusion'], contextualAggression: 0.85 },
+    "WEAK_HIGH_VOL": { baseWeightMultiplier: 0.70, activeSignalTypes: ['meanRev', 'volatility', 'fusion', 'ml_volatile'], contextualAggression: 0.70 }
 };
-const REGIME_ACCURACY_WINDOW = 35; // Window for regime accuracy calculation
-const REGIME_LEARNING_RATE_BASE = 0.028; // Base learning rate for regime adaptation
-let GLOBAL_LONG_TERM_ACCURACY_FOR_LEARNING_RATE = 0.5; // Influences dynamic learning rate for regimes
+const TRANSITION_PROFILE_DAMPING = 0.85; // A crossover just happened, so the base regime's signals are trusted less
+
+function buildDefaultRegimeSignalProfiles() {
+    const withPerformance = profile => ({ ...profile, activeSignalTypes: profile.activeSignalTypes.slice(), recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 });
+    const profiles = {};
+    Object.entries(BASE_REGIME_SIGNAL_PROFILES).forEach(([regime, profile]) => {
+        profiles[regime] = withPerformance(profile);
+        profiles[`${regime}_TRANSITION`] = withPerformance({
+            ...profile,
+            baseWeightMultiplier: parseFloat((profile.baseWeightMultiplier * TRANSITION_PROFILE_DAMPING).toFixed(3)),
+            contextualAggression: parseFloat((profile.contextualAggression * TRANSITION_PROFILE_DAMPING).toFixed(3))
+        });
+    });
+    // Fallback for regimes without a profile of their own
+    profiles["DEFAULT"] = withPerformance({ baseWeightMultiplier: 0.9, activeSignalTypes: ['all'], contextualAggression: 0.9 });
+    return profiles;
+}
+
+const DEFAULT_REGIME_SIGNAL_PROFILES = buildDefaultRegimeSignalProfiles();
+const DEFAULT_GLOBAL_LONG_TERM_ACCURACY = 0.5; // Influences dynamic learning rate for regimes
 
-function discoverAndAdaptRegimes(history, trendContext, stability, sharedStats) {
+function discoverAndAdaptRegimes(engine, history, trendContext, stability, sharedStats) {
+    const profiles = engine.regimeSignalProfiles;
     const CHOPPY_PERSISTENCE_THRESHOLD = 8; // How many consecutive choppy periods to trigger Aurochs mode
     const aurochsState = sharedStats.aurochsState || { choppyCount: 0 };
 
@@ -1240,9 +1266,9 @@ function discoverAndAdaptRegimes(history, trendContext, stability, sharedStats)
     }
 
     // Dynamically create a new regime profile if a persistent pattern is identified
-    if (aurochsState.choppyCount >= CHOPPY_PERSISTENCE_THRESHOLD && !REGIME_SIGNAL_PROFILES["CUSTOM_AUROCHS_MODE"]) {
+    if (aurochsState.choppyCount >= CHOPPY_PERSISTENCE_THRESHOLD && !profiles["CUSTOM_AUROCHS_MODE"]) {
         console.log("!!! DYNAMIC REGIME DISCOVERY: New 'AUROCHS' mode identified. Creating profile. !!!");
-        REGIME_SIGNAL_PROFILES["CUSTOM_AUROCHS_MODE"] = {
+        profiles["CUSTOM_AUROCHS_MODE"] = {
             baseWeightMultiplier: 1.40, // Higher weight for this specific choppy condition
             activeSignalTypes: ['pattern', 'meanRev', 'stochastic', 'bollinger'], // Signals best suited for choppy, ranging markets
             contextualAggression: 1.50, // More aggressive in this mode
@@ -1256,24 +1282,26 @@ function discoverAndAdaptRegimes(history, trendContext, stability, sharedStats)
 }
 
 
-function updateRegimeProfilePerformance(regime, actualOutcome, predictedOutcome) {
-    if (REGIME_SIGNAL_PROFILES[regime] && predictedOutcome) {
-        const profile = REGIME_SIGNAL_PROFILES[regime];
+function updateRegimeProfilePerformance(engine, regime, actualOutcome, predictedOutcome) {
+    const profiles = engine.regimeSignalProfiles;
+    const regimeConfig = engine.config.values.regime;
+    if (profiles[regime] && predictedOutcome) {
+        const profile = profiles[regime];
         profile.totalPredictions = (profile.totalPredictions || 0) + 1;
         let outcomeCorrect = (actualOutcome === predictedOutcome) ? 1 : 0;
         if(outcomeCorrect === 1) profile.correctPredictions = (profile.correctPredictions || 0) + 1;
 
         profile.recentAccuracy.push(outcomeCorrect);
-        if (profile.recentAccuracy.length > REGIME_ACCURACY_WINDOW) {
+        if (profile.recentAccuracy.length > regimeConfig.accuracyWindow) {
             profile.recentAccuracy.shift();
         }
 
-        if (profile.recentAccuracy.length >= REGIME_ACCURACY_WINDOW * 0.7) {
+        if (profile.recentAccuracy.length >= regimeConfig.accuracyWindow * 0.7) {
             const regimeAcc = profile.recentAccuracy.reduce((a,b) => a+b, 0) / profile.recentAccuracy.length;
             // Dynamic learning rate based on overall system accuracy
-            let dynamicLearningRateFactor = 1.0 + Math.abs(0.5 - GLOBAL_LONG_TERM_ACCURACY_FOR_LEARNING_RATE) * 0.7;
+            let dynamicLearningRateFactor = 1.0 + Math.abs(0.5 - engine.globalLongTermAccuracy) * 0.7;
             dynamicLearningRateFactor = Math.max(0.65, Math.min(1.5, dynamicLearningRateFactor));
-            let currentLearningRate = REGIME_LEARNING_RATE_BASE * dynamicLearningRateFactor;
+            let currentLearningRate = regimeConfig.learningRateBase * dynamicLearningRateFactor;
             currentLearningRate = Math.max(0.01, Math.min(0.07, currentLearningRate)); // Clamp learning rate
 
             if (regimeAcc > 0.62) { // Reward good performance
@@ -1287,15 +1315,21 @@ function updateRegimeProfilePerformance(regime, actualOutcome, predictedOutcome)
     }
 }
 
-// Global helper function to categorize signals
-function getSignalCategory(source) {
-    if (source.includes("MACD") || source.includes("Ichimoku") || source.includes("Fusion")) return 'trend';
-    if (source.includes("Stochastic") || source.includes("RSI")) return 'momentum';
-    if (source.includes("Bollinger") || source.includes("Streak") || source.includes("VolSqueezeBreakout")) return 'meanRev';
-    if (source.includes("Alt") || source.includes("Pattern") || source.includes("Transition") || source.includes("WeightedHist")) return 'pattern';
-    if (source.includes("ML-")) return 'ml';
-    if (source.includes("Vol-Trend-Fusion")) return 'fusion'; // Specific for fusion, if needed separately from 'trend'
-    return 'other'; // Default category for unclassified signals
+// Learned state of one regime profile, as reported in prediction output and by /regimes
+function summarizeRegimeProfile(regime, profile) {
+    const recent = profile.recentAccuracy || [];
+    const total = profile.totalPredictions || 0;
+    return {
+        regime,
+        baseWeightMultiplier: profile.baseWeightMultiplier,
+        contextualAggression: profile.contextualAggression,
+        activeSignalTypes: profile.activeSignalTypes,
+        totalPredictions: total,
+        correctPredictions: profile.correctPredictions || 0,
+        hitRate: total > 0 ? (profile.correctPredictions || 0) / total : null,
+        recentHitRate: recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : null,
+        recentSamples: recent.length
+    };
 }
 
 function analyzePredictionConsensus(signals, trendContext) {
@@ -1303,21 +1337,13 @@ function analyzePredictionConsensus(signals, trendContext) {
         return { score: 0.5, factor: 1.0, details: "Insufficient signals for consensus" };
     }
 
-    // Categorize signals to understand diversity of agreement
-    const categories = {
-        trend: { BIG: 0, SMALL: 0, weight: 0 },
-        momentum: { BIG: 0, SMALL: 0, weight: 0 },
-        meanRev: { BIG: 0, SMALL: 0, weight: 0 },
-        pattern: { BIG: 0, SMALL: 0, weight: 0 },
-        ml: { BIG: 0, SMALL: 0, weight: 0 },
-        fusion: { BIG: 0, SMALL: 0, weight: 0 }, // Added fusion as a category
-        other: { BIG: 0, SMALL: 0, weight: 0 }
-    };
+    // Group by declared category to understand diversity of agreement
+    const categories = {};
+    SIGNAL_CATEGORIES.forEach(category => { categories[category] = { BIG: 0, SMALL: 0 }; });
 
     signals.forEach(s => {
-        const category = getSignalCategory(s.source);
-        if (category && (s.prediction === "BIG" || s.prediction === "SMALL")) {
-            categories[category][s.prediction] += s.adjustedWeight;
+        if (categories[s.category] && (s.prediction === "BIG" || s.prediction === "SMALL")) {
+            categories[s.category][s.prediction] += s.adjustedWeight;
         }
     });
 
@@ -1378,7 +1404,7 @@ function analyzeConfidenceModel(preliminaryDecision, signals, consensus, driftSt
     }
 
     if (consensus.score > 0.8 && weightRatio > 4.0 && pqs > 0.75 && driftState === 'STABLE') {
-        const mlSignal = signals.find(s => s.source.startsWith("ML-"));
+        const mlSignal = signals.find(s => s.category === 'ml');
         if (mlSignal && mlSignal.prediction === preliminaryDecision) {
             confidenceLevel = 3;
             confidenceReason = "High-Conviction Consensus with ML Agreement";
@@ -1395,26 +1421,17 @@ function analyzeConfidenceModel(preliminaryDecision, signals, consensus, driftSt
 }
 
 
-function analyzePathConfluenceStrength(signals, finalPrediction) {
+function analyzePathConfluenceStrength(signals, finalPrediction, minimumWeight) {
     if (!signals || signals.length === 0 || !finalPrediction) return { score: 0, diversePaths: 0, details: "No valid signals or prediction." };
 
     // Filter for signals that agree with the final prediction and have meaningful weight
-    const agreeingSignals = signals.filter(s => s.prediction === finalPrediction && s.adjustedWeight > MIN_ABSOLUTE_WEIGHT * 10);
+    const agreeingSignals = signals.filter(s => s.prediction === finalPrediction && s.adjustedWeight > minimumWeight * 10);
     if (agreeingSignals.length < 2) {
         return { score: 0, diversePaths: agreeingSignals.length, details: "Insufficient agreeing signals." };
     }
 
-    // Categorize signals to see how many different types of analysis agree
-    const signalCategories = new Set();
-    agreeingSignals.forEach(s => {
-        if (s.source.includes("MACD") || s.source.includes("Ichimoku")) signalCategories.add('trend');
-        else if (s.source.includes("Stochastic") || s.source.includes("RSI")) signalCategories.add('momentum');
-        else if (s.source.includes("Bollinger") || s.source.includes("ZScore")) signalCategories.add('meanRev');
-        else if (s.source.includes("Gram") || s.source.includes("Cycle") || s.source.includes("Pattern") || s.source.includes("Transition") || s.source.includes("Streak")) signalCategories.add('pattern');
-        else if (s.source.includes("Vol") || s.source.includes("FractalDim")) signalCategories.add('volatility');
-        else if (s.source.includes("Bayesian") || s.source.includes("Superposition") || s.source.includes("ML-")) signalCategories.add('probabilistic');
-        else signalCategories.add('other');
-    });
+    // Count how many different declared categories of analysis agree
+    const signalCategories = new Set(agreeingSignals.map(s => s.category));
 
     const diversePathCount = signalCategories.size;
     let confluenceScore = 0;
@@ -1449,13 +1466,10 @@ function analyzeSignalConsistency(signals, trendContext) {
     return { score: consistencyScore, details: `Overall split B:${predictions.BIG}/S:${predictions.SMALL}` };
 }
 
-let consecutiveHighConfLosses = 0;
-let reflexiveCorrectionActive = 0; // Countdown for reflexive correction mode
-
-function checkForAnomalousPerformance(currentSharedStats) {
-    // If reflexive correction is active, decrement counter and return true
-    if (reflexiveCorrectionActive > 0) {
-        reflexiveCorrectionActive--;
+function checkForAnomalousPerformance(engine, currentSharedStats) {
+    // If reflexive correction is active (engine.reflexiveCorrectionActive is a countdown), decrement counter and return true
+    if (engine.reflexiveCorrectionActive > 0) {
+        engine.reflexiveCorrectionActive--;
         return true;
     }
 
@@ -1468,16 +1482,16 @@ function checkForAnomalousPerformance(currentSharedStats) {
 
         // Count consecutive high-confidence losses
         if (lastPredWasHighConf && !lastPredWasCorrect) {
-            consecutiveHighConfLosses++;
+            engine.consecutiveHighConfLosses++;
         } else {
-            consecutiveHighConfLosses = 0; // Reset if not a high-conf loss
+            engine.consecutiveHighConfLosses = 0; // Reset if not a high-conf loss
         }
     }
 
     // Trigger reflexive correction if 2 or more consecutive high-confidence losses
-    if (consecutiveHighConfLosses >= 2) {
-        reflexiveCorrectionActive = 5; // Activate for 5 periods
-        consecutiveHighConfLosses = 0; // Reset counter
+    if (engine.consecutiveHighConfLosses >= 2) {
+        engine.reflexiveCorrectionActive = 5; // Activate for 5 periods
+        engine.consecutiveHighConfLosses = 0; // Reset counter
         return true;
     }
 
@@ -1531,9 +1545,10 @@ function calculateUncertaintyScore(trendContext, stability, marketEntropyState,
     // New: Reduce uncertainty if PQS is high, indicating good internal quality
     uncertaintyScore = Math.max(0, uncertaintyScore - (pqs - 0.5) * 100); // Subtract up to 50 points if PQS is 1.0
 
-    return { score: uncertaintyScore, reasons: reasons.join(';') };
+    return { score: uncertaintyScore, reasons: reasons.join(';'), reasonList: reasons };
 }
 
+// Without a time (training samples, see createMlTrainingSamples) the set has no time_sin/time_cos
 function createFeatureSetForML(history, trendContext, time) {
     const numbers = history.map(e => parseInt(e.actualNumber || e.actual)).filter(n => !isNaN(n));
     // Ensure sufficient data for all features
@@ -1541,8 +1556,7 @@ function createFeatureSetForML(history, trendContext, time) {
 
     // Return a structured feature set for the ML model
     return {
-        time_sin: time.sin,
-        time_cos: time.cos,
+        ...(time ? { time_sin: time.sin, time_cos: time.cos } : {}),
         last_5_mean: calculateSMA(numbers, 5),
         last_20_mean: calculateSMA(numbers, 20),
         stddev_10: calculateStdDev(numbers, 10),
@@ -1556,38 +1570,99 @@ function createFeatureSetForML(history, trendContext, time) {
     };
 }
 
+/**
+ * Builds labelled samples for the local ML model from stored upstream rows: the features are computed
+ * from the results before each row, exactly as runEnginePrediction would have, and the label is the row's outcome.
+ * Each sample sees the same MAX_CYCLE_HISTORY results a live cycle keeps, so the trend context and the
+ * indicators that depend on how far back they look (MACD, stochastic) match what the model is served.
+ * Stored rows carry no timestamp, so the samples have no time features.
+ * @param {Array<{issueNumber: string, number: string}>} rowsNewestFirst
+ * @param {Object} options - maxSamples.
+ * @returns {Array<{features: Object, label: number}>} Newest first; label is 1 for BIG.
+ */
+function createMlTrainingSamples(rowsNewestFirst, options = {}) {
+    const records = (rowsNewestFirst || []).map(row => ({ actual: row.number, actualNumber: row.number }));
+    const maxSamples = options.maxSamples || Infinity;
+    const samples = [];
+    for (let i = 0; i < records.length && samples.length < maxSamples; i++) {
+        const outcome = getBigSmallFromNumber(records[i].actual);
+        if (!outcome) continue;
+        const prior = records.slice(i + 1, i + 1 + MAX_CYCLE_HISTORY);
+        if (prior.length < 52) break;
+        const features = createFeatureSetForML(prior, getMarketRegimeAndTrendContext(prior));
+        if (features) samples.push({ features, label: outcome === "BIG" ? 1 : 0 });
+    }
+    return samples;
+}
+
+
+// --- Decision Trace ---
+const DECISION_TRACE_VERSION = 1;
+
+// Stages are filled in as runEnginePrediction reaches them; a forced early return leaves the later ones null
+function createDecisionTrace(periodFull, rngSeed) {
+    return {
+        version: DECISION_TRACE_VERSION,
+        periodFull,
+        rngSeed,
+        config: null,
+        time: null,
+        externalData: null,
+        reflexiveCorrection: null,
+        trendContext: null,
+        stability: null,
+        entropy: null,
+        regimeProbabilities: null,
+        drift: null,
+        concentrationMode: null,
+        signals: null,
+        contextualAdjustments: null,
+        consensus: null,
+        scores: null,
+        pqs: null,
+        uncertainty: null,
+        thresholds: null,
+        confidence: null,
+        forced: null,
+        decision: null
+    };
+}
 
 // --- Main Prediction Function ---
-async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
+// options.now: timestamp used instead of the wall clock (backtests), options.disableMlSignals: skip the ML signals,
+// options.silent: suppress per-prediction console output, options.seed: seed for every random choice (recorded as rngSeed),
+// options.externalFactors: snapshot from an external factor collector (externalFactors.js), applied to the final confidence
+async function runEnginePrediction(engine, currentSharedHistory, sharedStatsPayload = {}, options = {}) {
     let currentSharedStats = sharedStatsPayload;
 
-    // If the prediction logic state exists, load it.
-    if(currentSharedStats.signalPerformance) {
-        signalPerformance = currentSharedStats.signalPerformance;
-    }
-    if(currentSharedStats.driftDetector) {
-        driftDetector = currentSharedStats.driftDetector;
-    }
-    if(currentSharedStats.regimeSignalProfiles) {
-        REGIME_SIGNAL_PROFILES = currentSharedStats.regimeSignalProfiles;
-    }
-
 
-    const currentPeriodFull = Date.now(); // Unique identifier for the current prediction period
-    const time = getCurrentISTHour();
+    const currentPeriodFull = options.now || Date.now(); // Unique identifier for the current prediction period
+    // Read once, so a config reload during an async signal cannot mix two configs in one prediction
+    const { values: config, hash: configHash } = engine.config;
+    const time = getSessionClock(currentPeriodFull, config.sessions.timezone);
 
-    const realTimeData = getRealTimeExternalData(); // Fetch external data (simulated)
+    const rngSeed = typeof options.seed === 'number' ? options.seed >>> 0 : generateRngSeed();
+    const rng = createSeededRng(rngSeed);
+    const externalFactors = options.externalFactors || null;
+    const realTimeData = summarizeExternalFactors(externalFactors);
 
-    console.log(`Quantum AI Supercore v46.0.3 Initializing Prediction for period ${currentPeriodFull}`);
-    let masterLogic = [`QAScore_v46.0.3(IST_Hr:${time.raw})`];
+    if (!options.silent) console.log(`Quantum AI Supercore v46.0.3 Initializing Prediction for period ${currentPeriodFull}`);
+    let masterLogic = [`QAScore_v46.0.3(Hr:${time.hour} ${time.timezone})`];
     if(realTimeData && realTimeData.reason) {
         masterLogic.push(realTimeData.reason);
     }
+    // Structured counterpart of masterLogic; every stage below records its typed inputs and outputs here
+    const trace = createDecisionTrace(currentPeriodFull, rngSeed);
+    trace.config = { hash: configHash, profile: engine.config.profile };
+    trace.externalData = externalFactors ? { factor: realTimeData ? realTimeData.factor : 1, collectedAt: externalFactors.collectedAt, factors: externalFactors.factors } : null;
+
+    // Every settled result is counted once, whichever exit path this prediction takes
+    engine.observeResults(currentSharedHistory);
 
     // Analyze market context and trend
     const trendContext = getMarketRegimeAndTrendContext(currentSharedHistory);
     const stability = analyzeTrendStability(currentSharedHistory);
-    const updatedAurochsState = discoverAndAdaptRegimes(currentSharedHistory, trendContext, stability, currentSharedStats);
+    const updatedAurochsState = discoverAndAdaptRegimes(engine, currentSharedHistory, trendContext, stability, currentSharedStats);
 
     // Apply custom regime if detected (e.g., "AUROCHS_MODE")
     let finalTrendContext = getMarketRegimeAndTrendContext(currentSharedHistory);
@@ -1595,32 +1670,61 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
        finalTrendContext.macroRegime = "CUSTOM_AUROCHS_MODE";
     }
 
-    const primeTimeSession = getPrimeTimeSession(time.raw);
+    // A scheduled session is always recorded, but only boosts once its own hit rate has beaten the baseline
+    const activeSession = describeActiveSession(config.sessions, time, engine.sessionPerformance);
+    const primeTimeSession = activeSession && activeSession.proven
+        ? { session: activeSession.id, aggression: activeSession.aggression, confidence: activeSession.confidence }
+        : null;
     if (primeTimeSession) {
         masterLogic.push(`!!! PRIME TIME ACTIVE: ${primeTimeSession.session} !!!`);
-    }
+    } else if (activeSession) {
+        masterLogic.push(`Session ${activeSession.id} unproven (${activeSession.samples} settled)`);
+    }
+    trace.time = {
+        timezone: time.timezone,
+        dayOfWeek: time.dayOfWeek,
+        localHour: time.hour,
+        activeSession,
+        primeTimeSession: primeTimeSession ? { ...primeTimeSession } : null
+    };
 
     // Update global accuracy for regime learning (if available from shared stats)
-    let longTermGlobalAccuracy = currentSharedStats?.longTermGlobalAccuracy || GLOBAL_LONG_TERM_ACCURACY_FOR_LEARNING_RATE;
+    let longTermGlobalAccuracy = currentSharedStats?.longTermGlobalAccuracy || engine.globalLongTermAccuracy;
     if (currentSharedStats && typeof currentSharedStats.longTermGlobalAccuracy === 'number') {
-        GLOBAL_LONG_TERM_ACCURACY_FOR_LEARNING_RATE = currentSharedStats.longTermGlobalAccuracy;
+        engine.globalLongTermAccuracy = currentSharedStats.longTermGlobalAccuracy;
     }
 
     // Check for anomalous performance and activate reflexive correction
-    const isReflexiveCorrection = checkForAnomalousPerformance(currentSharedStats);
+    const correctionCountdownBefore = engine.reflexiveCorrectionActive;
+    const isReflexiveCorrection = checkForAnomalousPerformance(engine, currentSharedStats);
+    const reflexiveCorrectionActivated = isReflexiveCorrection && correctionCountdownBefore === 0; // Started on this call
     if (isReflexiveCorrection) {
-        masterLogic.push(`!!! REFLEXIVE CORRECTION ACTIVE !!! (Countdown: ${reflexiveCorrectionActive})`);
+        masterLogic.push(`!!! REFLEXIVE CORRECTION ACTIVE !!! (Countdown: ${engine.reflexiveCorrectionActive})`);
     }
 
     masterLogic.push(`TrendCtx(Dir:${finalTrendContext.direction},Str:${finalTrendContext.strength},Vol:${finalTrendContext.volatility},Regime:${finalTrendContext.macroRegime})`);
+    trace.reflexiveCorrection = { active: isReflexiveCorrection, activated: reflexiveCorrectionActivated, countdown: engine.reflexiveCorrectionActive, consecutiveHighConfLosses: engine.consecutiveHighConfLosses };
+    trace.trendContext = {
+        direction: finalTrendContext.direction,
+        strength: finalTrendContext.strength,
+        volatility: finalTrendContext.volatility,
+        macroRegime: finalTrendContext.macroRegime,
+        detectedMacroRegime: trendContext.macroRegime,
+        isTransitioning: Boolean(finalTrendContext.isTransitioning),
+        details: finalTrendContext.details,
+        aurochsChoppyCount: updatedAurochsState.choppyCount
+    };
+    trace.stability = { isStable: stability.isStable, reason: stability.reason, dominance: stability.dominance };
 
     // Analyze market entropy
     const marketEntropyAnalysis = analyzeMarketEntropyState(currentSharedHistory, finalTrendContext, stability);
     masterLogic.push(`MarketEntropy:${marketEntropyAnalysis.state}`);
+    trace.entropy = { state: marketEntropyAnalysis.state, details: marketEntropyAnalysis.details };
 
     // Analyze advanced market regime probabilities
     const advancedRegime = analyzeAdvancedMarketRegime(finalTrendContext, marketEntropyAnalysis);
     masterLogic.push(`AdvRegime:${advancedRegime.details}`);
+    trace.regimeProbabilities = { ...advancedRegime.probabilities };
 
     // Determine if concentration mode should be engaged (due to instability, chaos, or reflexive correction)
     let concentrationModeEngaged = !stability.isStable || isReflexiveCorrection || marketEntropyAnalysis.state.includes("CHAOS");
@@ -1629,7 +1733,7 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     let driftState = 'STABLE';
     if (currentSharedStats && typeof currentSharedStats.lastActualOutcome !== 'undefined' && currentSharedStats.lastPredictedOutcome !== undefined) {
         const lastPredictionWasCorrect = getBigSmallFromNumber(currentSharedStats.lastActualOutcome) === currentSharedStats.lastPredictedOutcome;
-        driftState = detectConceptDrift(lastPredictionWasCorrect);
+        driftState = detectConceptDrift(engine, lastPredictionWasCorrect);
         if (driftState !== 'STABLE') {
             masterLogic.push(`!!! DRIFT DETECTED: ${driftState} !!!`);
             concentrationModeEngaged = true; // Engage concentration mode on drift
@@ -1637,6 +1741,8 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     }
 
     if (concentrationModeEngaged) masterLogic.push(`ConcentrationModeActive`);
+    trace.drift = { state: driftState, samples: engine.driftDetector.n };
+    trace.concentrationMode = concentrationModeEngaged;
 
     const currentVolatilityRegimeForPerf = finalTrendContext.volatility;
     const currentMacroRegime = finalTrendContext.macroRegime;
@@ -1644,6 +1750,7 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     // Update signal and regime performance based on previous period's outcome
     if (currentSharedStats && currentSharedStats.lastPredictionSignals && currentSharedStats.lastActualOutcome) {
         updateSignalPerformance(
+            engine,
             currentSharedStats.lastPredictionSignals,
             getBigSmallFromNumber(currentSharedStats.lastActualOutcome),
             currentSharedStats.lastPeriodFull,
@@ -1654,97 +1761,128 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
         );
 
         if (currentSharedStats.lastPredictedOutcome) {
-            updateRegimeProfilePerformance(currentSharedStats.lastMacroRegime, getBigSmallFromNumber(currentSharedStats.lastActualOutcome), currentSharedStats.lastPredictedOutcome);
+            updateRegimeProfilePerformance(engine, currentSharedStats.lastMacroRegime, getBigSmallFromNumber(currentSharedStats.lastActualOutcome), currentSharedStats.lastPredictedOutcome);
         }
     }
 
+    // Get the current regime's specific profile or default
+    const regimeProfileKey = engine.regimeSignalProfiles[currentMacroRegime] ? currentMacroRegime : "DEFAULT";
+    const currentRegimeProfile = engine.regimeSignalProfiles[regimeProfileKey];
+    const regimeProfileSummary = summarizeRegimeProfile(regimeProfileKey, currentRegimeProfile);
+
     // Filter history to only confirmed results for analysis
     const confirmedHistory = currentSharedHistory.filter(p => p && p.actual !== null && p.actualNumber !== undefined);
-    if (confirmedHistory.length < 52) { // Minimum history required for robust analysis
+    if (confirmedHistory.length < config.history.minConfirmedResults) { // Minimum history required for robust analysis
         masterLogic.push(`InsufficientHistory_ForceRandom`);
-        const finalDecision = Math.random() > 0.5 ? "BIG" : "SMALL";
+        const finalDecision = rng() > 0.5 ? "BIG" : "SMALL";
+        trace.forced = { isForced: true, cause: "InsufficientHistory", confirmedResults: confirmedHistory.length, required: config.history.minConfirmedResults };
+        trace.decision = { decision: finalDecision, confidence: 0.5, confidenceLevel: 1 };
         const predictionOutput = {
             predictions: { BIG: { confidence: 0.5, logic: "ForcedRandom" }, SMALL: { confidence: 0.5, logic: "ForcedRandom" } },
             finalDecision: finalDecision, finalConfidence: 0.5, confidenceLevel: 1, isForcedPrediction: true,
-            overallLogic: masterLogic.join(' -> '), source: "InsufficientHistory",
+            overallLogic: masterLogic.join(' -> '), source: "InsufficientHistory", rngSeed,
+            currentMacroRegime, marketEntropyState: marketEntropyAnalysis.state,
+            localHour: time.hour, timezone: time.timezone, activeSession, primeTimeSession: primeTimeSession ? primeTimeSession.session : null,
+            driftState, reflexiveCorrectionActivated, regimeProfile: regimeProfileSummary, externalFactors, configHash, trace
         };
-        // Update shared stats for the next cycle
-        const newState = {
-            ...currentSharedStats,
+        return withStateEnvelope(engine, predictionOutput, {
             lastPredictedOutcome: finalDecision, lastFinalConfidence: 0.5, lastConfidenceLevel: 1, lastMacroRegime: currentMacroRegime,
             lastPredictionSignals: [], lastConcentrationModeEngaged: concentrationModeEngaged,
-            lastMarketEntropyState: marketEntropyAnalysis.state, lastVolatilityRegime: finalTrendContext.volatility, periodFull: currentPeriodFull,
-            aurochsState: updatedAurochsState
-        };
-        return predictionOutput;
+            lastMarketEntropyState: marketEntropyAnalysis.state, lastVolatilityRegime: finalTrendContext.volatility,
+            lastPeriodFull: currentPeriodFull, aurochsState: updatedAurochsState
+        });
     }
 
     let signals = [];
-    // Get the current regime's specific profile or default
-    const currentRegimeProfile = REGIME_SIGNAL_PROFILES[currentMacroRegime] || REGIME_SIGNAL_PROFILES["DEFAULT"];
+    const regimeWeightMultiplier = currentRegimeProfile.baseWeightMultiplier || 1.0;
     let regimeContextualAggression = (currentRegimeProfile.contextualAggression || 1.0) * (primeTimeSession?.aggression || 1.0);
 
     // Reduce aggression during reflexive correction or drift
     if (isReflexiveCorrection || driftState === 'DRIFT') regimeContextualAggression *= 0.25;
     else if (concentrationModeEngaged) regimeContextualAggression *= 0.6;
 
-    // Define all signal generators
-    const signalGenerators = [
-        () => analyzeTransitions(confirmedHistory, 0.05),
-        () => analyzeStreaks(confirmedHistory, 0.045),
-        () => analyzeAlternatingPatterns(confirmedHistory, 0.06),
-        () => analyzeRSI(confirmedHistory, 14, 0.08, finalTrendContext.volatility),
-        () => analyzeMACD(confirmedHistory, 12, 26, 9, 0.09),
-        () => analyzeBollingerBands(confirmedHistory, 20, 2.1, 0.07),
-        () => analyzeIchimokuCloud(confirmedHistory, 9, 26, 52, 0.14),
-        () => analyzeStochastic(confirmedHistory, 14, 3, 3, 0.08, finalTrendContext.volatility),
-        () => analyzeVolatilityBreakout(confirmedHistory, trendContext, 0.07),
-        () => analyzeVolatilityTrendFusion(finalTrendContext, marketEntropyAnalysis, 0.25)
-    ];
-
-    // Create feature set for ML models
-    const mlFeatures = createFeatureSetForML(confirmedHistory, trendContext, time);
-    if(mlFeatures) {
-         if (currentRegimeProfile.activeSignalTypes.includes('ml_standard')) {
-            // Await the asynchronous ML signal
-            const mlStandardSignal = await analyzeMLModelSignal_Standard(mlFeatures, 0.40);
-            if (mlStandardSignal) signalGenerators.push(() => mlStandardSignal); // Add as a function that returns the result
-         }
-         if (currentRegimeProfile.activeSignalTypes.includes('ml_volatile')) {
-            // Await the asynchronous ML signal
-            const mlVolatileSignal = await analyzeMLModelSignal_Volatile(mlFeatures, 0.45);
-            if (mlVolatileSignal) signalGenerators.push(() => mlVolatileSignal); // Add as a function that returns the result
-         }
-    }
-
-    // Collect all signals, applying dynamic weight adjustments
-    for (const gen of signalGenerators) {
-        const result = await Promise.resolve(gen()); // Ensure all generators are awaited, even if synchronous
+    const signalContext = {
+        history: confirmedHistory,
+        trendContext,
+        finalTrendContext,
+        marketEntropy: marketEntropyAnalysis,
+        time,
+        rng,
+        engine,
+        mlFeatures: createFeatureSetForML(confirmedHistory, trendContext, time)
+    };
+    const skippedSignals = [];
+
+    // Run every registered signal that applies here, applying dynamic weight adjustments
+    for (const definition of engine.signalRegistry.list()) {
+        let skipReason = null;
+        if (definition.category === 'ml' && options.disableMlSignals) skipReason = 'Disabled';
+        else if (!isSignalActiveInRegime(definition, currentRegimeProfile)) skipReason = `RegimeGated:${regimeProfileKey}`;
+        else if (confirmedHistory.length < definition.minHistory) skipReason = 'InsufficientHistory';
+        if (skipReason) {
+            skippedSignals.push({ id: definition.id, reason: skipReason });
+            continue;
+        }
+
+        const regimeWeight = definition.defaultWeight * regimeWeightMultiplier;
+        const params = config.signalParams[definition.id] ? { ...definition.params, ...config.signalParams[definition.id] } : definition.params;
+        let result;
+        try {
+            result = definition.async
+                ? await definition.run(signalContext, params, regimeWeight)
+                : definition.run(signalContext, params, regimeWeight);
+        } catch (error) {
+            console.error(`Signal ${definition.id} failed:`, error);
+            result = null;
+        }
         if (result && result.weight && result.prediction) {
-            result.adjustedWeight = getDynamicWeightAdjustment(result.source, result.weight * regimeContextualAggression, currentPeriodFull, currentVolatilityRegimeForPerf, currentSharedHistory);
+            result.signalId = definition.id;
+            result.category = definition.category;
+            result.adjustedWeight = getDynamicWeightAdjustment(engine, result.source, result.weight * regimeContextualAggression, currentPeriodFull, currentVolatilityRegimeForPerf, currentSharedHistory);
             signals.push(result);
         }
     }
 
-    const validSignals = signals.filter(s => s?.prediction && s.adjustedWeight > MIN_ABSOLUTE_WEIGHT);
+    const validSignals = signals.filter(s => s?.prediction && s.adjustedWeight > config.performance.minAbsoluteWeight);
     masterLogic.push(`ValidSignals(${validSignals.length}/${signals.length})`);
+    trace.signals = {
+        regimeProfile: regimeProfileSummary,
+        regimeWeightMultiplier,
+        regimeAggression: regimeContextualAggression,
+        generated: signals.length,
+        valid: validSignals.length,
+        minimumWeight: config.performance.minAbsoluteWeight,
+        skipped: skippedSignals,
+        list: signals.map(s => ({
+            signalId: s.signalId,
+            source: s.source,
+            category: s.category,
+            prediction: s.prediction,
+            baseWeight: s.weight,
+            adjustedWeight: s.adjustedWeight,
+            isValid: validSignals.includes(s)
+        }))
+    };
 
     if (validSignals.length === 0) {
         masterLogic.push(`NoValidSignals_ForceRandom`);
-        const finalDecision = Math.random() > 0.5 ? "BIG" : "SMALL";
+        const finalDecision = rng() > 0.5 ? "BIG" : "SMALL";
+        trace.forced = { isForced: true, cause: "NoValidSignals", signalsGenerated: signals.length, minimumWeight: config.performance.minAbsoluteWeight };
+        trace.decision = { decision: finalDecision, confidence: 0.5, confidenceLevel: 1 };
         const predictionOutput = {
             predictions: { BIG: { confidence: 0.5, logic: "ForcedRandom" }, SMALL: { confidence: 0.5, logic: "ForcedRandom" } },
             finalDecision: finalDecision, finalConfidence: 0.5, confidenceLevel: 1, isForcedPrediction: true,
-            overallLogic: masterLogic.join(' -> '), source: "NoValidSignals",
+            overallLogic: masterLogic.join(' -> '), source: "NoValidSignals", rngSeed,
+            currentMacroRegime, marketEntropyState: marketEntropyAnalysis.state,
+            localHour: time.hour, timezone: time.timezone, activeSession, primeTimeSession: primeTimeSession ? primeTimeSession.session : null,
+            driftState, reflexiveCorrectionActivated, regimeProfile: regimeProfileSummary, externalFactors, configHash, trace
         };
-         const newState = {
-            ...currentSharedStats,
+        return withStateEnvelope(engine, predictionOutput, {
             lastPredictedOutcome: finalDecision, lastFinalConfidence: 0.5, lastConfidenceLevel: 1, lastMacroRegime: currentMacroRegime,
             lastPredictionSignals: [], lastConcentrationModeEngaged: concentrationModeEngaged,
-            lastMarketEntropyState: marketEntropyAnalysis.state, lastVolatilityRegime: finalTrendContext.volatility, periodFull: currentPeriodFull,
-            aurochsState: updatedAurochsState
-        };
-        return predictionOutput;
+            lastMarketEntropyState: marketEntropyAnalysis.state, lastVolatilityRegime: finalTrendContext.volatility,
+            lastPeriodFull: currentPeriodFull, aurochsState: updatedAurochsState
+        });
     }
 
     // --- NEW: Contextual Signal Boosting/Suppression ---
@@ -1775,13 +1913,14 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     }
 
     // Apply these adjustments to signal weights
+    trace.contextualAdjustments = { entropyState: currentEntropyState, trendStrength: currentTrendStrength, multipliers: { ...contextualSignalAdjustments }, applied: [] };
     validSignals.forEach(s => {
-        const category = getSignalCategory(s.source);
+        const category = s.category;
         if (contextualSignalAdjustments[category]) {
             const originalWeight = s.adjustedWeight;
             s.adjustedWeight *= contextualSignalAdjustments[category];
-            s.logic = (s.logic || s.source) + ` (CtxAdj:${contextualSignalAdjustments[category].toFixed(2)})`; // Add to logic for debugging
-            // console.log(`Signal ${s.source} (${category}): Original Weight ${originalWeight.toFixed(5)}, Adjusted to ${s.adjustedWeight.toFixed(5)}`);
+            s.contextMultiplier = contextualSignalAdjustments[category];
+            trace.contextualAdjustments.applied.push({ source: s.source, category, multiplier: s.contextMultiplier, weightBefore: originalWeight, weightAfter: s.adjustedWeight });
         }
     });
     masterLogic.push(`ContextualAdjustmentApplied`);
@@ -1791,31 +1930,38 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     // Analyze consensus among signals
     const consensus = analyzePredictionConsensus(validSignals, finalTrendContext);
     masterLogic.push(`Consensus:${consensus.details},Factor:${consensus.factor.toFixed(2)}`);
+    trace.consensus = { score: consensus.score, factor: consensus.factor, details: consensus.details };
 
     let bigScore = 0; let smallScore = 0;
     validSignals.forEach(signal => {
         if (signal.prediction === "BIG") bigScore += signal.adjustedWeight;
         else if (signal.prediction === "SMALL") smallScore += signal.adjustedWeight;
     });
+    trace.scores = { signalSum: { BIG: bigScore, SMALL: smallScore } };
 
     // Apply advanced regime probabilities to scores
     bigScore *= (1 + advancedRegime.probabilities.bullTrend - advancedRegime.probabilities.bearTrend);
     smallScore *= (1 + advancedRegime.probabilities.bearTrend - advancedRegime.probabilities.bullTrend);
+    trace.scores.afterRegimeProbabilities = { BIG: bigScore, SMALL: smallScore };
 
     // Apply consensus factor
     bigScore *= consensus.factor;
     smallScore *= (2.0 - consensus.factor); // If consensus factor is high, bigScore gets boosted, smallScore gets reduced
+    trace.scores.afterConsensus = { BIG: bigScore, SMALL: smallScore };
 
     const totalScore = bigScore + smallScore;
-    let finalDecision = totalScore > 0 ? (bigScore >= smallScore ? "BIG" : "SMALL") : (Math.random() > 0.5 ? "BIG" : "SMALL");
+    let finalDecision = totalScore > 0 ? (bigScore >= smallScore ? "BIG" : "SMALL") : (rng() > 0.5 ? "BIG" : "SMALL");
     let finalConfidence = totalScore > 0 ? Math.max(bigScore, smallScore) / totalScore : 0.5;
 
-    // Adjust final confidence based on prime time and external data
+    const scoreConfidence = finalConfidence;
+
+    // Adjust final confidence based on prime time and external factors
     finalConfidence = 0.5 + (finalConfidence - 0.5) * (primeTimeSession?.confidence || 1.0) * (realTimeData?.factor || 1.0);
+    const sessionAdjustedConfidence = finalConfidence;
 
     // Analyze signal consistency and path confluence
     const signalConsistency = analyzeSignalConsistency(validSignals, trendContext);
-    const pathConfluence = analyzePathConfluenceStrength(validSignals, finalDecision);
+    const pathConfluence = analyzePathConfluenceStrength(validSignals, finalDecision, config.performance.minAbsoluteWeight);
     masterLogic.push(`LAYER 9: Signal Consistency & Path Confluence (Consistency:${signalConsistency.score.toFixed(2)}, Confluence:${pathConfluence.score.toFixed(2)})`);
     
     // Calculate Prediction Quality Score (PQS)
@@ -1825,21 +1971,28 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     const uncertaintyForPqs = calculateUncertaintyScore(trendContext, stability, marketEntropyAnalysis, signalConsistency, pathConfluence, longTermGlobalAccuracy, isReflexiveCorrection, driftState, 0.5);
     pqs = Math.max(0.01, Math.min(0.99, pqs - (uncertaintyForPqs.score / 500))); // Reduce PQS based on overall uncertainty
     masterLogic.push(`PQS:${pqs.toFixed(3)}`);
+    trace.pqs = {
+        score: pqs,
+        signalConsistency: signalConsistency.score,
+        pathConfluence: pathConfluence.score,
+        preliminaryUncertainty: uncertaintyForPqs.score
+    };
 
     // Calculate overall uncertainty score and modulate final confidence
     const uncertainty = calculateUncertaintyScore(trendContext, stability, marketEntropyAnalysis, signalConsistency, pathConfluence, longTermGlobalAccuracy, isReflexiveCorrection, driftState, pqs);
     const uncertaintyFactor = 1.0 - Math.min(1.0, uncertainty.score / (120.0 + pqs * 50)); // PQS can reduce the effective uncertainty score threshold
     finalConfidence = 0.5 + (finalConfidence - 0.5) * uncertaintyFactor;
     masterLogic.push(`LAYER 10: Uncertainty Modulation & Final Calibration (Uncertainty Score:${uncertainty.score.toFixed(0)}, Factor:${uncertaintyFactor.toFixed(2)}; Reasons:${uncertainty.reasons})`);
+    trace.uncertainty = { score: uncertainty.score, factor: uncertaintyFactor, reasons: uncertainty.reasonList };
 
 
     // Define confidence level thresholds, adjusted for prime time
-    let highConfThreshold = 0.78, medConfThreshold = 0.65;
+    let highConfThreshold = config.confidence.highThreshold, medConfThreshold = config.confidence.mediumThreshold;
     let highPqsThreshold = 0.75, medPqsThreshold = 0.60;
 
     if (primeTimeSession) {
-        highConfThreshold = 0.72; // Slightly lower thresholds during prime time
-        medConfThreshold = 0.60;
+        highConfThreshold = config.confidence.primeTimeHighThreshold; // Slightly lower thresholds during prime time
+        medConfThreshold = config.confidence.primeTimeMediumThreshold;
         highPqsThreshold = 0.70;
         medPqsThreshold = 0.55;
     }
@@ -1853,13 +2006,36 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
     }
 
     // Force prediction to low confidence if uncertainty is too high or PQS is too low
-    const uncertaintyThreshold = isReflexiveCorrection || driftState === 'DRIFT' ? 65 : 95;
+    const uncertaintyThreshold = isReflexiveCorrection || driftState === 'DRIFT' ? config.uncertainty.correctionThreshold : config.uncertainty.threshold;
     const isForced = uncertainty.score >= uncertaintyThreshold || pqs < 0.20;
+    const preForcingConfidence = finalConfidence;
     if(isForced) {
         confidenceLevel = 1;
-        finalConfidence = 0.5 + (Math.random() - 0.5) * 0.02; // Force near 50% confidence for random pick
+        finalConfidence = 0.5 + (rng() - 0.5) * 0.02; // Force near 50% confidence for random pick
         masterLogic.push(`FORCED_PREDICTION(Uncertainty:${uncertainty.score}/${uncertaintyThreshold},PQS:${pqs})`);
     }
+    trace.thresholds = {
+        primeTimeAdjusted: Boolean(primeTimeSession),
+        highConfidence: highConfThreshold,
+        mediumConfidence: medConfThreshold,
+        highPqs: highPqsThreshold,
+        mediumPqs: medPqsThreshold,
+        forcedUncertainty: uncertaintyThreshold,
+        forcedPqs: 0.20
+    };
+    trace.forced = {
+        isForced,
+        cause: !isForced ? null : uncertainty.score >= uncertaintyThreshold ? "HighUncertainty" : "LowPQS",
+        uncertaintyScore: uncertainty.score,
+        pqs
+    };
+    trace.confidence = {
+        fromScores: scoreConfidence,
+        afterSessionAndExternal: sessionAdjustedConfidence,
+        afterUncertainty: preForcingConfidence,
+        final: finalConfidence
+    };
+    trace.decision = { decision: finalDecision, confidence: finalConfidence, confidenceLevel };
 
     // Ensure display confidences are always between 0 and 1
     const bigDisplayConfidence = finalDecision === "BIG" ? finalConfidence : 1 - finalConfidence;
@@ -1876,28 +2052,521 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
         isForcedPrediction: isForced,
         overallLogic: masterLogic.join(' -> '),
         source: "RealTimeFusionV46.0.3",
-        contributingSignals: validSignals.map(s => ({ source: s.source, prediction: s.prediction, weight: s.adjustedWeight.toFixed(5), logic: s.logic || '' })).sort((a,b)=>b.weight-a.weight).slice(0, 15),
+        rngSeed,
+        contributingSignals: validSignals.map(s => ({ source: s.source, category: s.category, prediction: s.prediction, weight: s.adjustedWeight.toFixed(5), contextMultiplier: s.contextMultiplier || 1, logic: s.logic || '' })).sort((a,b)=>b.weight-a.weight).slice(0, 15),
         currentMacroRegime,
         marketEntropyState: marketEntropyAnalysis.state,
+        localHour: time.hour,
+        timezone: time.timezone,
+        activeSession,
+        primeTimeSession: primeTimeSession ? primeTimeSession.session : null,
+        driftState,
+        reflexiveCorrectionActivated,
+        regimeProfile: regimeProfileSummary,
         predictionQualityScore: pqs,
+        externalFactors,
+        configHash,
+        trace
+    };
+
+    if (!options.silent) console.log(`QAScore v46.0.3 Output: ${output.finalDecision} @ ${(output.finalConfidence * 100).toFixed(1)}% | Lvl: ${output.confidenceLevel} | PQS: ${output.predictionQualityScore.toFixed(2)} | Forced: ${output.isForcedPrediction} | Drift: ${driftState}`);
+    return withStateEnvelope(engine, output, {
         lastPredictedOutcome: finalDecision,
         lastFinalConfidence: finalConfidence,
         lastConfidenceLevel: confidenceLevel,
         lastMacroRegime: currentMacroRegime,
-        lastPredictionSignals: validSignals.map(s => ({ source: s.source, prediction: s.prediction, weight: s.adjustedWeight, isOnProbation: s.isOnProbation || false })),
+        lastPredictionSignals: validSignals.map(s => ({ source: s.source, signalId: s.signalId, category: s.category, prediction: s.prediction, weight: s.adjustedWeight, isOnProbation: s.isOnProbation || false })),
         lastConcentrationModeEngaged: concentrationModeEngaged,
         lastMarketEntropyState: marketEntropyAnalysis.state,
         lastVolatilityRegime: trendContext.volatility,
-        periodFull: currentPeriodFull,
-        aurochsState: updatedAurochsState,
-        // Persist the learning states
-        signalPerformance: signalPerformance,
-        driftDetector: driftDetector,
-        regimeSignalProfiles: REGIME_SIGNAL_PROFILES
+        lastPeriodFull: currentPeriodFull,
+        aurochsState: updatedAurochsState
+    });
+}
+
+/**
+ * Attaches the state envelope every exit path of a prediction returns:
+ *   state.engine - engine.serialize(): signal/regime learning, DDM drift state, correction countdown,
+ *                  high-confidence loss counter and n-gram transition counts
+ *   state.cycle  - the last* fields and aurochsState the next call needs as its sharedStatsPayload
+ * The cycle fields (and the legacy engine fields) are also copied onto the output for older callers.
+ */
+function withStateEnvelope(engine, output, cycleState) {
+    return {
+        ...output,
+        ...cycleState,
+        periodFull: cycleState.lastPeriodFull,
+        signalPerformance: engine.signalPerformance,
+        driftDetector: engine.driftDetector,
+        regimeSignalProfiles: engine.regimeSignalProfiles,
+        state: {
+            engine: engine.serialize(),
+            cycle: cycleState
+        }
     };
+}
+
+// --- Prediction Engine ---
+// Snapshot versions:
+//   1 - the learning fields as they were carried inside sharedStats (signalPerformance, driftDetector,
+//       regimeSignalProfiles, longTermGlobalAccuracy); no schemaVersion field
+//   2 - engine-owned snapshot { schemaVersion, signalPerformance, driftDetector, regimeSignalProfiles,
+//       globalLongTermAccuracy, consecutiveHighConfLosses, reflexiveCorrectionActive, isMlModelLoading }
+//   3 - same fields as 2 with activeSignalTypes naming signal ids or categories; isMlModelLoading is
+//       no longer written and is ignored when present
+//   4 - adds nGramCounts (see countNGramOutcomes); the n-gram signal reports as one NGram source instead
+//       of NGram-<order>
+const ENGINE_STATE_SCHEMA_VERSION = 4;
+
+// Each entry upgrades a snapshot from version N to N + 1
+const ENGINE_STATE_MIGRATIONS = {
+    1: legacy => ({
+        schemaVersion: 2,
+        signalPerformance: legacy.signalPerformance,
+        driftDetector: legacy.driftDetector,
+        regimeSignalProfiles: legacy.regimeSignalProfiles,
+        globalLongTermAccuracy: legacy.longTermGlobalAccuracy,
+        consecutiveHighConfLosses: 0,
+        reflexiveCorrectionActive: 0
+    }),
+    // v3 gates every signal by its profile: legacy activeSignalTypes tokens are mapped onto signal ids and
+    // categories, and the regimes that used to fall back to DEFAULT get profiles (added on restore)
+    2: state => ({
+        ...state,
+        schemaVersion: 3,
+        regimeSignalProfiles: state.regimeSignalProfiles && Object.fromEntries(Object.entries(state.regimeSignalProfiles).map(([regime, profile]) => [
+            regime,
+            { ...profile, activeSignalTypes: migrateActiveSignalTypes(profile.activeSignalTypes) }
+        ]))
+    }),
+    // v4 starts without counts (the owner feeds it the stored results); of the per-order NGram-<n> entries
+    // the most used one carries on as NGram, since their histories cannot be merged
+    3: state => ({
+        ...state,
+        schemaVersion: 4,
+        signalPerformance: state.signalPerformance && migrateNGramPerformance(state.signalPerformance)
+    })
+};
+
+function migrateNGramPerformance(signalPerformance) {
+    const migrated = {};
+    let nGram = null;
+    Object.entries(signalPerformance).forEach(([source, perf]) => {
+        if (!/^NGram-\d+$/.test(source)) migrated[source] = perf;
+        else if (!nGram || (perf.total || 0) > (nGram.total || 0)) nGram = perf;
+    });
+    if (nGram && !migrated.NGram) migrated.NGram = nGram;
+    return migrated;
+}
+
+const LEGACY_SIGNAL_TYPE_NAMES = { volBreak: 'volBreakout', entropy: 'volatility', volPersist: 'volatility' };
+
+function migrateActiveSignalTypes(types) {
+    if (!Array.isArray(types)) return ['all'];
+    return Array.from(new Set(types.map(type => LEGACY_SIGNAL_TYPE_NAMES[type] || type)));
+}
 
-    console.log(`QAScore v46.0.3 Output: ${output.finalDecision} @ ${(output.finalConfidence * 100).toFixed(1)}% | Lvl: ${output.confidenceLevel} | PQS: ${output.predictionQualityScore.toFixed(2)} | Forced: ${output.isForcedPrediction} | Drift: ${driftState}`);
-    return output;
+function migrateEngineSnapshot(snapshot) {
+    let migrated = snapshot;
+    let version = typeof migrated.schemaVersion === 'number' ? migrated.schemaVersion : 1;
+    if (version > ENGINE_STATE_SCHEMA_VERSION) {
+        throw new Error(`Engine snapshot version ${version} is newer than supported version ${ENGINE_STATE_SCHEMA_VERSION}`);
+    }
+    while (version < ENGINE_STATE_SCHEMA_VERSION) {
+        const migrate = ENGINE_STATE_MIGRATIONS[version];
+        if (!migrate) throw new Error(`No migration for engine snapshot version ${version}`);
+        migrated = migrate(migrated);
+        version = migrated.schemaVersion;
+    }
+    return migrated;
+}
+
+const DEFAULT_ENGINE_CONFIG = resolveEngineConfig();
+
+function cloneState(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Keys come from request paths, so inherited properties such as "constructor" must not count as entries
+function hasOwnEntry(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Owns everything the prediction logic learns between calls, so independent engines (e.g. a live
+ * server and a backtest) can run in one process without sharing state.
+ */
+class PredictionEngine {
+    /**
+     * @param {Object} [snapshot] - Output of serialize() from this or an older engine version.
+     * @param {Object} [options] - signalRegistry: registry to run instead of the shared default one;
+     *   mlBackend: local (default), llm or none; mlModel: trained local model (see localModel.js);
+     *   llmClient: client for the llm backend (see llmProviders.js); config: resolved engine config
+     *   (see engineConfig.js; schema defaults otherwise).
+     */
+    constructor(snapshot, options = {}) {
+        this.signalRegistry = options.signalRegistry || signalRegistry;
+        this.mlBackend = options.mlBackend || 'local';
+        this.mlModel = options.mlModel || null;
+        this.llmClient = options.llmClient || null;
+        this.config = options.config || DEFAULT_ENGINE_CONFIG;
+        this.sessionPerformance = {};
+        this.reset();
+        if (snapshot) this.restore(snapshot);
+    }
+
+    reset() {
+        this.signalPerformance = {};
+        this.driftDetector = { ...DEFAULT_DRIFT_DETECTOR };
+        this.regimeSignalProfiles = cloneState(DEFAULT_REGIME_SIGNAL_PROFILES);
+        this.globalLongTermAccuracy = DEFAULT_GLOBAL_LONG_TERM_ACCURACY;
+        this.consecutiveHighConfLosses = 0;
+        this.reflexiveCorrectionActive = 0;
+        this.nGramCounts = createNGramCounts();
+    }
+
+    /**
+     * Runs one prediction against this engine's learning state.
+     * @param {Array<Object>} currentSharedHistory - Cycle history records, newest first.
+     * @param {Object} sharedStatsPayload - Per-cycle stats (last* fields, aurochsState, lastActualOutcome).
+     * @param {Object} options - now, disableMlSignals, silent, seed.
+     * @returns {Promise<Object>} The prediction output.
+     */
+    predict(currentSharedHistory, sharedStatsPayload = {}, options = {}) {
+        return runEnginePrediction(this, currentSharedHistory, sharedStatsPayload, options);
+    }
+
+    /**
+     * Adds results to the n-gram transition counts. Predictions count the cycle history they are given;
+     * owners with a longer store of results (the server's gameData) pass it here as well.
+     * @param {Array<Object>} rowsNewestFirst - Upstream rows ({ issueNumber, number }) or cycle records.
+     * @param {Object} [options] - beforePeriod: only results older than this period are counted, e.g. the
+     *   first one the next prediction settles, so they are counted in order.
+     */
+    observeResults(rowsNewestFirst, options = {}) {
+        countNGramOutcomes(this.nGramCounts, rowsNewestFirst, options.beforePeriod);
+    }
+
+    /**
+     * Switches to another resolved engine config (e.g. after a hot reload); applies from the next prediction.
+     * The config is not part of serialize().
+     */
+    setConfig(config) {
+        this.config = config || DEFAULT_ENGINE_CONFIG;
+    }
+
+    /**
+     * Replaces the per-session hit rates (learnSessionPerformance in sessions.js) that decide which
+     * sessions may boost. They are derived from settled predictions, so they are not part of serialize().
+     */
+    setSessionPerformance(performance) {
+        this.sessionPerformance = performance || {};
+    }
+
+    /**
+     * Swaps in a (re)trained local ML model. The model is persisted on its own, not in serialize().
+     */
+    setMlModel(model) {
+        this.mlModel = model || null;
+    }
+
+    /**
+     * @returns {Array<Object>} Learned performance and weighting of every regime profile.
+     */
+    describeRegimeProfiles() {
+        return Object.entries(this.regimeSignalProfiles).map(([regime, profile]) => summarizeRegimeProfile(regime, profile));
+    }
+
+    // --- Admin operations (see the /admin endpoints in server.js) ---
+    // Each returns { before, after } with copies of the state it replaced and produced, or { error, notFound }.
+
+    /**
+     * Forgets everything learned about one signal; it starts again from neutral weighting on its next use.
+     */
+    resetSignalPerformance(source) {
+        const before = hasOwnEntry(this.signalPerformance, source) ? this.signalPerformance[source] : null;
+        if (!before) return { error: `No performance recorded for signal "${source}".`, notFound: true };
+        delete this.signalPerformance[source];
+        return { before: cloneState(before), after: null };
+    }
+
+    /**
+     * Sets a signal's learned weighting. Accepts currentAdjustmentFactor and alphaFactor within the config's
+     * weight/alpha factor bounds, and longTermImportanceScore within 0..1.
+     */
+    editSignalPerformance(source, changes) {
+        const perf = hasOwnEntry(this.signalPerformance, source) ? this.signalPerformance[source] : null;
+        if (!perf) return { error: `No performance recorded for signal "${source}".`, notFound: true };
+        const performanceConfig = this.config.values.performance;
+        const bounds = {
+            currentAdjustmentFactor: [performanceConfig.minWeightFactor, performanceConfig.maxWeightFactor],
+            alphaFactor: [performanceConfig.minAlphaFactor, performanceConfig.maxAlphaFactor],
+            longTermImportanceScore: [0, 1]
+        };
+        const keys = Object.keys(changes || {});
+        if (keys.length === 0) return { error: `Nothing to change. Editable fields: ${Object.keys(bounds).join(', ')}.` };
+        for (const key of keys) {
+            if (!bounds[key]) return { error: `"${key}" cannot be edited. Editable fields: ${Object.keys(bounds).join(', ')}.` };
+            const [min, max] = bounds[key];
+            if (typeof changes[key] !== 'number' || !(changes[key] >= min && changes[key] <= max)) {
+                return { error: `${key} must be a number from ${min} to ${max}.` };
+            }
+        }
+        const before = cloneState(perf);
+        keys.forEach(key => { perf[key] = changes[key]; });
+        return { before, after: cloneState(perf) };
+    }
+
+    /**
+     * Forces a signal onto probation until cleared (the accuracy and decay rules no longer lift it), or clears
+     * probation and hands it back to those rules.
+     */
+    setSignalProbation(source, onProbation) {
+        const perf = hasOwnEntry(this.signalPerformance, source) ? this.signalPerformance[source] : null;
+        if (!perf) return { error: `No performance recorded for signal "${source}".`, notFound: true };
+        const before = cloneState(perf);
+        perf.isOnProbation = Boolean(onProbation);
+        perf.isProbationForced = Boolean(onProbation);
+        return { before, after: cloneState(perf) };
+    }
+
+    resetDriftDetector() {
+        const before = cloneState(this.driftDetector);
+        this.driftDetector = { ...DEFAULT_DRIFT_DETECTOR };
+        return { before, after: cloneState(this.driftDetector) };
+    }
+
+    /**
+     * Puts a regime profile back to its default; a discovered profile without a default is removed
+     * and will be discovered again if its pattern returns.
+     */
+    resetRegimeProfile(regime) {
+        const before = hasOwnEntry(this.regimeSignalProfiles, regime) ? this.regimeSignalProfiles[regime] : null;
+        if (!before) return { error: `Unknown regime profile "${regime}".`, notFound: true };
+        if (hasOwnEntry(DEFAULT_REGIME_SIGNAL_PROFILES, regime)) this.regimeSignalProfiles[regime] = cloneState(DEFAULT_REGIME_SIGNAL_PROFILES[regime]);
+        else delete this.regimeSignalProfiles[regime];
+        const after = this.regimeSignalProfiles[regime];
+        return {
+            before: summarizeRegimeProfile(regime, before),
+            after: after ? summarizeRegimeProfile(regime, after) : null
+        };
+    }
+
+    /**
+     * @returns {Object} A JSON-safe snapshot of the current schema version.
+     */
+    serialize() {
+        return cloneState({
+            schemaVersion: ENGINE_STATE_SCHEMA_VERSION,
+            signalPerformance: this.signalPerformance,
+            driftDetector: this.driftDetector,
+            regimeSignalProfiles: this.regimeSignalProfiles,
+            globalLongTermAccuracy: this.globalLongTermAccuracy,
+            consecutiveHighConfLosses: this.consecutiveHighConfLosses,
+            reflexiveCorrectionActive: this.reflexiveCorrectionActive,
+            nGramCounts: this.nGramCounts
+        });
+    }
+
+    /**
+     * Replaces the learning state with a snapshot, migrating older schema versions first.
+     * Fields missing from the snapshot fall back to their initial values.
+     * @param {Object} snapshot
+     * @returns {PredictionEngine} this
+     */
+    restore(snapshot) {
+        const state = migrateEngineSnapshot(cloneState(snapshot || {}));
+        this.reset();
+        if (state.signalPerformance) this.signalPerformance = state.signalPerformance;
+        if (state.driftDetector) {
+            this.driftDetector = { ...DEFAULT_DRIFT_DETECTOR, ...state.driftDetector };
+            // Infinity does not survive JSON persistence and comes back as null, which would make DDM report DRIFT forever
+            if (this.driftDetector.p_min === null) this.driftDetector.p_min = Infinity;
+            if (this.driftDetector.s_min === null) this.driftDetector.s_min = Infinity;
+        }
+        // Learned profiles replace the defaults; regimes the snapshot has no profile for keep the default one
+        if (state.regimeSignalProfiles) this.regimeSignalProfiles = { ...this.regimeSignalProfiles, ...state.regimeSignalProfiles };
+        if (typeof state.globalLongTermAccuracy === 'number') this.globalLongTermAccuracy = state.globalLongTermAccuracy;
+        if (typeof state.consecutiveHighConfLosses === 'number') this.consecutiveHighConfLosses = state.consecutiveHighConfLosses;
+        if (typeof state.reflexiveCorrectionActive === 'number') this.reflexiveCorrectionActive = state.reflexiveCorrectionActive;
+        if (state.nGramCounts && state.nGramCounts.contexts) this.nGramCounts = { ...createNGramCounts(), ...state.nGramCounts };
+        return this;
+    }
+}
+
+// Engine behind the stateless ultraAIPredict API; callers that need isolation create their own PredictionEngine
+const defaultEngine = new PredictionEngine();
+
+/**
+ * Compatibility wrapper around the module's default engine. Learning fields found in sharedStatsPayload
+ * (the pre-engine way of carrying state) are loaded into it before predicting.
+ */
+async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}, options = {}) {
+    const stats = sharedStatsPayload || {};
+    if (stats.signalPerformance || stats.driftDetector || stats.regimeSignalProfiles) {
+        defaultEngine.restore({ ...defaultEngine.serialize(), ...stats, schemaVersion: ENGINE_STATE_SCHEMA_VERSION });
+    }
+    return defaultEngine.predict(currentSharedHistory, stats, options);
+}
+
+
+// --- Prediction Cycle Bridge (server integration) ---
+const MAX_CYCLE_HISTORY = 300; // Records kept in appState.historyData; analyzers never look further back
+const MIN_RECORDS_FOR_GLOBAL_ACCURACY = 20; // Settled predictions needed before longTermGlobalAccuracy is reported
+
+function comparePeriodsDesc(a, b) {
+    try {
+        const diff = BigInt(b.period) - BigInt(a.period);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    } catch (error) {
+        return String(b.period).localeCompare(String(a.period));
+    }
+}
+
+function getNextPeriodId(periodId) {
+    try {
+        return (BigInt(periodId) + 1n).toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+function getRepresentativeNumber(history, outcome) {
+    // Most frequent recent number on the predicted side, so the UI has a concrete number to show
+    const counts = {};
+    history.slice(0, 50).forEach(h => {
+        const num = parseInt(h.actualNumber);
+        if (!isNaN(num) && getBigSmallFromNumber(num) === outcome) counts[num] = (counts[num] || 0) + 1;
+    });
+    const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a - b);
+    if (ranked.length > 0) return parseInt(ranked[0], 10);
+    return outcome === "BIG" ? 7 : 2;
+}
+
+function calculateHistoryAccuracy(history) {
+    const settled = history.filter(h => h.status === "Win" || h.status === "Loss");
+    if (settled.length < MIN_RECORDS_FOR_GLOBAL_ACCURACY) return undefined;
+    return settled.filter(h => h.status === "Win").length / settled.length;
+}
+
+function settleHistoryRecord(record, periodId, actualNumber) {
+    if (record && record.prediction) {
+        const status = record.prediction === getBigSmallFromNumber(actualNumber) ? "Win" : "Loss";
+        return { ...record, actual: actualNumber, actualNumber: actualNumber, status };
+    }
+    return { period: periodId, prediction: null, actual: actualNumber, actualNumber: actualNumber, status: "Unpredicted" };
+}
+
+/**
+ * Merges results for periods at or before lastProcessedPeriodId (e.g. found by a backfill) into the cycle history.
+ * Pending predictions for those periods are settled, but no learning update is run because the engine has already moved on.
+ * @param {Array<Object>} historyData - Cycle history records, newest first.
+ * @param {Array<{issueNumber: string|number, number: string|number}>} lateResults - Raw upstream rows.
+ * @returns {Array<Object>} The merged history, newest first.
+ */
+function mergeLateResults(historyData = [], lateResults = []) {
+    const history = (Array.isArray(historyData) ? historyData : []).filter(h => h);
+    lateResults.forEach(row => {
+        if (!row || row.issueNumber === undefined || row.issueNumber === null) return;
+        const periodId = String(row.issueNumber);
+        const actualNumber = parseInt(row.number, 10);
+        if (isNaN(actualNumber) || !getBigSmallFromNumber(actualNumber)) return;
+
+        const index = history.findIndex(h => String(h.period) === periodId);
+        if (index === -1) {
+            history.push(settleHistoryRecord(null, periodId, actualNumber));
+        } else if (history[index].actual === null || history[index].actual === undefined) {
+            history[index] = settleHistoryRecord(history[index], periodId, actualNumber);
+        }
+    });
+    return history.sort(comparePeriodsDesc).slice(0, MAX_CYCLE_HISTORY);
+}
+
+/**
+ * Settles the previous prediction against a fresh upstream result and produces the next one.
+ * @param {{issueNumber: string|number, number: string|number}} latestGameResult - Raw upstream row.
+ * @param {Array<Object>} historyData - Cycle history records, newest first.
+ * @param {string|null} lastProcessedPeriodId - Period handled by the previous cycle.
+ * @param {Object} sharedStats - Per-cycle stats returned by the previous cycle.
+ * @param {number} currentSystemLosses - Current consecutive loss streak.
+ * @param {Object} options - options.engine is the PredictionEngine to use (the module default otherwise); the rest
+ *   (now, disableMlSignals, silent, externalFactors) is passed to engine.predict. A numeric options.seed is treated as the base seed
+ *   of a run and combined with the period id, so each period stays reproducible on its own.
+ * @returns {Promise<Object|null>} Null when the row is unusable or already processed.
+ */
+async function processPredictionCycle(latestGameResult, historyData = [], lastProcessedPeriodId = null, sharedStats = {}, currentSystemLosses = 0, options = {}) {
+    if (!latestGameResult || latestGameResult.issueNumber === undefined || latestGameResult.issueNumber === null) return null;
+    const periodId = String(latestGameResult.issueNumber);
+    const actualNumber = parseInt(latestGameResult.number, 10);
+    if (isNaN(actualNumber) || !getBigSmallFromNumber(actualNumber)) return null;
+    if (lastProcessedPeriodId !== null && comparePeriodsDesc({ period: periodId }, { period: lastProcessedPeriodId }) >= 0) return null;
+
+    // Settle the pending prediction for this period (if one was made) and record the result
+    let history = (Array.isArray(historyData) ? historyData : []).filter(h => h && String(h.period) !== periodId);
+    const pendingRecord = (Array.isArray(historyData) ? historyData : []).find(h => h && String(h.period) === periodId);
+    const settledRecord = settleHistoryRecord(pendingRecord, periodId, actualNumber);
+    history.push(settledRecord);
+    history.sort(comparePeriodsDesc);
+
+    let updatedSystemLosses = currentSystemLosses || 0;
+    if (settledRecord.status === "Win") updatedSystemLosses = 0;
+    else if (settledRecord.status === "Loss") updatedSystemLosses++;
+
+    // Only feed the outcome back when it belongs to the prediction the learning state remembers
+    const engine = options.engine || defaultEngine;
+    const statsForCycle = { ...(sharedStats || {}) };
+    // Pre-engine appStates carried the learning fields here; they are migrated once by the engine's owner
+    ['signalPerformance', 'driftDetector', 'regimeSignalProfiles', 'lastActualOutcome'].forEach(key => delete statsForCycle[key]);
+    if (statsForCycle.lastPredictionPeriod === periodId && statsForCycle.lastPredictedOutcome) {
+        statsForCycle.lastActualOutcome = String(actualNumber); // String so that a 0 result is not treated as missing
+    } else {
+        delete statsForCycle.lastPredictionSignals;
+        delete statsForCycle.lastPredictedOutcome;
+    }
+    const globalAccuracy = calculateHistoryAccuracy(history);
+    if (typeof globalAccuracy === 'number') statsForCycle.longTermGlobalAccuracy = globalAccuracy;
+
+    const cycleOptions = { ...options };
+    delete cycleOptions.engine;
+    if (typeof options.seed === 'number') cycleOptions.seed = deriveRngSeed(options.seed, periodId);
+    const predictionOutput = await engine.predict(history, statsForCycle, cycleOptions);
+    const nextPeriodId = getNextPeriodId(periodId);
+
+    // Every exit path of the engine returns the full state envelope, so the cycle state is replaced as a whole
+    const updatedSharedStats = { ...statsForCycle, ...predictionOutput.state.cycle };
+    delete updatedSharedStats.lastActualOutcome;
+    updatedSharedStats.lastPredictionPeriod = nextPeriodId;
+
+    const nextPeriodPredictedNumber = getRepresentativeNumber(history, predictionOutput.finalDecision);
+    if (nextPeriodId) {
+        history.unshift({
+            period: nextPeriodId,
+            prediction: predictionOutput.finalDecision,
+            predictedNumber: nextPeriodPredictedNumber,
+            confidence: predictionOutput.finalConfidence,
+            confidenceLevel: predictionOutput.confidenceLevel,
+            isForcedPrediction: predictionOutput.isForcedPrediction,
+            rngSeed: predictionOutput.rngSeed,
+            actual: null,
+            status: "Pending"
+        });
+    }
+
+    return {
+        updatedHistoryData: history.slice(0, MAX_CYCLE_HISTORY),
+        lastProcessedPeriodId: periodId,
+        updatedSystemLosses,
+        updatedSharedStats,
+        engineState: predictionOutput.state.engine,
+        settledRecord,
+        nextPeriodId,
+        nextPeriodPrediction: predictionOutput.finalDecision,
+        nextPeriodPredictedNumber,
+        nextPeriodConfidence: parseFloat((predictionOutput.finalConfidence * 100).toFixed(1)),
+        rationale: predictionOutput.overallLogic,
+        rngSeed: predictionOutput.rngSeed,
+        predictionOutput
+    };
 }
 
 
@@ -1905,6 +2574,15 @@ async function ultraAIPredict(currentSharedHistory, sharedStatsPayload = {}) {
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
     module.exports = {
         ultraAIPredict,
+        PredictionEngine,
+        ENGINE_STATE_SCHEMA_VERSION,
+        signalRegistry,
+        createSignalRegistry,
+        SIGNAL_CATEGORIES,
+        processPredictionCycle,
+        createMlTrainingSamples,
+        mergeLateResults,
+        createSeededRng,
         getBigSmallFromNumber
     };
 }
@@ -1,9 +1,25 @@
 require('dotenv').config(); // Loads .env file for local development
 const express = require('express');
-const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
-const { processPredictionCycle } = require('./predictionLogic.js');
+const { PredictionEngine, signalRegistry, processPredictionCycle, mergeLateResults, getBigSmallFromNumber } = require('./predictionLogic.js');
+const { createProviderFromEnv } = require('./dataSources.js');
+const { backfillMissingPeriods, estimatePeriodTimes, isNewerPeriod, mergeUniqueRows } = require('./backfill.js');
+const { createRepositoryFromEnv } = require('./storage.js');
+const { loadGamesFromEnv, findGame } = require('./games.js');
+const { createLedger, createLedgerEntry, recordPrediction, archiveLedger, settleLedger, reconcileLedger, parseLedgerQuery, queryLedger, ledgerOptionsFromEnv } = require('./ledger.js');
+const { computeLedgerStats, parseStatsQuery } = require('./stats.js');
+const { fitCalibrator, calibrationOptionsFromEnv } = require('./calibration.js');
+const { createEventBus, createSseHandler, attachWebSocketServer } = require('./events.js');
+const { createWebhookDispatcher, webhookOptionsFromEnv } = require('./webhooks.js');
+const { describeLocalModel, mlModelOptionsFromEnv } = require('./localModel.js');
+const { trainLocalModelInWorker } = require('./localModelWorker.js');
+const { createLlmClientFromEnv } = require('./llmProviders.js');
+const { createExternalFactorCollectorFromEnv } = require('./externalFactors.js');
+const { createEngineConfigStore, engineConfigOptionsFromEnv, describeEngineConfigSchema } = require('./engineConfig.js');
+const { getSessionClock, learnSessionPerformance, describeActiveSession } = require('./sessions.js');
+const { createAuditLog, adminOptionsFromEnv } = require('./admin.js');
+const { ENV_API_KEY_ID, createApiKeyStore, createApiKeyMiddleware, apiKeyOptionsFromEnv } = require('./apiKeys.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,8 +35,6 @@ app.use(cors(corsOptions));
 
 // --- PATHS FOR DATA PERSISTENCE ---
 const DATA_DIR = process.env.RENDER_DISK_PATH || __dirname;
-const GAME_DATA_PATH = path.join(DATA_DIR, 'gameData.json');
-const APP_STATE_PATH = path.join(DATA_DIR, 'appState.json');
 
 // Ensure the data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -28,157 +42,451 @@ if (!fs.existsSync(DATA_DIR)) {
     console.log(`Created data directory at: ${DATA_DIR}`);
 }
 
+// Every game's documents are written atomically with checksums; see storage.js (STORAGE_BACKEND=file|sqlite).
+const repository = createRepositoryFromEnv(DATA_DIR, process.env);
+console.log(`Using ${repository.backend} storage backend in ${DATA_DIR}`);
+
 app.use(express.json());
 
 // --- API Key Middleware ---
-// This middleware protects your endpoints.
-const requireApiKey = (req, res, next) => {
-  const apiKey = req.get('X-API-Key');
-  const serverApiKey = process.env.API_KEY;
-
-  if (!serverApiKey) {
-      console.error("API_KEY environment variable is not set on the server.");
-      return res.status(500).json({ error: 'Server configuration error.' });
-  }
+// Keys, their scopes, limits and usage live in the key store; see apiKeys.js. Each endpoint requires one scope.
+const apiKeys = createApiKeyStore({ repository, ...apiKeyOptionsFromEnv(process.env) });
+if (apiKeys.list().length === 0) {
+    console.warn('No API keys configured: set API_KEY and ADMIN_API_KEY, or every request will be refused.');
+}
 
-  if (!apiKey || apiKey !== serverApiKey) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid or missing API Key' });
-  }
-  next();
-};
+const readApiKey = req => req.get('X-API-Key');
+// Browsers cannot set headers on EventSource or WebSocket connections, so streams also accept ?apiKey=
+const readStreamApiKey = req => req.get('X-API-Key') || req.query.apiKey;
+const requirePredictScope = createApiKeyMiddleware(apiKeys, 'predict', readApiKey);
+const requireStreamPredictScope = createApiKeyMiddleware(apiKeys, 'predict', readStreamApiKey);
+const requireResultsScope = createApiKeyMiddleware(apiKeys, 'results', readApiKey);
+const requireGameDataScope = createApiKeyMiddleware(apiKeys, 'game-data', readApiKey);
+// Admin endpoints read their key from X-Admin-Key; the ones that change something are audited (see admin.js)
+const readAdminKey = req => req.get('X-Admin-Key');
+const requireAdminKey = createApiKeyMiddleware(apiKeys, 'admin', readAdminKey);
+const auditLog = createAuditLog({ repository, limit: adminOptionsFromEnv(process.env).auditLimit });
+
+
+// --- GAMES ---
+// Selected with GAMES (default 1m,3m,5m); see games.js. Every game runs its own upstream source,
+// history, prediction engine and poll timer, so learning in one game never affects another.
+const games = loadGamesFromEnv(process.env);
+
+// --- UPSTREAM DATA SOURCE ---
+// Selected with UPSTREAM_PROVIDER (http, file or mock); see dataSources.js for the settings of each.
+function createGameDataSource(game) {
+    // Mock games get distinct seeds so their simulated results differ; the first typeId keeps MOCK_SEED as is
+    const mockSeed = (parseInt(process.env.MOCK_SEED, 10) || 20240101) + (game.typeId - 1) * 1000003;
+    return createProviderFromEnv(process.env, {
+        typeId: game.typeId,
+        seed: mockSeed,
+        filePath: process.env[`REPLAY_FILE_${game.key.toUpperCase()}`] || process.env.REPLAY_FILE
+    });
+}
 
 
 // --- APPLICATION STATE MANAGEMENT ---
-let appState = {
-    historyData: [],
-    lastProcessedPeriodId: null,
-    currentSystemLosses: 0,
-    nextPrediction: null
-};
+function createInitialAppState() {
+    // paused: { at, reason } while an admin has paused the game's cycle
+    return { historyData: [], lastProcessedPeriodId: null, currentSystemLosses: 0, sharedStats: {}, engineState: null, nextPrediction: null, paused: null };
+}
 
-function loadAppState() {
-    if (fs.existsSync(APP_STATE_PATH)) {
-        try {
-            const rawData = fs.readFileSync(APP_STATE_PATH, 'utf8');
-            appState = JSON.parse(rawData);
-            console.log("Application state loaded successfully.");
-        } catch (error) {
-            console.error("Could not load app state, starting fresh.", error);
-            appState = { historyData: [], lastProcessedPeriodId: null, currentSystemLosses: 0, nextPrediction: null };
-        }
+const CALIBRATION_OPTIONS = calibrationOptionsFromEnv(process.env);
+// ml_standard / ml_volatile come from a locally trained model unless ML_SIGNAL_BACKEND says otherwise; see localModel.js
+const ML_MODEL_OPTIONS = mlModelOptionsFromEnv(process.env);
+// With ML_SIGNAL_BACKEND=llm every game shares one client, so its cache and concurrency limits are global; see llmProviders.js
+const llmClient = ML_MODEL_OPTIONS.backend === 'llm' ? createLlmClientFromEnv(process.env) : null;
+// Providers declared in EXTERNAL_FACTORS_FILE; their snapshot scales confidence and is stored with each prediction
+const externalFactorCollector = createExternalFactorCollectorFromEnv(process.env);
+// Tuning values shared by every game's engine; edits to ENGINE_CONFIG_FILE apply from the next prediction
+const engineConfigStore = createEngineConfigStore({
+    ...engineConfigOptionsFromEnv(process.env),
+    signalRegistry,
+    onChange: config => runtimes.forEach(runtime => {
+        runtime.engine.setConfig(config);
+        refitSessionPerformance(runtime, loadLedgerEntries(runtime)); // The schedule or learning thresholds may have changed
+    })
+});
+console.log(`Engine config ${engineConfigStore.current().hash}${engineConfigStore.current().profile ? ` (profile ${engineConfigStore.current().profile})` : ''}`);
+
+function createGameRuntime(game) {
+    const dataSource = createGameDataSource(game);
+    console.log(`Game ${game.key} (typeId ${game.typeId}): using upstream data source ${dataSource.name}, polling every ${game.pollMs / 1000}s`);
+    return {
+        game,
+        dataSource,
+        appState: createInitialAppState(),
+        engine: new PredictionEngine(null, { mlBackend: ML_MODEL_OPTIONS.backend, llmClient, config: engineConfigStore.current() }), // Owns the game's learning state; persisted as appState.engineState
+        calibrator: fitCalibrator([], CALIBRATION_OPTIONS), // Refitted on the game's ledger as predictions settle
+        unrecoverablePeriods: new Set(), // Gaps a previous backfill gave up on; not retried until restart
+        isCycleRunning: false, // Prevents overlapping cycles when a backfill replay outlasts the poll interval
+        isMlModelTraining: false // A retrain is running on a worker thread; cycles go on with the current model
+    };
+}
+
+const runtimes = new Map(games.map(game => [game.key, createGameRuntime(game)]));
+
+// prediction.created / result.settled events for the /events streams; see events.js
+const eventBus = createEventBus({ bufferSize: parseInt(process.env.EVENT_BUFFER_SIZE, 10) || undefined });
+
+// The same events (plus drift.detected and correction.activated) go to registered webhooks; see webhooks.js
+// Endpoints registered while API_KEY was the only key belong to it
+const webhooks = createWebhookDispatcher({ repository, legacyOwner: ENV_API_KEY_ID, ...webhookOptionsFromEnv(process.env) });
+eventBus.subscribe(event => webhooks.handleEvent(event));
+
+function loadAppState(runtime) {
+    runtime.appState = { ...createInitialAppState(), ...repository.load(runtime.game.appStateDoc, createInitialAppState) };
+    try {
+        // States saved before the engine existed kept its fields in sharedStats (snapshot version 1)
+        runtime.engine.restore(runtime.appState.engineState || runtime.appState.sharedStats || {});
+    } catch (error) {
+        console.error(`[${runtime.game.key}] Could not restore engine state, starting with a fresh engine:`, error);
+        runtime.engine.reset();
     }
+    const entries = loadLedgerEntries(runtime);
+    refitCalibrator(runtime, entries);
+    refitSessionPerformance(runtime, entries);
+    console.log(`[${runtime.game.key}] Application state loaded successfully.`);
 }
 
-function saveAppState() {
+function saveAppState(runtime) {
     try {
-        fs.writeFileSync(APP_STATE_PATH, JSON.stringify(appState, null, 2));
+        repository.save(runtime.game.appStateDoc, runtime.appState);
     } catch (error) {
-        console.error("Failed to save app state:", error);
+        console.error(`[${runtime.game.key}] Failed to save app state:`, error);
     }
 }
 
-// --- DATA COLLECTION & PREDICTION CYCLE ---
-async function mainCycle() {
-    console.log('Fetching latest game data...');
+function loadGameData(runtime) {
+    return repository.load(runtime.game.gameDataDoc, () => ({ history: [] }));
+}
+
+function loadLedger(runtime) {
+    return repository.load(runtime.game.ledgerDoc, createLedger);
+}
+
+// Live entries followed by the archived ones, newest period first; archives are cached by the repository once read
+function loadLedgerEntries(runtime, ledger = loadLedger(runtime)) {
+    const archived = (ledger.archives || []).map(archive => repository.load(archive.doc, createLedger).entries);
+    return ledger.entries.concat(...archived);
+}
+
+// Archives the ledger's older entries if it has outgrown LEDGER_LIVE_ENTRIES, then saves it
+function saveLedger(runtime, ledger) {
+    for (const archive of archiveLedger(ledger, runtime.game.ledgerDoc, LEDGER_OPTIONS)) {
+        repository.save(archive.doc, { entries: archive.entries });
+    }
+    repository.save(runtime.game.ledgerDoc, ledger);
+}
+
+function refitCalibrator(runtime, entries) {
+    runtime.calibrator = fitCalibrator(entries, CALIBRATION_OPTIONS);
+}
+
+// Which sessions have earned their boosts, from the game's settled predictions
+function refitSessionPerformance(runtime, entries) {
+    const { sessions, sessionLearning } = engineConfigStore.current().values;
+    runtime.engine.setSessionPerformance(learnSessionPerformance(entries, sessions, sessionLearning));
+}
+
+// --- LOCAL ML MODEL ---
+function loadMlModel(runtime) {
+    if (ML_MODEL_OPTIONS.backend !== 'local' || !repository.exists(runtime.game.mlModelDoc)) return;
     try {
-        const response = await fetch(
-            "https://api.fantasygamesapi.com/api/webapi/GetNoaverageEmerdList",
-            {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                    pageSize: 10,
-                    pageNo: 1,
-                    typeId: 1,
-                    language: 0,
-                    random: "4a0522c6ecd8410496260e686be2a57c",
-                    signature: "334B5E70A0C9B8918B0B15E517E2069C",
-                    timestamp: Math.floor(Date.now() / 1000),
-                }),
-            }
-        );
+        runtime.engine.setMlModel(repository.load(runtime.game.mlModelDoc, () => null));
+        if (runtime.engine.mlModel) console.log(`[${runtime.game.key}] Loaded local ML model v${runtime.engine.mlModel.version}.`);
+    } catch (error) {
+        console.error(`[${runtime.game.key}] Could not load the local ML model; it will be retrained:`, error);
+    }
+}
 
-        if (!response.ok) {
-            throw new Error(`API responded with status: ${response.status}`);
+// Retrains on the stored game history once the current model is older than ML_MODEL_RETRAIN_MS (or missing).
+// Training runs on a worker thread (see localModelWorker.js), so it holds up neither the cycle nor the API.
+function retrainMlModelIfDue(runtime, history) {
+    const current = runtime.engine.mlModel;
+    if (ML_MODEL_OPTIONS.backend !== 'local' || runtime.isMlModelTraining) return;
+    if (current && Date.now() - current.trainedAt < ML_MODEL_OPTIONS.retrainMs) return;
+    if (history.length - 52 < ML_MODEL_OPTIONS.minSamples) return; // Every sample needs 52 older results
+
+    runtime.isMlModelTraining = true;
+    trainLocalModelInWorker(history, {
+        samples: { maxSamples: ML_MODEL_OPTIONS.maxSamples },
+        model: { ...ML_MODEL_OPTIONS, previousVersion: current ? current.version : 0 }
+    }).then(model => {
+        if (!model) return;
+        try {
+            repository.save(runtime.game.mlModelDoc, model);
+        } catch (error) {
+            console.error(`[${runtime.game.key}] Failed to save the local ML model:`, error);
         }
+        runtime.engine.setMlModel(model);
+        const accuracy = variant => {
+            const holdout = model.variants[variant].holdout;
+            return holdout ? `${(holdout.accuracy * 100).toFixed(1)}%` : 'n/a';
+        };
+        console.log(`[${runtime.game.key}] Trained local ML model v${model.version} on ${model.samples} samples (holdout accuracy standard ${accuracy('standard')}, volatile ${accuracy('volatile')}).`);
+    }).catch(error => {
+        console.error(`[${runtime.game.key}] Local ML model training failed; the current model stays in use:`, error);
+    }).finally(() => {
+        runtime.isMlModelTraining = false;
+    });
+}
 
-        const apiData = await response.json();
+// --- DATA COLLECTION & PREDICTION CYCLE ---
+const BACKFILL_OPTIONS = {
+    maxPages: parseInt(process.env.BACKFILL_MAX_PAGES, 10) || undefined,
+    pageSize: parseInt(process.env.BACKFILL_PAGE_SIZE, 10) || undefined,
+    maxGapSpan: parseInt(process.env.BACKFILL_MAX_GAP, 10) || undefined
+};
+const LEDGER_OPTIONS = ledgerOptionsFromEnv(process.env);
+
+function applyCycleResult(appState, result) {
+    appState.historyData = result.updatedHistoryData;
+    appState.lastProcessedPeriodId = result.lastProcessedPeriodId;
+    appState.currentSystemLosses = result.updatedSystemLosses;
+    appState.sharedStats = result.updatedSharedStats;
+    appState.engineState = result.engineState;
+    appState.nextPrediction = {
+        prediction: result.nextPeriodPrediction,
+        number: result.nextPeriodPredictedNumber,
+        confidence: result.nextPeriodConfidence,
+        rationale: result.rationale,
+        rngSeed: result.rngSeed,
+        session: result.predictionOutput.activeSession || null,
+        trace: result.predictionOutput.trace
+    };
+}
+
+// options.manual: triggered from the admin API, so it runs even while the game is paused.
+// Resolves to { ok: true } after a completed cycle, or { ok: false, error } when it was skipped or failed.
+async function mainCycle(runtime, options = {}) {
+    const { game, dataSource, appState } = runtime;
+    const tag = `[${game.key}]`;
+    if (appState.paused && !options.manual) {
+        console.log(`${tag} Paused by admin since ${new Date(appState.paused.at).toISOString()}. Skipping this tick.`);
+        return { ok: false, error: 'The game is paused.' };
+    }
+    if (runtime.isCycleRunning) {
+        console.log(`${tag} Previous cycle still running. Skipping this tick.`);
+        return { ok: false, error: 'A prediction cycle is already running.' };
+    }
+    runtime.isCycleRunning = true;
+    console.log(`${tag} Fetching latest game data from ${dataSource.name}...`);
+    try {
+        if (typeof dataSource.nextCycle === 'function') {
+            await dataSource.nextCycle();
+        }
+        const latestList = await dataSource.fetchPage({ pageNo: 1 });
         
-        if (apiData && apiData.data && apiData.data.list && apiData.data.list.length > 0) {
-            const latestGameResult = apiData.data.list[0];
-
-            const gameDataStore = fs.existsSync(GAME_DATA_PATH) ? JSON.parse(fs.readFileSync(GAME_DATA_PATH, 'utf8')) : { history: [] };
-            if (!gameDataStore.history.some(h => h.issueNumber === latestGameResult.issueNumber)) {
-                gameDataStore.history.unshift(latestGameResult);
-                gameDataStore.history = gameDataStore.history.slice(0, 5000);
-                fs.writeFileSync(GAME_DATA_PATH, JSON.stringify(gameDataStore, null, 2));
-                console.log(`Stored new game result for period ${latestGameResult.issueNumber}`);
+        if (latestList.length > 0) {
+            const gameDataStore = loadGameData(runtime);
+            const storedIssueNumbers = new Set(gameDataStore.history.map(h => String(h.issueNumber)));
+
+            // Recover periods missed while the server was down or a poll was skipped
+            const backfill = await backfillMissingPeriods(dataSource, {
+                ...BACKFILL_OPTIONS,
+                knownIssueNumbers: Array.from(storedIssueNumbers),
+                latestRows: latestList,
+                anchorIssueNumber: appState.lastProcessedPeriodId,
+                skipIssueNumbers: runtime.unrecoverablePeriods
+            });
+            backfill.unresolved.forEach(period => runtime.unrecoverablePeriods.add(period));
+            if (backfill.rows.length > 0) {
+                console.log(`${tag} Backfilled ${backfill.rows.length} missed period(s) in ${backfill.pagesFetched} page(s).`);
             }
-            
-            if (String(latestGameResult.issueNumber) !== appState.lastProcessedPeriodId) {
-                console.log(`New period detected. Old: ${appState.lastProcessedPeriodId}, New: ${latestGameResult.issueNumber}. Running prediction cycle.`);
-                
-                const result = await processPredictionCycle(latestGameResult, appState.historyData, appState.lastProcessedPeriodId);
-                
-                if (result) {
-                    appState.historyData = result.updatedHistoryData;
-                    appState.lastProcessedPeriodId = result.lastProcessedPeriodId;
-                    appState.currentSystemLosses = result.updatedSystemLosses;
-                    appState.nextPrediction = {
-                        prediction: result.nextPeriodPrediction,
-                        number: result.nextPeriodPredictedNumber,
-                        confidence: result.nextPeriodConfidence,
-                        rationale: result.rationale
-                    };
-                    saveAppState();
-                    console.log(`Prediction generated for next period: ${appState.nextPrediction.prediction} with ${appState.nextPrediction.confidence}% confidence.`);
+
+            const incomingRows = mergeUniqueRows(latestList, backfill.rows);
+            const newRows = incomingRows.filter(row => !storedIssueNumbers.has(row.issueNumber));
+            if (newRows.length > 0) {
+                gameDataStore.history = mergeUniqueRows(newRows, gameDataStore.history).slice(0, 5000);
+                repository.save(game.gameDataDoc, gameDataStore);
+                console.log(`${tag} Stored ${newRows.length} new game result(s), latest period ${incomingRows[0].issueNumber}`);
+            }
+            retrainMlModelIfDue(runtime, gameDataStore.history);
+
+            // Results the engine has already moved past only settle history; newer ones replay through learning in order
+            const lateRows = backfill.rows.filter(row => !isNewerPeriod(row.issueNumber, appState.lastProcessedPeriodId));
+            if (lateRows.length > 0) {
+                appState.historyData = mergeLateResults(appState.historyData, lateRows);
+            }
+            const rowsToProcess = incomingRows.filter(row => isNewerPeriod(row.issueNumber, appState.lastProcessedPeriodId)).reverse();
+            // The n-gram counts cover every stored result, not just the cycle history. Results older than the
+            // ones about to be predicted from are counted first (all of them for a fresh or upgraded engine,
+            // usually none otherwise); the predictions then count the rest in order.
+            if (rowsToProcess.length > 0) {
+                runtime.engine.observeResults(gameDataStore.history, { beforePeriod: rowsToProcess[0].issueNumber });
+            }
+            const ledger = loadLedger(runtime);
+            let ledgerChanged = false;
+            let settledCount = 0;
+
+            // Settles the ledger against rows and announces each new (or newly settled) result once
+            const newIssueNumbers = new Set(newRows.map(row => row.issueNumber));
+            const announcedPeriods = new Set();
+            const settleAndAnnounce = rows => {
+                const settled = settleLedger(ledger, rows);
+                settledCount += settled.length;
+                const entriesByPeriod = new Map(settled.map(entry => [entry.period, entry]));
+                rows.forEach(row => {
+                    const entry = entriesByPeriod.get(row.issueNumber);
+                    if (announcedPeriods.has(row.issueNumber) || (!entry && !newIssueNumbers.has(row.issueNumber))) return;
+                    announcedPeriods.add(row.issueNumber);
+                    eventBus.publish('result.settled', {
+                        game: game.key,
+                        period: row.issueNumber,
+                        number: parseInt(row.number, 10),
+                        outcome: getBigSmallFromNumber(parseInt(row.number, 10)),
+                        prediction: entry ? { decision: entry.decision, confidence: entry.calibratedConfidence, status: entry.status } : null
+                    });
+                });
+            };
+
+            if (rowsToProcess.length > 0) {
+                console.log(`${tag} New period(s) detected. Old: ${appState.lastProcessedPeriodId}, New: ${rowsToProcess[rowsToProcess.length - 1].issueNumber}. Running ${rowsToProcess.length} prediction cycle(s).`);
+                const externalFactors = await externalFactorCollector.collect();
+                if (externalFactors.factors.length > 0) {
+                    const readings = externalFactors.factors.map(f => `${f.id}=${f.value === null ? '-' : f.value} (${f.status}, ${f.source})`);
+                    console.log(`${tag} External factors x${externalFactors.factor.toFixed(3)}: ${readings.join('; ')}`);
+                }
+
+                // Replayed periods are predicted at the time they were played, so they get their own session and hour
+                const periodTimes = estimatePeriodTimes(rowsToProcess, { periodMs: game.periodMs, now: Date.now(), maxGapSpan: BACKFILL_OPTIONS.maxGapSpan });
+                for (const [index, gameResult] of rowsToProcess.entries()) {
+                    // Rows replayed after a backfill only teach the engine: their predictions are for periods whose
+                    // result is already here, so only the newest row's prediction is recorded and announced
+                    const isReplay = index < rowsToProcess.length - 1;
+                    settleAndAnnounce([gameResult]);
+                    const result = await processPredictionCycle(gameResult, appState.historyData, appState.lastProcessedPeriodId, appState.sharedStats, appState.currentSystemLosses, { engine: runtime.engine, externalFactors, now: periodTimes[index] });
+                    if (result) {
+                        applyCycleResult(appState, result);
+                        const output = result.predictionOutput;
+                        if (output.driftState === 'DRIFT') {
+                            eventBus.publish('drift.detected', { game: game.key, period: result.lastProcessedPeriodId, driftState: output.driftState });
+                        }
+                        if (output.reflexiveCorrectionActivated) {
+                            eventBus.publish('correction.activated', { game: game.key, period: result.nextPeriodId, countdown: result.engineState.reflexiveCorrectionActive });
+                        }
+                        if (isReplay) continue;
+                        const entry = createLedgerEntry(result, Date.now());
+                        if (entry) {
+                            entry.calibratedConfidence = runtime.calibrator.calibrate(entry.confidence);
+                            eventBus.publish('prediction.created', {
+                                game: game.key,
+                                period: entry.period,
+                                decision: entry.decision,
+                                confidence: entry.calibratedConfidence,
+                                rawConfidence: entry.confidence,
+                                confidenceLevel: entry.confidenceLevel,
+                                isForced: entry.isForced
+                            });
+                        }
+                        recordPrediction(ledger, entry);
+                        ledgerChanged = true;
+                    }
+                }
+                saveAppState(runtime);
+                if (appState.nextPrediction) {
+                    console.log(`${tag} Prediction generated for next period: ${appState.nextPrediction.prediction} with ${appState.nextPrediction.confidence}% confidence.`);
                 }
             } else {
-                console.log(`Period ${latestGameResult.issueNumber} already processed. Waiting for next.`);
+                if (lateRows.length > 0) saveAppState(runtime);
+                console.log(`${tag} Period ${latestList[0].issueNumber} already processed. Waiting for next.`);
+            }
+
+            // Settle ledger entries (late results included) and void those whose result never showed up
+            settleAndAnnounce(incomingRows.slice().reverse());
+            const voidedEntries = reconcileLedger(ledger, incomingRows[0].issueNumber, LEDGER_OPTIONS);
+            if (voidedEntries.length > 0) {
+                console.warn(`${tag} Ledger: no result for period(s) ${voidedEntries.map(e => e.period).join(', ')}; marked Void.`);
+            }
+            if (ledgerChanged || settledCount > 0 || voidedEntries.length > 0) {
+                saveLedger(runtime, ledger);
+            }
+            if (settledCount > 0) {
+                const entries = loadLedgerEntries(runtime, ledger);
+                refitCalibrator(runtime, entries);
+                refitSessionPerformance(runtime, entries);
             }
         }
+        return { ok: true };
     } catch (error) {
-        console.error('Main cycle failed:', error);
+        console.error(`${tag} Main cycle failed:`, error);
+        return { ok: false, error: `Cycle failed: ${error.message}` };
+    } finally {
+        runtime.isCycleRunning = false;
     }
 }
 
-// Run the main cycle every 30 seconds.
-setInterval(mainCycle, 30000);
-
 // --- API ENDPOINTS ---
 
+const unknownGameError = keyOrTypeId => `Unknown game "${keyOrTypeId}". Available games: ${games.map(g => g.key).join(', ')}`;
+
+// Resolves ?game=<key or typeId> (default: the first configured game) to its runtime.
+const resolveGame = (req, res, next) => {
+  const game = findGame(games, req.query.game);
+  if (!game) {
+    return res.status(400).json({ error: unknownGameError(req.query.game) });
+  }
+  req.gameRuntime = runtimes.get(game.key);
+  next();
+};
+
 // FIX: Changed to GET and now returns the period number with the prediction.
-app.get('/predict', requireApiKey, (req, res) => {
+app.get('/predict', requirePredictScope, resolveGame, (req, res) => {
+    const { game, appState, calibrator } = req.gameRuntime;
     if (appState.nextPrediction && appState.lastProcessedPeriodId) {
         const nextPeriod = (BigInt(appState.lastProcessedPeriodId) + 1n).toString();
         res.json({
+            game: game.key,
             period: nextPeriod,
             finalDecision: appState.nextPrediction.prediction,
-            finalConfidence: appState.nextPrediction.confidence,
+            finalConfidence: calibrator.calibrate(appState.nextPrediction.confidence), // Calibrated win probability (%)
+            rawConfidence: appState.nextPrediction.confidence,
+            calibration: calibrator.method,
+            session: appState.nextPrediction.session || null, // Scheduled session of the predicted period; boosted only if proven
         });
     } else {
         res.status(404).json({ error: 'Prediction not available yet. Please wait for the next cycle.' });
     }
 });
 
+// Structured decision trace of the current prediction: every stage of the engine with its typed inputs and outputs
+app.get('/predict/explain', requirePredictScope, resolveGame, (req, res) => {
+    const { game, appState, calibrator } = req.gameRuntime;
+    if (!appState.nextPrediction || !appState.nextPrediction.trace || !appState.lastProcessedPeriodId) {
+        return res.status(404).json({ error: 'No decision trace available yet. Please wait for the next cycle.' });
+    }
+    res.json({
+        game: game.key,
+        period: (BigInt(appState.lastProcessedPeriodId) + 1n).toString(),
+        finalDecision: appState.nextPrediction.prediction,
+        finalConfidence: calibrator.calibrate(appState.nextPrediction.confidence),
+        rawConfidence: appState.nextPrediction.confidence,
+        calibration: calibrator.method,
+        trace: appState.nextPrediction.trace
+    });
+});
+
 // NEW: Added this endpoint to allow the frontend to check for results.
-app.get('/get-result', requireApiKey, (req, res) => {
+app.get('/get-result', requireResultsScope, resolveGame, (req, res) => {
     const { period } = req.query;
+    const runtime = req.gameRuntime;
 
     if (!period) {
         return res.status(400).json({ error: 'Period query parameter is required.' });
     }
 
-    if (!fs.existsSync(GAME_DATA_PATH)) {
+    if (!repository.exists(runtime.game.gameDataDoc)) {
         return res.status(404).json({ error: 'Game data file not found.' });
     }
 
     try {
-        const gameDataStore = JSON.parse(fs.readFileSync(GAME_DATA_PATH, 'utf8'));
+        const gameDataStore = loadGameData(runtime);
         const result = gameDataStore.history.find(item => String(item.issueNumber) === String(period));
 
         if (result) {
-            res.json({ period: result.issueNumber, number: result.number });
+            res.json({ game: runtime.game.key, period: result.issueNumber, number: result.number });
         } else {
             res.status(404).json({ error: `Result for period ${period} not found.` });
         }
@@ -189,16 +497,357 @@ app.get('/get-result', requireApiKey, (req, res) => {
 });
 
 
-app.get('/game-data', requireApiKey, (req, res) => {
-    if (fs.existsSync(GAME_DATA_PATH)) {
-        res.sendFile(GAME_DATA_PATH);
+// Prediction ledger, newest period first. Filters: from/to (ISO or ms, on creation time),
+// outcome (pending, win, loss, void), level (confidence levels), page and pageSize.
+app.get('/predictions', requireResultsScope, resolveGame, (req, res) => {
+    const parsed = parseLedgerQuery(req.query);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    try {
+        res.json({ game: req.gameRuntime.game.key, ...queryLedger({ entries: loadLedgerEntries(req.gameRuntime) }, parsed.filters) });
+    } catch (error) {
+        console.error(`Error in /predictions:`, error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Hit rates with 95% Wilson intervals, all-time and over the last `window` settled predictions (default 100),
+// overall and by confidence level, macro regime, entropy state, local hour, session and forced flag.
+// `sessions` shows the session active now and the learned hit rate of every scheduled session.
+app.get('/stats', requireResultsScope, resolveGame, (req, res) => {
+    const parsed = parseStatsQuery(req.query);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    try {
+        const { engine } = req.gameRuntime;
+        const schedule = engine.config.values.sessions;
+        const sessions = {
+            timezone: schedule.timezone,
+            active: describeActiveSession(schedule, getSessionClock(Date.now(), schedule.timezone), engine.sessionPerformance),
+            performance: engine.sessionPerformance
+        };
+        res.json({ game: req.gameRuntime.game.key, ...computeLedgerStats(loadLedgerEntries(req.gameRuntime), parsed.options), sessions });
+    } catch (error) {
+        console.error(`Error in /stats:`, error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Current calibration fit with Brier scores and reliability-diagram bins (raw vs. calibrated confidence).
+app.get('/calibration', requireResultsScope, resolveGame, (req, res) => {
+    res.json({ game: req.gameRuntime.game.key, ...req.gameRuntime.calibrator.report() });
+});
+
+// Version, training size and holdout metrics of the local model behind the ML signals
+// (request, cache and failure counters of the LLM client with ML_SIGNAL_BACKEND=llm)
+app.get('/ml-model', requireResultsScope, resolveGame, (req, res) => {
+    if (llmClient) return res.json({ game: req.gameRuntime.game.key, backend: ML_MODEL_OPTIONS.backend, llm: llmClient.stats() });
+    const model = describeLocalModel(req.gameRuntime.engine.mlModel);
+    if (!model) {
+        return res.status(404).json({ error: `No local ML model trained yet (backend: ${ML_MODEL_OPTIONS.backend}).` });
+    }
+    res.json({ game: req.gameRuntime.game.key, backend: ML_MODEL_OPTIONS.backend, ...model });
+});
+
+// Learned regime profiles: which signals each regime runs, their weight multipliers and the hit rate so far
+app.get('/regimes', requireResultsScope, resolveGame, (req, res) => {
+    res.json({ game: req.gameRuntime.game.key, profiles: req.gameRuntime.engine.describeRegimeProfiles() });
+});
+
+// Active engine config (its hash is stamped on every prediction) and the schema it was validated against
+app.get('/config', requireResultsScope, (req, res) => {
+    res.json({ ...engineConfigStore.current(), schema: describeEngineConfigSchema() });
+});
+
+// --- WEBHOOKS ---
+// Register with { url, events?: [...], games?: [...], secret? }; the secret is only returned on registration.
+// The url must resolve to a public address unless its host is listed in WEBHOOK_ALLOWED_HOSTS.
+app.post('/webhooks', requirePredictScope, async (req, res) => {
+    const unknownGame = (req.body && Array.isArray(req.body.games) ? req.body.games : []).find(key => !runtimes.has(key));
+    if (unknownGame !== undefined) {
+        return res.status(400).json({ error: `Unknown game "${unknownGame}".` });
+    }
+    try {
+        const registration = await webhooks.register(req.body, req.apiKey.id);
+        if (registration.error) {
+            return res.status(400).json({ error: registration.error });
+        }
+        res.status(201).json(registration.endpoint);
+    } catch (error) {
+        console.error(`Error in POST /webhooks:`, error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+app.get('/webhooks', requirePredictScope, (req, res) => {
+    res.json({ endpoints: webhooks.list(req.apiKey.id) });
+});
+
+app.delete('/webhooks/:id', requirePredictScope, (req, res) => {
+    if (!webhooks.remove(req.params.id, req.apiKey.id)) {
+        return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.status(204).end();
+});
+
+app.get('/webhooks/dead-letters', requirePredictScope, (req, res) => {
+    res.json({ deadLetters: webhooks.deadLetters(req.apiKey.id) });
+});
+
+app.post('/webhooks/dead-letters/:id/retry', requirePredictScope, (req, res) => {
+    const outcome = webhooks.retryDeadLetter(req.params.id, req.apiKey.id);
+    if (!outcome.retried) {
+        return res.status(404).json({ error: outcome.error });
+    }
+    res.status(202).json({ retried: true });
+});
+
+const gameKeyOf = keyOrTypeId => {
+    const game = findGame(games, keyOrTypeId);
+    return game ? game.key : null;
+};
+// Live prediction.created / result.settled events as Server-Sent Events. Optional ?game=1m,3m filter;
+// reconnecting clients resume after their Last-Event-ID. The same stream is served over WebSocket at /events/ws.
+app.get('/events', requireStreamPredictScope, createSseHandler(eventBus, { resolveGameKey: gameKeyOf }));
+
+app.get('/game-data', requireGameDataScope, resolveGame, (req, res) => {
+    const runtime = req.gameRuntime;
+    if (repository.exists(runtime.game.gameDataDoc)) {
+        res.json(loadGameData(runtime));
     } else {
         res.status(404).json({ history: [] });
     }
 });
 
-app.listen(PORT, () => {
+// --- ADMIN ---
+// Every action below that changes something is recorded in the audit log (GET /admin/audit) whether it was
+// applied or rejected, including requests refused for their admin key or game.
+const auditBase = (req, action, target) => ({
+    action,
+    actor: req.apiKey ? req.apiKey.id : null,
+    game: req.gameRuntime ? req.gameRuntime.game.key : null,
+    target: target || null,
+    params: req.body && Object.keys(req.body).length > 0 ? req.body : null,
+    reason: req.body && typeof req.body.reason === 'string' ? req.body.reason : null,
+    remoteAddress: req.ip
+});
+
+function rejectAdminAction(req, res, action, target, status, error) {
+    auditLog.record({ ...auditBase(req, action, target), outcome: 'rejected', error });
+    res.status(status).json({ error });
+}
+
+// Middleware for an audited action: checks the admin key and, with options.game, resolves ?game= like resolveGame.
+// A request either check refuses is audited as rejected under the action's name; without a valid key nothing
+// from the request body is recorded.
+function adminAction(action, options = {}) {
+    const targetOf = options.target || (() => null);
+    const middleware = [createApiKeyMiddleware(apiKeys, 'admin', readAdminKey, {
+        onRefused: (req, result) => auditLog.record({
+            ...auditBase(req, action, targetOf(req)),
+            params: null,
+            reason: null,
+            outcome: 'rejected',
+            error: result.error
+        })
+    })];
+    if (options.game) {
+        middleware.push((req, res, next) => {
+            const game = findGame(games, req.query.game);
+            if (!game) {
+                return rejectAdminAction(req, res, action, targetOf(req), 400, unknownGameError(req.query.game));
+            }
+            req.gameRuntime = runtimes.get(game.key);
+            next();
+        });
+    }
+    return middleware;
+}
+
+// Applies an engine operation (see the admin operations of PredictionEngine) and persists the engine state.
+// Refused while a cycle runs, so the change cannot land between two steps of a prediction.
+function runEngineAdminAction(req, res, action, target, operation) {
+    const runtime = req.gameRuntime;
+    if (runtime.isCycleRunning) {
+        return rejectAdminAction(req, res, action, target, 409, 'A prediction cycle is running. Retry shortly or pause the game first.');
+    }
+    let result;
+    try {
+        result = operation(runtime.engine);
+    } catch (error) {
+        console.error(`Error in admin action ${action}:`, error);
+        return rejectAdminAction(req, res, action, target, 500, 'Internal server error.');
+    }
+    if (result.error) {
+        return rejectAdminAction(req, res, action, target, result.notFound ? 404 : 400, result.error);
+    }
+    runtime.appState.engineState = runtime.engine.serialize();
+    saveAppState(runtime);
+    const entry = auditLog.record({ ...auditBase(req, action, target), outcome: 'ok', before: result.before, after: result.after });
+    res.json({ game: runtime.game.key, action, target, before: result.before, after: result.after, auditId: entry.id });
+}
+
+// Cycle state and a summary of every signal's learned weighting, to find what to reset
+app.get('/admin/status', requireAdminKey, resolveGame, (req, res) => {
+    const { game, appState, engine, isCycleRunning } = req.gameRuntime;
+    const signals = Object.entries(engine.signalPerformance).map(([source, perf]) => ({
+        source,
+        total: perf.total,
+        recentHitRate: perf.recentAccuracy.length > 0 ? perf.recentAccuracy.reduce((a, b) => a + b, 0) / perf.recentAccuracy.length : null,
+        currentAdjustmentFactor: perf.currentAdjustmentFactor,
+        alphaFactor: perf.alphaFactor,
+        longTermImportanceScore: perf.longTermImportanceScore,
+        isOnProbation: perf.isOnProbation,
+        isProbationForced: Boolean(perf.isProbationForced)
+    }));
+    res.json({
+        game: game.key,
+        paused: appState.paused,
+        isCycleRunning,
+        lastProcessedPeriodId: appState.lastProcessedPeriodId,
+        driftDetector: engine.driftDetector,
+        signals
+    });
+});
+
+app.post('/admin/pause', adminAction('cycle.pause', { game: true }), (req, res) => {
+    const runtime = req.gameRuntime;
+    if (runtime.appState.paused) {
+        return rejectAdminAction(req, res, 'cycle.pause', null, 409, 'The game is already paused.');
+    }
+    runtime.appState.paused = { at: Date.now(), reason: auditBase(req).reason };
+    saveAppState(runtime);
+    const entry = auditLog.record({ ...auditBase(req, 'cycle.pause'), outcome: 'ok', before: null, after: runtime.appState.paused });
+    res.json({ game: runtime.game.key, paused: runtime.appState.paused, auditId: entry.id });
+});
+
+app.post('/admin/resume', adminAction('cycle.resume', { game: true }), (req, res) => {
+    const runtime = req.gameRuntime;
+    if (!runtime.appState.paused) {
+        return rejectAdminAction(req, res, 'cycle.resume', null, 409, 'The game is not paused.');
+    }
+    const before = runtime.appState.paused;
+    runtime.appState.paused = null;
+    saveAppState(runtime);
+    const entry = auditLog.record({ ...auditBase(req, 'cycle.resume'), outcome: 'ok', before, after: null });
+    res.json({ game: runtime.game.key, paused: null, auditId: entry.id });
+});
+
+// Runs a cycle now, paused or not, and answers once it has finished; a failed cycle is audited as rejected
+app.post('/admin/cycle', adminAction('cycle.trigger', { game: true }), async (req, res) => {
+    const runtime = req.gameRuntime;
+    try {
+        if (runtime.isCycleRunning) {
+            return rejectAdminAction(req, res, 'cycle.trigger', null, 409, 'A prediction cycle is already running.');
+        }
+        const before = { lastProcessedPeriodId: runtime.appState.lastProcessedPeriodId };
+        const outcome = await mainCycle(runtime, { manual: true });
+        if (!outcome.ok) {
+            return rejectAdminAction(req, res, 'cycle.trigger', null, 500, outcome.error);
+        }
+        const after = { lastProcessedPeriodId: runtime.appState.lastProcessedPeriodId };
+        const entry = auditLog.record({ ...auditBase(req, 'cycle.trigger'), outcome: 'ok', before, after });
+        res.json({ game: runtime.game.key, ...after, auditId: entry.id });
+    } catch (error) {
+        console.error(`Error in POST /admin/cycle:`, error);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+const bySource = req => req.params.source;
+
+app.delete('/admin/signals/:source/performance', adminAction('signal.reset', { game: true, target: bySource }), (req, res) => {
+    runEngineAdminAction(req, res, 'signal.reset', req.params.source, engine => engine.resetSignalPerformance(req.params.source));
+});
+
+// Body: any of { currentAdjustmentFactor, alphaFactor, longTermImportanceScore } (plus an optional reason)
+app.patch('/admin/signals/:source/performance', adminAction('signal.edit', { game: true, target: bySource }), (req, res) => {
+    const { reason, ...changes } = req.body || {};
+    runEngineAdminAction(req, res, 'signal.edit', req.params.source, engine => engine.editSignalPerformance(req.params.source, changes));
+});
+
+app.post('/admin/signals/:source/probation', adminAction('signal.probation.force', { game: true, target: bySource }), (req, res) => {
+    runEngineAdminAction(req, res, 'signal.probation.force', req.params.source, engine => engine.setSignalProbation(req.params.source, true));
+});
+
+app.delete('/admin/signals/:source/probation', adminAction('signal.probation.clear', { game: true, target: bySource }), (req, res) => {
+    runEngineAdminAction(req, res, 'signal.probation.clear', req.params.source, engine => engine.setSignalProbation(req.params.source, false));
+});
+
+app.post('/admin/drift-detector/reset', adminAction('drift.reset', { game: true }), (req, res) => {
+    runEngineAdminAction(req, res, 'drift.reset', null, engine => engine.resetDriftDetector());
+});
+
+app.post('/admin/regimes/:regime/reset', adminAction('regime.reset', { game: true, target: req => req.params.regime }), (req, res) => {
+    runEngineAdminAction(req, res, 'regime.reset', req.params.regime, engine => engine.resetRegimeProfile(req.params.regime));
+});
+
+// --- API keys ---
+const byKeyId = req => req.params.id;
+
+// Keys are listed with their usage but never their hash; a key itself is only returned by create and rotate.
+app.get('/admin/keys', requireAdminKey, (req, res) => {
+    res.json({ keys: apiKeys.list() });
+});
+
+// Records a key operation from the key store in the audit log (without the key) and answers with its result
+function finishKeyAction(req, res, action, target, result, created) {
+    if (result.error) {
+        return rejectAdminAction(req, res, action, target, result.notFound ? 404 : 400, result.error);
+    }
+    const entry = auditLog.record({ ...auditBase(req, action, target), outcome: 'ok', before: result.before, after: result.after });
+    const body = { action, key: result.after, auditId: entry.id };
+    if (result.previous) body.previous = result.previous;
+    if (result.secret) body.secret = result.secret; // Shown once; only its hash is stored
+    res.status(created ? 201 : 200).json(body);
+}
+
+// Body: { name, scopes, expiresAt?, rateLimitPerMinute?, quota?: { limit, period } }
+app.post('/admin/keys', adminAction('key.create'), (req, res) => {
+    const result = apiKeys.create(req.body);
+    finishKeyAction(req, res, 'key.create', result.after ? result.after.id : null, result, true);
+});
+
+// Body: any of { name, scopes, expiresAt, rateLimitPerMinute, quota }
+app.patch('/admin/keys/:id', adminAction('key.update', { target: byKeyId }), (req, res) => {
+    const { reason, ...changes } = req.body || {};
+    finishKeyAction(req, res, 'key.update', req.params.id, apiKeys.update(req.params.id, changes));
+});
+
+// Body: { graceMs? } - how long the old key keeps working (default one hour)
+app.post('/admin/keys/:id/rotate', adminAction('key.rotate', { target: byKeyId }), (req, res) => {
+    const graceMs = req.body ? req.body.graceMs : undefined;
+    finishKeyAction(req, res, 'key.rotate', req.params.id, apiKeys.rotate(req.params.id, graceMs), true);
+});
+
+app.delete('/admin/keys/:id', adminAction('key.revoke', { target: byKeyId }), (req, res) => {
+    finishKeyAction(req, res, 'key.revoke', req.params.id, apiKeys.revoke(req.params.id));
+});
+
+// Newest first; optional ?game=, ?action= and ?limit= (default 100)
+app.get('/admin/audit', requireAdminKey, (req, res) => {
+    const game = req.query.game === undefined ? null : findGame(games, req.query.game);
+    if (req.query.game !== undefined && !game) {
+        return res.status(400).json({ error: `Unknown game "${req.query.game}".` });
+    }
+    res.json({ entries: auditLog.list({ game: game ? game.key : null, action: req.query.action, limit: parseInt(req.query.limit, 10) }) });
+});
+
+const httpServer = app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
-    loadAppState();
-    mainCycle(); // Run once on startup
+    engineConfigStore.watch();
+    runtimes.forEach(runtime => {
+        loadAppState(runtime);
+        loadMlModel(runtime);
+        mainCycle(runtime); // Run once on startup
+        setInterval(() => mainCycle(runtime), runtime.game.pollMs);
+    });
+});
+
+attachWebSocketServer(httpServer, eventBus, {
+    path: '/events/ws',
+    authenticate: (req, url) => !apiKeys.authenticate(req.headers['x-api-key'] || url.searchParams.get('apiKey'), 'predict').error,
+    resolveGameKey: gameKeyOf
 });
@@ -0,0 +1,183 @@
+// sessions.js - Configurable session schedule and the per-session hit rates learned from the ledger
+//
+// The schedule lives in the engine config ("sessions", see engineConfig.js) as { timezone, definitions }, where
+// timezone is an IANA name and each definition is
+//   id          - session name, recorded with every prediction made while it is active (ledger "session")
+//   windows     - [{ days, start, end }]: days from mon..sun (default every day), start/end as HH:MM in the
+//                 schedule's timezone with end exclusive; a window cannot cross midnight, split it in two instead
+//   aggression  - multiplier for the regime aggression while the session is active and proven
+//   confidence  - multiplier for the confidence edge while the session is active and proven
+// The first definition with a window covering the current time is the active session.
+//
+// A session's boosts only apply once it is proven: its most recent settled predictions (sessionLearning.window,
+// at least sessionLearning.minSamples of them) beat the 50% baseline with the lower bound of their Wilson
+// interval at sessionLearning.z. Until then the session is still recorded but the prediction is not boosted.
+const { wilsonInterval } = require('./stats.js');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const BASELINE_HIT_RATE = 0.5;
+
+// The IST prime-time windows the engine used before sessions were configurable
+const DEFAULT_SESSION_SCHEDULE = {
+    timezone: 'Asia/Kolkata',
+    definitions: [
+        { id: 'PRIME_MORNING', windows: [{ start: '10:00', end: '12:00' }], aggression: 1.25, confidence: 1.15 },
+        { id: 'PRIME_AFTERNOON_1', windows: [{ start: '13:00', end: '14:00' }], aggression: 1.15, confidence: 1.10 },
+        { id: 'PRIME_AFTERNOON_2', windows: [{ start: '15:00', end: '16:00' }], aggression: 1.15, confidence: 1.10 },
+        { id: 'PRIME_EVENING', windows: [{ start: '17:00', end: '19:00' }], aggression: 1.30, confidence: 1.20 },
+        { id: 'PRIME_EVENING_PEAK', windows: [{ start: '19:00', end: '20:00' }], aggression: 1.35, confidence: 1.25 }
+    ]
+};
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }));
+    }
+    return formatters.get(timezone);
+}
+
+function parseClockTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+    if (!match) return null;
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Checks a schedule and converts window times to minutes of the day.
+ * @param {Object} schedule - { timezone, definitions }.
+ * @param {string} path - Prefix for error messages.
+ * @returns {{schedule: Object|null, errors: Array<string>}}
+ */
+function normalizeSessionSchedule(schedule, path = 'sessions') {
+    const errors = [];
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) return { schedule: null, errors: [`${path} must be an object`] };
+    // Intl falls back to the host's zone for an undefined timeZone, so a missing one has to be caught here
+    if (typeof schedule.timezone !== 'string' || schedule.timezone.length === 0) {
+        errors.push(`${path}.timezone must be a non-empty IANA time zone name`);
+    } else {
+        try {
+            formatterFor(schedule.timezone);
+        } catch (error) {
+            errors.push(`${path}.timezone "${schedule.timezone}" is not a known IANA time zone`);
+        }
+    }
+    if (!Array.isArray(schedule.definitions)) return { schedule: null, errors: errors.concat(`${path}.definitions must be a list`) };
+
+    const seen = new Set();
+    const definitions = schedule.definitions.map((definition, index) => {
+        const at = `${path}.definitions[${index}]`;
+        if (!definition || typeof definition.id !== 'string' || definition.id.length === 0) {
+            errors.push(`${at}.id must be a non-empty string`);
+            return null;
+        }
+        if (seen.has(definition.id)) errors.push(`${at}.id "${definition.id}" is used twice`);
+        seen.add(definition.id);
+        ['aggression', 'confidence'].forEach(key => {
+            const value = definition[key];
+            if (typeof value !== 'number' || !(value > 0) || value > 3) errors.push(`${at}.${key} must be a number above 0 and at most 3`);
+        });
+        if (!Array.isArray(definition.windows) || definition.windows.length === 0) {
+            errors.push(`${at}.windows must be a non-empty list`);
+            return null;
+        }
+        const windows = definition.windows.map((window, windowIndex) => {
+            const windowAt = `${at}.windows[${windowIndex}]`;
+            const days = window.days === undefined ? WEEKDAYS.slice() : window.days;
+            if (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+                errors.push(`${windowAt}.days must be a non-empty list of ${WEEKDAYS.join(', ')}`);
+            }
+            const start = parseClockTime(window.start);
+            const end = parseClockTime(window.end);
+            if (start === null || end === null) errors.push(`${windowAt} start and end must be HH:MM`);
+            else if (start >= end) errors.push(`${windowAt} must end after it starts (split windows that cross midnight)`);
+            return { days, start: window.start, end: window.end, startMinute: start, endMinute: end };
+        });
+        return { id: definition.id, windows, aggression: definition.aggression, confidence: definition.confidence };
+    });
+    return errors.length > 0 ? { schedule: null, errors } : { schedule: { timezone: schedule.timezone, definitions }, errors };
+}
+
+/**
+ * Local time of a timestamp in the schedule's timezone, plus the cyclic hour encoding the ML features use.
+ * @returns {{timezone: string, dayOfWeek: string, hour: number, minuteOfDay: number, raw: number, sin: number, cos: number}}
+ */
+function getSessionClock(timestamp, timezone = DEFAULT_SESSION_SCHEDULE.timezone) {
+    const parts = formatterFor(timezone).formatToParts(new Date(timestamp));
+    const part = type => parts.find(p => p.type === type).value;
+    const hour = parseInt(part('hour'), 10) % 24;
+    return {
+        timezone,
+        dayOfWeek: part('weekday').toLowerCase().slice(0, 3),
+        hour,
+        minuteOfDay: hour * 60 + parseInt(part('minute'), 10),
+        raw: hour,
+        sin: Math.sin(hour / 24 * 2 * Math.PI),
+        cos: Math.cos(hour / 24 * 2 * Math.PI)
+    };
+}
+
+/**
+ * @returns {Object|null} The first definition with a window covering the clock's time.
+ */
+function findActiveSession(schedule, clock) {
+    return schedule.definitions.find(definition => definition.windows.some(window =>
+        window.days.includes(clock.dayOfWeek) && clock.minuteOfDay >= window.startMinute && clock.minuteOfDay < window.endMinute
+    )) || null;
+}
+
+/**
+ * Per-session hit rates over the most recent settled predictions made in each scheduled session.
+ * @param {Array<Object>} entries - Ledger entries, newest period first.
+ * @param {Object} schedule - Normalized schedule.
+ * @param {Object} learning - { minSamples, window, z }.
+ * @returns {Object} By session id: { samples, wins, hitRate, wilsonLower, proven }.
+ */
+function learnSessionPerformance(entries, schedule, learning) {
+    const performance = {};
+    schedule.definitions.forEach(definition => {
+        const settled = (entries || [])
+            .filter(entry => entry.session === definition.id && (entry.status === 'Win' || entry.status === 'Loss'))
+            .slice(0, learning.window);
+        const wins = settled.filter(entry => entry.status === 'Win').length;
+        const interval = wilsonInterval(wins, settled.length, learning.z);
+        performance[definition.id] = {
+            samples: settled.length,
+            wins,
+            hitRate: settled.length > 0 ? wins / settled.length : null,
+            wilsonLower: interval ? interval.lower : null,
+            proven: settled.length >= learning.minSamples && interval !== null && interval.lower > BASELINE_HIT_RATE
+        };
+    });
+    return performance;
+}
+
+/**
+ * The session active at a time, with what the engine has learned about it.
+ * @returns {{id: string, aggression: number, confidence: number, proven: boolean, samples: number, hitRate: number|null, wilsonLower: number|null}|null}
+ */
+function describeActiveSession(schedule, clock, performance = {}) {
+    const session = findActiveSession(schedule, clock);
+    if (!session) return null;
+    const learned = performance[session.id] || { samples: 0, hitRate: null, wilsonLower: null, proven: false };
+    return {
+        id: session.id,
+        aggression: session.aggression,
+        confidence: session.confidence,
+        proven: learned.proven,
+        samples: learned.samples,
+        hitRate: learned.hitRate,
+        wilsonLower: learned.wilsonLower
+    };
+}
+
+module.exports = {
+    DEFAULT_SESSION_SCHEDULE,
+    normalizeSessionSchedule,
+    getSessionClock,
+    findActiveSession,
+    learnSessionPerformance,
+    describeActiveSession
+};
@@ -0,0 +1,79 @@
+// signalRegistry.js - Declared metadata for the engine's signal generators
+//
+// Each signal registers once with:
+//   id             - stable identifier; regime profiles refer to it in activeSignalTypes
+//   category       - one of SIGNAL_CATEGORIES; consensus, path confluence, contextual adjustments and
+//                    regime gating all read this instead of guessing from the emitted source name
+//   defaultWeight  - base weight before regime aggression and performance adjustments
+//   minHistory     - confirmed results required before the signal is run (default 0)
+//   params         - analyzer parameters, passed to run() unchanged (default {})
+//   async          - run() returns a promise (default false)
+//   run(context, params, weight) -> { prediction, weight, source, logic? } | null
+//
+// The engine runs signals in registration order and stamps signalId and category on every result.
+// A signal only runs in regimes whose profile lists its id, its category or 'all' in activeSignalTypes,
+// and the weight passed to run() is defaultWeight scaled by that profile's baseWeightMultiplier.
+
+const SIGNAL_CATEGORIES = ['trend', 'momentum', 'meanRev', 'pattern', 'volatility', 'fusion', 'ml'];
+
+function validateSignal(definition) {
+    if (!definition || typeof definition !== 'object') throw new Error('Signal definition must be an object.');
+    const { id, category, defaultWeight, minHistory = 0, params = {}, run } = definition;
+    if (typeof id !== 'string' || id.length === 0) throw new Error('Signal id must be a non-empty string.');
+    if (!SIGNAL_CATEGORIES.includes(category)) {
+        throw new Error(`Signal "${id}" has unknown category "${category}". Expected ${SIGNAL_CATEGORIES.join(', ')}.`);
+    }
+    if (typeof defaultWeight !== 'number' || !(defaultWeight > 0)) throw new Error(`Signal "${id}" needs a positive defaultWeight.`);
+    if (!Number.isInteger(minHistory) || minHistory < 0) throw new Error(`Signal "${id}" minHistory must be a non-negative integer.`);
+    if (!params || typeof params !== 'object' || Array.isArray(params)) throw new Error(`Signal "${id}" params must be an object.`);
+    if (typeof run !== 'function') throw new Error(`Signal "${id}" needs a run(context, params, weight) function.`);
+
+    return Object.freeze({
+        id,
+        category,
+        defaultWeight,
+        minHistory,
+        params: Object.freeze({ ...params }),
+        async: Boolean(definition.async),
+        description: definition.description || '',
+        run
+    });
+}
+
+function createSignalRegistry(definitions = []) {
+    const signals = new Map();
+
+    const registry = {
+        /**
+         * Adds a signal. Registering an existing id throws unless options.replace is set.
+         * @returns {Object} The frozen, validated definition.
+         */
+        register(definition, options = {}) {
+            const signal = validateSignal(definition);
+            if (signals.has(signal.id) && !options.replace) throw new Error(`Signal "${signal.id}" is already registered.`);
+            signals.set(signal.id, signal);
+            return signal;
+        },
+        unregister(id) {
+            return signals.delete(id);
+        },
+        get(id) {
+            return signals.get(id) || null;
+        },
+        /** Signals in the order they run. */
+        list() {
+            return Array.from(signals.values());
+        },
+        /** Metadata without the run function, for logs and API responses. */
+        describe() {
+            return registry.list().map(({ run, ...metadata }) => metadata);
+        }
+    };
+    definitions.forEach(definition => registry.register(definition));
+    return registry;
+}
+
+module.exports = {
+    SIGNAL_CATEGORIES,
+    createSignalRegistry
+};
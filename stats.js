@@ -0,0 +1,122 @@
+// stats.js - Hit-rate statistics over settled ledger entries
+//
+// Only Win/Loss entries count; Pending and Void predictions are left out. Every figure is reported
+// all-time and over a rolling window of the most recent settled predictions, with a 95% Wilson
+// score interval so small slices are not over-trusted.
+
+const DEFAULT_ROLLING_WINDOW = 100;
+const MAX_ROLLING_WINDOW = 5000;
+const WILSON_Z = 1.96; // 95% confidence
+
+// Slices reported by /stats and how each one is read from a ledger entry
+const STAT_SLICES = {
+    confidenceLevel: entry => entry.confidenceLevel,
+    macroRegime: entry => entry.macroRegime || 'UNKNOWN',
+    entropyState: entry => entry.entropyState || 'UNKNOWN',
+    // Hour in the session schedule's timezone; entries from before configurable sessions carry it as istHour
+    hour: entry => {
+        const hour = typeof entry.localHour === 'number' ? entry.localHour : entry.istHour;
+        return typeof hour === 'number' ? hour : 'UNKNOWN';
+    },
+    session: entry => entry.session || 'NONE',
+    forced: entry => (entry.isForced ? 'forced' : 'unforced')
+};
+
+/**
+ * Wilson score interval for a binomial proportion.
+ * @returns {{lower: number, upper: number}|null} Null when there are no trials.
+ */
+function wilsonInterval(wins, total, z = WILSON_Z) {
+    if (total === 0) return null;
+    const p = wins / total;
+    const z2 = z * z;
+    const denominator = 1 + z2 / total;
+    const center = (p + z2 / (2 * total)) / denominator;
+    const margin = (z * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total))) / denominator;
+    return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+function summarize(entries) {
+    const total = entries.length;
+    const wins = entries.filter(entry => entry.status === 'Win').length;
+    return {
+        total,
+        wins,
+        losses: total - wins,
+        hitRate: total > 0 ? wins / total : null,
+        wilson95: wilsonInterval(wins, total)
+    };
+}
+
+// Numeric keys (confidence levels, hours) in numeric order, everything else alphabetically
+function compareSliceKeys(a, b) {
+    const numericA = Number(a);
+    const numericB = Number(b);
+    if (!isNaN(numericA) && !isNaN(numericB)) return numericA - numericB;
+    return a.localeCompare(b);
+}
+
+function groupBy(entries, keyOf) {
+    const groups = {};
+    entries.forEach(entry => {
+        const key = String(keyOf(entry));
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(entry);
+    });
+    return groups;
+}
+
+/**
+ * Computes all-time and rolling hit rates, overall and per slice.
+ * @param {Array<Object>} entries - Ledger entries, newest period first.
+ * @param {Object} options - window: number of most recent settled predictions in the rolling figures.
+ * @returns {Object}
+ */
+function computeLedgerStats(entries, options = {}) {
+    const window = options.window || DEFAULT_ROLLING_WINDOW;
+    const settled = (entries || []).filter(entry => entry.status === 'Win' || entry.status === 'Loss');
+    const recent = settled.slice(0, window);
+
+    const slices = {};
+    Object.keys(STAT_SLICES).forEach(name => {
+        const allTimeGroups = groupBy(settled, STAT_SLICES[name]);
+        const rollingGroups = groupBy(recent, STAT_SLICES[name]);
+        slices[name] = {};
+        Object.keys(allTimeGroups).sort(compareSliceKeys).forEach(key => {
+            slices[name][key] = {
+                allTime: summarize(allTimeGroups[key]),
+                rolling: summarize(rollingGroups[key] || [])
+            };
+        });
+    });
+
+    return {
+        rollingWindow: window,
+        baseline: 0.5,
+        allTime: summarize(settled),
+        rolling: summarize(recent),
+        pending: (entries || []).filter(entry => entry.status === 'Pending').length,
+        voided: (entries || []).filter(entry => entry.status === 'Void').length,
+        slices
+    };
+}
+
+/**
+ * Validates /stats query parameters.
+ * @returns {{options: Object}|{error: string}}
+ */
+function parseStatsQuery(query = {}) {
+    if (query.window === undefined || query.window === '') return { options: { window: DEFAULT_ROLLING_WINDOW } };
+    const window = parseInt(query.window, 10);
+    if (isNaN(window) || window < 1 || window > MAX_ROLLING_WINDOW) {
+        return { error: `window must be between 1 and ${MAX_ROLLING_WINDOW}.` };
+    }
+    return { options: { window } };
+}
+
+module.exports = {
+    STAT_SLICES,
+    wilsonInterval,
+    computeLedgerStats,
+    parseStatsQuery
+};
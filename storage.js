@@ -0,0 +1,250 @@
+// storage.js - Crash-safe persistence for appState.json and gameData.json
+//
+// Both documents go through the same repository API:
+//   repository.load(name, fallbackFactory) -> data   (recovers from the last good snapshot if needed)
+//   repository.save(name, data)
+//   repository.exists(name)
+//
+// Backends (STORAGE_BACKEND):
+//   file   (default) - the document is written to a temp file, fsynced and renamed over <name>.json.
+//                      The previous copy is kept as <name>.json.bak.1 .. bak.N (STORAGE_SNAPSHOTS, default 3).
+//   sqlite           - documents live in <DATA_DIR>/quintus.db. Needs the optional better-sqlite3 package.
+//
+// Every stored document is wrapped in an envelope { format, version, savedAt, checksum, data } where
+// checksum is the sha256 of JSON.stringify(data). Plain JSON files written before this layer existed
+// are still read (and upgraded on the next save).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ENVELOPE_FORMAT = 'quintus-store';
+const ENVELOPE_VERSION = 1;
+const DEFAULT_SNAPSHOTS = 3;
+
+// --- Envelope Helpers ---
+function checksumOf(serializedData) {
+    return crypto.createHash('sha256').update(serializedData).digest('hex');
+}
+
+function serializeEnvelope(data) {
+    // Built by hand so the (large) data payload is only stringified once
+    const serializedData = JSON.stringify(data);
+    return `{"format":"${ENVELOPE_FORMAT}","version":${ENVELOPE_VERSION},"savedAt":${Date.now()},"checksum":"${checksumOf(serializedData)}","data":${serializedData}}`;
+}
+
+function unwrapEnvelope(raw) {
+    const parsed = JSON.parse(raw);
+    if (!parsed || parsed.format !== ENVELOPE_FORMAT) {
+        return parsed; // Legacy plain JSON document
+    }
+    if (checksumOf(JSON.stringify(parsed.data)) !== parsed.checksum) {
+        throw new Error('Checksum mismatch');
+    }
+    return parsed.data;
+}
+
+// Reads a single document file outside a repository (replay files, backtest input)
+function readDocumentFile(filePath) {
+    return unwrapEnvelope(fs.readFileSync(filePath, 'utf8'));
+}
+
+// --- File Backend ---
+function fsyncDirectory(dir) {
+    try {
+        const fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+    } catch (error) {
+        // Not supported on every platform; the rename itself is still atomic
+    }
+}
+
+function createFileBackend(dir, options = {}) {
+    const snapshots = options.snapshots >= 0 ? options.snapshots : DEFAULT_SNAPSHOTS;
+    const fileFor = name => path.join(dir, `${name}.json`);
+    const snapshotFor = (name, index) => `${fileFor(name)}.bak.${index}`;
+
+    return {
+        name: 'file',
+        pathFor: fileFor,
+        exists(name) {
+            return fs.existsSync(fileFor(name)) || fs.existsSync(snapshotFor(name, 1));
+        },
+        read(name) {
+            const primary = fileFor(name);
+            const candidates = [primary];
+            for (let i = 1; i <= snapshots; i++) candidates.push(snapshotFor(name, i));
+
+            let lastError = null;
+            for (const candidate of candidates) {
+                if (!fs.existsSync(candidate)) continue;
+                try {
+                    const data = readDocumentFile(candidate);
+                    return { data, source: candidate, recovered: candidate !== primary };
+                } catch (error) {
+                    lastError = error;
+                    console.error(`Storage: ${candidate} is unreadable (${error.message}).`);
+                }
+            }
+            if (lastError) {
+                // Keep the damaged primary for inspection instead of silently overwriting it
+                if (fs.existsSync(primary)) fs.renameSync(primary, `${primary}.corrupt-${Date.now()}`);
+                throw lastError;
+            }
+            return null;
+        },
+        write(name, data) {
+            const target = fileFor(name);
+            const tempFile = `${target}.tmp-${process.pid}`;
+            const serialized = serializeEnvelope(data);
+
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeSync(fd, serialized);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            // Rotate snapshots: bak.N-1 -> bak.N ... primary -> bak.1 (copied, so the primary never disappears)
+            if (snapshots > 0 && fs.existsSync(target)) {
+                for (let i = snapshots - 1; i >= 1; i--) {
+                    if (fs.existsSync(snapshotFor(name, i))) fs.renameSync(snapshotFor(name, i), snapshotFor(name, i + 1));
+                }
+                fs.copyFileSync(target, snapshotFor(name, 1));
+            }
+            fs.renameSync(tempFile, target);
+            fsyncDirectory(dir);
+        }
+    };
+}
+
+// --- SQLite Backend ---
+function createSqliteBackend(dir, options = {}) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_BACKEND=sqlite requires the optional "better-sqlite3" package to be installed.');
+    }
+    const snapshots = options.snapshots >= 0 ? options.snapshots : DEFAULT_SNAPSHOTS;
+    const dbPath = options.dbPath || path.join(dir, 'quintus.db');
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL, checksum TEXT NOT NULL, saved_at INTEGER NOT NULL);
+        CREATE TABLE IF NOT EXISTS snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, data TEXT NOT NULL, checksum TEXT NOT NULL, saved_at INTEGER NOT NULL);
+        CREATE INDEX IF NOT EXISTS snapshots_by_name ON snapshots (name, id);
+    `);
+
+    const selectDocument = db.prepare('SELECT data, checksum FROM documents WHERE name = ?');
+    const selectSnapshots = db.prepare('SELECT id, data, checksum FROM snapshots WHERE name = ? ORDER BY id DESC');
+    const copyToSnapshot = db.prepare('INSERT INTO snapshots (name, data, checksum, saved_at) SELECT name, data, checksum, saved_at FROM documents WHERE name = ?');
+    const pruneSnapshots = db.prepare('DELETE FROM snapshots WHERE name = ? AND id NOT IN (SELECT id FROM snapshots WHERE name = ? ORDER BY id DESC LIMIT ?)');
+    const upsertDocument = db.prepare('INSERT INTO documents (name, data, checksum, saved_at) VALUES (?, ?, ?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data, checksum = excluded.checksum, saved_at = excluded.saved_at');
+
+    const writeTransaction = db.transaction((name, serializedData, checksum) => {
+        if (snapshots > 0) {
+            copyToSnapshot.run(name);
+            pruneSnapshots.run(name, name, snapshots);
+        }
+        upsertDocument.run(name, serializedData, checksum, Date.now());
+    });
+
+    const decodeRow = row => {
+        if (checksumOf(row.data) !== row.checksum) throw new Error('Checksum mismatch');
+        return JSON.parse(row.data);
+    };
+
+    return {
+        name: 'sqlite',
+        pathFor: () => dbPath,
+        exists(name) {
+            return Boolean(selectDocument.get(name)) || fs.existsSync(path.join(dir, `${name}.json`));
+        },
+        read(name) {
+            const row = selectDocument.get(name);
+            if (row) {
+                try {
+                    return { data: decodeRow(row), source: `${dbPath}#${name}`, recovered: false };
+                } catch (error) {
+                    console.error(`Storage: document "${name}" in ${dbPath} is unreadable (${error.message}).`);
+                }
+                for (const snapshot of selectSnapshots.all(name)) {
+                    try {
+                        return { data: decodeRow(snapshot), source: `${dbPath}#${name}@${snapshot.id}`, recovered: true };
+                    } catch (error) {
+                        console.error(`Storage: snapshot ${snapshot.id} of "${name}" is unreadable (${error.message}).`);
+                    }
+                }
+                throw new Error(`No readable copy of "${name}" in ${dbPath}`);
+            }
+
+            // First start on SQLite: import the JSON file written by the file backend, if any
+            const legacy = createFileBackend(dir, { snapshots });
+            const imported = legacy.exists(name) ? legacy.read(name) : null;
+            if (imported) console.log(`Storage: importing ${imported.source} into ${dbPath}.`);
+            return imported ? { ...imported, recovered: false, imported: true } : null;
+        },
+        write(name, data) {
+            const serializedData = JSON.stringify(data);
+            writeTransaction(name, serializedData, checksumOf(serializedData));
+        }
+    };
+}
+
+// --- Repository ---
+function createRepository(options = {}) {
+    const dir = options.dir || __dirname;
+    const kind = (options.backend || 'file').toLowerCase();
+    let backend;
+    if (kind === 'file') backend = createFileBackend(dir, options);
+    else if (kind === 'sqlite') backend = createSqliteBackend(dir, options);
+    else throw new Error(`Unknown STORAGE_BACKEND "${kind}". Expected file or sqlite.`);
+
+    const cache = new Map(); // The repository is the only writer, so loaded documents can be served from memory
+
+    return {
+        backend: backend.name,
+        pathFor: name => backend.pathFor(name),
+        exists(name) {
+            return cache.has(name) || backend.exists(name);
+        },
+        load(name, fallbackFactory = () => null) {
+            if (cache.has(name)) return cache.get(name);
+            let data;
+            try {
+                const result = backend.read(name);
+                if (result) {
+                    data = result.data;
+                    if (result.recovered) console.warn(`Storage: recovered "${name}" from ${result.source}.`);
+                    if (result.recovered || result.imported) backend.write(name, data);
+                }
+            } catch (error) {
+                console.error(`Storage: could not recover "${name}", starting fresh.`, error);
+            }
+            if (data === undefined || data === null) data = fallbackFactory();
+            cache.set(name, data);
+            return data;
+        },
+        save(name, data) {
+            backend.write(name, data);
+            cache.set(name, data);
+        }
+    };
+}
+
+function createRepositoryFromEnv(dir, env = process.env) {
+    return createRepository({
+        dir,
+        backend: env.STORAGE_BACKEND || 'file',
+        snapshots: env.STORAGE_SNAPSHOTS !== undefined ? parseInt(env.STORAGE_SNAPSHOTS, 10) : undefined
+    });
+}
+
+module.exports = {
+    createRepository,
+    createRepositoryFromEnv,
+    readDocumentFile
+};
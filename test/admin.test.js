@@ -0,0 +1,98 @@
+// Admin audit log and the engine operations behind the /admin endpoints (see admin.js and server.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuditLog, adminOptionsFromEnv } = require('../admin');
+const { PredictionEngine } = require('../predictionLogic');
+const { createMemoryRepository } = require('./helpers/memoryRepository');
+
+function createEngine() {
+    return new PredictionEngine({
+        schemaVersion: 4,
+        signalPerformance: {
+            Trend: {
+                correct: 12, total: 20, recentAccuracy: [1, 0, 1], sessionHistory: [],
+                currentAdjustmentFactor: 1.2, alphaFactor: 1, longTermImportanceScore: 0.6, isOnProbation: false
+            }
+        },
+        driftDetector: { p_min: 0.4, s_min: 0.1, n: 30, warning_level: 2, drift_level: 3 }
+    });
+}
+
+test('records admin actions with their outcome and lists them newest first', t => {
+    t.mock.method(console, 'log', () => {});
+    const repository = createMemoryRepository();
+    const audit = createAuditLog({ repository, limit: 3 });
+    const first = audit.record({ action: 'cycle.pause', actor: 'ops', game: 'wingo1m', reason: 'maintenance', outcome: 'ok', before: null, after: { at: 1 } });
+    assert.match(first.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual({ ...first, id: null, at: null }, {
+        id: null, at: null, action: 'cycle.pause', actor: 'ops', game: 'wingo1m', target: null, params: null, reason: 'maintenance',
+        outcome: 'ok', error: null, before: null, after: { at: 1 }, remoteAddress: null
+    });
+    audit.record({ action: 'signal.reset', game: 'wingo3m', target: 'Trend', outcome: 'rejected', error: 'No performance' });
+    audit.record({ action: 'cycle.pause', game: 'wingo3m', outcome: 'ok' });
+    audit.record({ action: 'key.create', outcome: 'ok' });
+
+    // The oldest entry went over the limit
+    assert.equal(JSON.parse(repository.documents.adminAudit).entries.length, 3);
+    assert.deepEqual(audit.list().map(entry => entry.action), ['key.create', 'cycle.pause', 'signal.reset']);
+    assert.deepEqual(audit.list({ game: 'wingo3m', action: 'cycle.pause' }).map(entry => entry.game), ['wingo3m']);
+    assert.equal(audit.list({ limit: 1 }).length, 1);
+});
+
+test('surfaces audit write failures to the caller', t => {
+    t.mock.method(console, 'log', () => {});
+    const repository = { ...createMemoryRepository(), save: () => { throw new Error('disk full'); } };
+    assert.throws(() => createAuditLog({ repository }).record({ action: 'drift.reset', outcome: 'ok' }), /disk full/);
+    assert.deepEqual(adminOptionsFromEnv({ ADMIN_AUDIT_LIMIT: '50' }), { auditLimit: 50 });
+});
+
+test('resets, edits and forces probation on a signal, returning before and after copies', () => {
+    const engine = createEngine();
+    const edited = engine.editSignalPerformance('Trend', { currentAdjustmentFactor: 2, longTermImportanceScore: 0.9 });
+    assert.equal(edited.before.currentAdjustmentFactor, 1.2);
+    assert.deepEqual([edited.after.currentAdjustmentFactor, edited.after.longTermImportanceScore], [2, 0.9]);
+    edited.after.currentAdjustmentFactor = 0;
+    assert.equal(engine.signalPerformance.Trend.currentAdjustmentFactor, 2);
+
+    const forced = engine.setSignalProbation('Trend', true);
+    assert.deepEqual([forced.after.isOnProbation, forced.after.isProbationForced], [true, true]);
+    const cleared = engine.setSignalProbation('Trend', false);
+    assert.deepEqual([cleared.after.isOnProbation, cleared.after.isProbationForced], [false, false]);
+
+    const reset = engine.resetSignalPerformance('Trend');
+    assert.equal(reset.before.total, 20);
+    assert.equal(reset.after, null);
+    assert.equal('Trend' in engine.signalPerformance, false);
+});
+
+test('refuses edits to unknown signals, unknown fields and values out of bounds', () => {
+    const engine = createEngine();
+    assert.deepEqual(engine.resetSignalPerformance('Nope'), { error: 'No performance recorded for signal "Nope".', notFound: true });
+    assert.equal(engine.setSignalProbation('toString', true).notFound, true);
+    assert.match(engine.editSignalPerformance('Trend', {}).error, /^Nothing to change/);
+    assert.match(engine.editSignalPerformance('Trend', { total: 0 }).error, /^"total" cannot be edited/);
+    assert.equal(engine.editSignalPerformance('Trend', { alphaFactor: 5 }).error, 'alphaFactor must be a number from 0.4 to 1.6.');
+    assert.equal(engine.editSignalPerformance('Trend', { currentAdjustmentFactor: '2' }).error, 'currentAdjustmentFactor must be a number from 0.01 to 2.5.');
+    // A rejected edit changes nothing, even for the fields that were valid
+    engine.editSignalPerformance('Trend', { longTermImportanceScore: 0.1, alphaFactor: 9 });
+    assert.equal(engine.signalPerformance.Trend.longTermImportanceScore, 0.6);
+});
+
+test('resets the drift detector and regime profiles to their defaults', () => {
+    const engine = createEngine();
+    const drift = engine.resetDriftDetector();
+    assert.equal(drift.before.n, 30);
+    assert.equal(drift.after.n, 0);
+
+    const defaults = new PredictionEngine().regimeSignalProfiles.RANGE_LOW_VOL;
+    Object.assign(engine.regimeSignalProfiles.RANGE_LOW_VOL, { baseWeightMultiplier: 0.3, totalPredictions: 40, correctPredictions: 10 });
+    const regime = engine.resetRegimeProfile('RANGE_LOW_VOL');
+    assert.equal(regime.before.regime, 'RANGE_LOW_VOL');
+    assert.deepEqual(engine.regimeSignalProfiles.RANGE_LOW_VOL, defaults);
+
+    // A discovered profile has no default to go back to
+    engine.regimeSignalProfiles.DISCOVERED_X = { ...defaults };
+    assert.equal(engine.resetRegimeProfile('DISCOVERED_X').after, null);
+    assert.equal('DISCOVERED_X' in engine.regimeSignalProfiles, false);
+    assert.equal(engine.resetRegimeProfile('DISCOVERED_X').notFound, true);
+});
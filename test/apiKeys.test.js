@@ -0,0 +1,238 @@
+// API key store: scopes, expiry, revocation, rate limits, quotas, rotation and usage (see apiKeys.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ENV_API_KEY_ID,
+    hashKey,
+    validateKeySettings,
+    createApiKeyStore,
+    createApiKeyMiddleware,
+    apiKeyOptionsFromEnv
+} = require('../apiKeys');
+const { createMemoryRepository } = require('./helpers/memoryRepository');
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function createStore(options = {}) {
+    return createApiKeyStore({
+        repository: createMemoryRepository(),
+        bootstrapKeys: [
+            { id: ENV_API_KEY_ID, name: 'API_KEY', secret: 'env-secret', scopes: ['predict', 'results', 'game-data'] },
+            { id: 'env:ADMIN_API_KEY', name: 'ADMIN_API_KEY', secret: 'admin-secret', scopes: ['admin'] }
+        ],
+        ...options
+    });
+}
+
+test('authenticates keys for their scopes only', () => {
+    const store = createStore();
+    assert.deepEqual(store.authenticate('env-secret', 'predict', NOW), { key: { id: ENV_API_KEY_ID, name: 'API_KEY', scopes: ['predict', 'results', 'game-data'] } });
+    assert.deepEqual(store.authenticate('env-secret', 'admin', NOW), { status: 403, error: 'Forbidden: API key lacks the "admin" scope' });
+    assert.equal(store.authenticate('admin-secret', 'admin', NOW).key.id, 'env:ADMIN_API_KEY');
+    assert.equal(store.authenticate('wrong', 'predict', NOW).status, 401);
+    assert.equal(store.authenticate(undefined, 'predict', NOW).status, 401);
+});
+
+test('stores only the hash of a created key and returns the key once', () => {
+    const repository = createMemoryRepository();
+    const store = createStore({ repository });
+    const created = store.create({ name: ' Partner ', scopes: ['results', 'results'] }, NOW);
+    assert.match(created.secret, /^qk_/);
+    assert.equal(created.before, null);
+    assert.equal(created.after.name, 'Partner');
+    assert.deepEqual(created.after.scopes, ['results']);
+    assert.equal(created.after.prefix, created.secret.slice(0, 8));
+    assert.equal('hash' in created.after, false);
+
+    const stored = JSON.parse(repository.documents.apiKeys);
+    assert.equal(stored.keys[0].hash, hashKey(created.secret));
+    assert.equal(repository.documents.apiKeys.includes(created.secret), false);
+    assert.ok(store.list().every(key => !('hash' in key) && !('secret' in key)));
+    assert.deepEqual(store.list().map(key => key.source), ['env', 'env', 'store']);
+
+    assert.equal(store.authenticate(created.secret, 'results', NOW).key.id, created.after.id);
+});
+
+test('validates key settings', () => {
+    assert.match(validateKeySettings({ scopes: ['predict'] }).error, /^name must be/);
+    assert.match(validateKeySettings({ name: 'a', scopes: [] }).error, /^scopes must be/);
+    assert.match(validateKeySettings({ name: 'a', scopes: ['root'] }).error, /^scopes must be/);
+    assert.match(validateKeySettings({ name: 'a', scopes: ['predict'], expiresAt: 'soon' }).error, /^expiresAt must be/);
+    assert.match(validateKeySettings({ name: 'a', scopes: ['predict'], rateLimitPerMinute: -1 }).error, /^rateLimitPerMinute must be/);
+    assert.match(validateKeySettings({ name: 'a', scopes: ['predict'], quota: { limit: 5, period: 'week' } }).error, /^quota must be/);
+    assert.deepEqual(validateKeySettings({ name: 'a', scopes: ['predict'], expiresAt: '2026-04-01T00:00:00Z' }).settings, {
+        name: 'a', scopes: ['predict'], expiresAt: Date.parse('2026-04-01T00:00:00Z'), rateLimitPerMinute: null, quota: null
+    });
+    assert.deepEqual(validateKeySettings({ quota: null }, { partial: true }).settings, { quota: null });
+});
+
+test('refuses expired and revoked keys', () => {
+    const store = createStore();
+    const { secret, after } = store.create({ name: 'Short lived', scopes: ['predict'], expiresAt: NOW + MINUTE }, NOW);
+    assert.ok(store.authenticate(secret, 'predict', NOW + MINUTE - 1).key);
+    assert.deepEqual(store.authenticate(secret, 'predict', NOW + MINUTE), { status: 401, error: 'Unauthorized: API key has expired' });
+
+    const other = store.create({ name: 'Revoked', scopes: ['predict'] }, NOW);
+    const revoked = store.revoke(other.after.id, NOW);
+    assert.equal(revoked.before.revokedAt, null);
+    assert.equal(revoked.after.revokedAt, NOW);
+    assert.deepEqual(store.authenticate(other.secret, 'predict', NOW), { status: 401, error: 'Unauthorized: API key has been revoked' });
+    assert.match(store.revoke(other.after.id, NOW).error, /already revoked/);
+    assert.ok(store.list().some(key => key.id === after.id));
+});
+
+test('environment keys cannot be edited through the store', () => {
+    const store = createStore();
+    const result = store.revoke(ENV_API_KEY_ID, NOW);
+    assert.match(result.error, /is set in the environment/);
+    assert.equal(result.notFound, undefined);
+    assert.deepEqual(store.update('missing', { name: 'x' }), { error: 'Unknown API key "missing".', notFound: true });
+});
+
+test('limits requests per minute in fixed windows', () => {
+    const store = createStore();
+    const { secret, after } = store.create({ name: 'Limited', scopes: ['predict'], rateLimitPerMinute: 2 }, NOW);
+    assert.ok(store.authenticate(secret, 'predict', NOW).key);
+    assert.ok(store.authenticate(secret, 'predict', NOW + 1000).key);
+    assert.deepEqual(store.authenticate(secret, 'predict', NOW + 15000), {
+        status: 429,
+        error: 'Rate limit of 2 requests per minute exceeded',
+        retryAfterSeconds: 45
+    });
+    assert.ok(store.authenticate(secret, 'predict', NOW + MINUTE).key);
+
+    const usage = store.list().find(key => key.id === after.id).usage;
+    assert.equal(usage.total, 3);
+    assert.equal(usage.rateLimited, 1);
+    assert.deepEqual(usage.byScope, { predict: 3 });
+});
+
+test('leaves keys without their own limit unthrottled by default', () => {
+    const store = createStore();
+    for (let i = 0; i < 500; i++) assert.ok(store.authenticate('env-secret', 'predict', NOW).key);
+    const { secret } = store.create({ name: 'Default limit', scopes: ['predict'] }, NOW);
+    for (let i = 0; i < 500; i++) assert.ok(store.authenticate(secret, 'predict', NOW).key);
+});
+
+test('uses the configured default rate limit unless a key sets its own, 0 meaning unlimited', () => {
+    const store = createStore({ defaultRateLimitPerMinute: 1 });
+    assert.ok(store.authenticate('env-secret', 'predict', NOW).key);
+    assert.equal(store.authenticate('env-secret', 'predict', NOW).status, 429);
+
+    const { secret } = store.create({ name: 'Unlimited', scopes: ['predict'], rateLimitPerMinute: 0 }, NOW);
+    for (let i = 0; i < 5; i++) assert.ok(store.authenticate(secret, 'predict', NOW).key);
+});
+
+test('counts quotas per UTC day and starts again the next day', () => {
+    const store = createStore();
+    const { secret } = store.create({ name: 'Quota', scopes: ['results'], rateLimitPerMinute: 0, quota: { limit: 2, period: 'day' } }, NOW);
+    assert.ok(store.authenticate(secret, 'results', NOW).key);
+    assert.ok(store.authenticate(secret, 'results', NOW).key);
+    assert.deepEqual(store.authenticate(secret, 'results', NOW), {
+        status: 429,
+        error: 'Quota of 2 requests per day (UTC) used up for 2026-03-10'
+    });
+    assert.ok(store.authenticate(secret, 'results', NOW + DAY).key);
+});
+
+test('refused requests do not count against the quota', () => {
+    const store = createStore();
+    const { secret, after } = store.create({ name: 'Quota', scopes: ['results'], rateLimitPerMinute: 1, quota: { limit: 5, period: 'month' } }, NOW);
+    store.authenticate(secret, 'results', NOW);
+    store.authenticate(secret, 'results', NOW);
+    store.authenticate(secret, 'predict', NOW);
+    const usage = store.list().find(key => key.id === after.id).usage;
+    assert.equal(usage.quotaPeriod, '2026-03');
+    assert.equal(usage.quotaUsed, 1);
+});
+
+test('rotation issues a replacement and keeps the old key for the grace period', () => {
+    const store = createStore();
+    const original = store.create({ name: 'Rotating', scopes: ['predict'], expiresAt: NOW + 30 * DAY, quota: { limit: 100, period: 'month' } }, NOW);
+    const rotatedAt = NOW + DAY;
+    const rotated = store.rotate(original.after.id, 10 * MINUTE, rotatedAt);
+
+    assert.notEqual(rotated.secret, original.secret);
+    assert.notEqual(rotated.after.id, original.after.id);
+    assert.equal(rotated.after.name, 'Rotating');
+    assert.deepEqual(rotated.after.quota, { limit: 100, period: 'month' });
+    assert.equal(rotated.after.expiresAt, rotatedAt + 30 * DAY);
+    assert.equal(rotated.previous.rotatedTo, rotated.after.id);
+    assert.equal(rotated.previous.expiresAt, rotatedAt + 10 * MINUTE);
+
+    assert.ok(store.authenticate(original.secret, 'predict', rotatedAt + 10 * MINUTE - 1).key);
+    assert.equal(store.authenticate(original.secret, 'predict', rotatedAt + 10 * MINUTE).status, 401);
+    assert.equal(store.authenticate(rotated.secret, 'predict', rotatedAt + 10 * MINUTE).key.id, rotated.after.id);
+
+    assert.match(store.rotate(original.after.id, -1, rotatedAt).error, /^graceMs must be/);
+});
+
+test('update changes only the given settings', () => {
+    const store = createStore();
+    const { after } = store.create({ name: 'Editable', scopes: ['predict'], rateLimitPerMinute: 10 }, NOW);
+    const updated = store.update(after.id, { scopes: ['predict', 'results'] });
+    assert.deepEqual(updated.before.scopes, ['predict']);
+    assert.deepEqual(updated.after.scopes, ['predict', 'results']);
+    assert.equal(updated.after.rateLimitPerMinute, 10);
+    assert.match(store.update(after.id, {}).error, /^Nothing to change/);
+});
+
+test('usage counters survive a restart once flushed', () => {
+    const repository = createMemoryRepository();
+    const store = createStore({ repository });
+    const { secret, after } = store.create({ name: 'Counted', scopes: ['predict'] }, NOW);
+    store.authenticate(secret, 'predict', NOW);
+    store.authenticate(secret, 'predict', NOW);
+    store.flush();
+
+    const restarted = createStore({ repository });
+    assert.equal(restarted.list().find(key => key.id === after.id).usage.total, 2);
+    assert.equal(restarted.authenticate(secret, 'predict', NOW).key.id, after.id);
+});
+
+test('the middleware answers refusals and exposes the key to handlers', () => {
+    const store = createStore({ defaultRateLimitPerMinute: 1 });
+    const middleware = createApiKeyMiddleware(store, 'predict', req => req.headers['x-api-key']);
+    const createResponse = () => {
+        const res = { headers: {}, statusCode: 200, body: null };
+        res.set = (name, value) => { res.headers[name] = value; return res; };
+        res.status = code => { res.statusCode = code; return res; };
+        res.json = body => { res.body = body; return res; };
+        return res;
+    };
+
+    const req = { headers: { 'x-api-key': 'env-secret' } };
+    let nextCalls = 0;
+    middleware(req, createResponse(), () => { nextCalls++; });
+    assert.equal(nextCalls, 1);
+    assert.equal(req.apiKey.id, ENV_API_KEY_ID);
+
+    const limited = createResponse();
+    middleware({ headers: { 'x-api-key': 'env-secret' } }, limited, () => { nextCalls++; });
+    assert.equal(nextCalls, 1);
+    assert.equal(limited.statusCode, 429);
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+
+    const forbidden = createResponse();
+    const refusals = [];
+    const adminMiddleware = createApiKeyMiddleware(store, 'admin', req => req.headers['x-admin-key'], {
+        onRefused: (req, result) => refusals.push(result.status)
+    });
+    adminMiddleware({ headers: { 'x-admin-key': 'env-secret' } }, forbidden, () => { nextCalls++; });
+    assert.equal(forbidden.statusCode, 403);
+    assert.equal(forbidden.headers['Retry-After'], undefined);
+    assert.deepEqual(refusals, [403]);
+});
+
+test('reads bootstrap keys and settings from the environment', () => {
+    const options = apiKeyOptionsFromEnv({ API_KEY: 'a', ADMIN_API_KEY: 'b', API_KEY_RATE_LIMIT: '0' });
+    assert.deepEqual(options.bootstrapKeys.map(key => [key.id, key.scopes]), [
+        [ENV_API_KEY_ID, ['predict', 'results', 'game-data']],
+        ['env:ADMIN_API_KEY', ['admin']]
+    ]);
+    assert.equal(options.defaultRateLimitPerMinute, 0);
+    assert.equal(apiKeyOptionsFromEnv({}).defaultRateLimitPerMinute, undefined);
+    assert.deepEqual(apiKeyOptionsFromEnv({ API_KEY: 'same', ADMIN_API_KEY: 'same' }).bootstrapKeys.map(key => key.id), [ENV_API_KEY_ID]);
+});
@@ -0,0 +1,96 @@
+// Gap detection, paginated backfill and period time estimates (see backfill.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    findMissingPeriods,
+    backfillMissingPeriods,
+    estimatePeriodTimes,
+    isNewerPeriod,
+    mergeUniqueRows
+} = require('../backfill');
+
+// Upstream list of the given periods, newest first, served page by page
+function createProvider(periods, pageSize = 5) {
+    const rows = periods.slice().sort((a, b) => b - a).map(period => ({ issueNumber: String(period), number: String(period % 10) }));
+    const requested = [];
+    return {
+        pageSize,
+        requested,
+        async fetchPage({ pageNo, pageSize: size }) {
+            requested.push(pageNo);
+            return rows.slice((pageNo - 1) * size, pageNo * size);
+        }
+    };
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+const issues = rows => rows.map(row => row.issueNumber);
+
+test('finds missing periods between known ones, oldest first', () => {
+    assert.deepEqual(findMissingPeriods(['105', 101, '102', '101']), ['103', '104']);
+    assert.deepEqual(findMissingPeriods(['20240101100010001', '20240101100010004']), ['20240101100010002', '20240101100010003']);
+    assert.deepEqual(findMissingPeriods(['1', '2', 'x']), []);
+});
+
+test('treats a jump beyond maxGapSpan as a rollover', () => {
+    assert.deepEqual(findMissingPeriods(['100', '200'], 50), []);
+    assert.equal(findMissingPeriods(['100', '150'], 50).length, 49);
+});
+
+test('compares and merges periods numerically', () => {
+    assert.equal(isNewerPeriod('20240101100010010', '20240101100010009'), true);
+    assert.equal(isNewerPeriod('99', '100'), false);
+    assert.equal(isNewerPeriod('1', null), true);
+    assert.equal(isNewerPeriod('x', '1'), false);
+    const merged = mergeUniqueRows([{ issueNumber: '9', number: '1' }], [{ issueNumber: '10', number: '2' }, { issueNumber: '9', number: '5' }]);
+    assert.deepEqual(merged, [{ issueNumber: '10', number: '2' }, { issueNumber: '9', number: '1' }]);
+});
+
+test('pages back until every missing period is recovered', async () => {
+    const provider = createProvider(range(100, 120));
+    const result = await backfillMissingPeriods(provider, {
+        knownIssueNumbers: ['105', '106', '107'],
+        latestRows: [{ issueNumber: '120' }, { issueNumber: '119' }],
+        anchorIssueNumber: '107'
+    });
+    assert.deepEqual(issues(result.rows), range(108, 118).reverse().map(String));
+    assert.deepEqual(result.unresolved, []);
+    assert.deepEqual(provider.requested, [1, 2, 3]);
+});
+
+test('stops once a page reaches past the oldest gap and reports what it could not find', async () => {
+    const provider = createProvider([100, 101, 102, 104, 105, 106, 107, 108, 109, 110]);
+    const result = await backfillMissingPeriods(provider, {
+        knownIssueNumbers: ['100', '101'],
+        latestRows: [{ issueNumber: '110' }]
+    });
+    assert.deepEqual(result.unresolved, ['103']);
+    assert.equal(result.rows.length, 7);
+    assert.equal(result.pagesFetched, 2);
+});
+
+test('skips periods given up on and gaps beyond the page budget', async () => {
+    const provider = createProvider(range(100, 110));
+    assert.deepEqual(await backfillMissingPeriods(provider, {
+        knownIssueNumbers: ['100', '102'],
+        latestRows: [{ issueNumber: '102' }],
+        skipIssueNumbers: new Set(['101'])
+    }), { rows: [], unresolved: [], pagesFetched: 0 });
+
+    // Two pages of five only reach back to period 100 from 110, so the older gap is not looked for
+    const result = await backfillMissingPeriods(provider, {
+        knownIssueNumbers: ['80', '85', '108', '110'],
+        latestRows: [{ issueNumber: '110' }],
+        maxPages: 2
+    });
+    assert.deepEqual(issues(result.rows), ['109']);
+    assert.deepEqual(provider.requested, [1]);
+});
+
+test('estimates a time per row from the newest one back', () => {
+    const rows = ['100', '101', '103', '5000'].map(issueNumber => ({ issueNumber }));
+    const times = estimatePeriodTimes(rows, { periodMs: 60000, now: 1000000, maxGapSpan: 2000 });
+    // 103 -> 5000 is a rollover and counts as one period
+    assert.deepEqual(times, [1000000 - 60000 * 4, 1000000 - 60000 * 3, 1000000 - 60000, 1000000]);
+    assert.deepEqual(estimatePeriodTimes([], { periodMs: 60000, now: 5 }), []);
+});
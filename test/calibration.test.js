@@ -0,0 +1,82 @@
+// Isotonic and Platt calibration fits, their fallbacks and diagnostics (see calibration.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitCalibrator, brierScore, reliabilityBins, calibrationOptionsFromEnv } = require('../calibration');
+
+// Settled entries at a raw confidence (percent) winning `wins` out of `total` times
+function settledAt(confidence, wins, total) {
+    return Array.from({ length: total }, (_, index) => ({ confidence, status: index < wins ? 'Win' : 'Loss' }));
+}
+
+// Overconfident engine: claims 60/75/90% but wins 50/60/70% of the time
+const OVERCONFIDENT = [...settledAt(60, 50, 100), ...settledAt(75, 60, 100), ...settledAt(90, 70, 100)];
+
+test('stays the identity until enough predictions are settled', () => {
+    const calibrator = fitCalibrator(settledAt(80, 10, 20), { minSamples: 50 });
+    assert.equal(calibrator.method, 'identity');
+    assert.equal(calibrator.calibrate(80), 80);
+    assert.equal(fitCalibrator(OVERCONFIDENT, { method: 'none', minSamples: 1 }).method, 'identity');
+    assert.equal(fitCalibrator([]).calibrate(undefined), undefined);
+});
+
+test('ignores pending, voided and confidence-less entries', () => {
+    const entries = [{ status: 'Pending', confidence: 70 }, { status: 'Void', confidence: 70 }, { status: 'Win' }, ...settledAt(70, 1, 2)];
+    assert.equal(fitCalibrator(entries, { minSamples: 1 }).report().samples, 2);
+});
+
+test('isotonic fits the observed win rates and interpolates between them', () => {
+    const calibrator = fitCalibrator(OVERCONFIDENT, { minSamples: 100 });
+    assert.equal(calibrator.method, 'isotonic');
+    assert.equal(calibrator.calibrate(60), 50);
+    assert.equal(calibrator.calibrate(75), 60);
+    assert.equal(calibrator.calibrate(90), 70);
+    assert.equal(calibrator.calibrate(82.5), 65);
+    // Outside the fitted range the nearest knot applies
+    assert.equal(calibrator.calibrate(99), 70);
+    assert.equal(calibrator.calibrate(51), 50);
+});
+
+test('isotonic pools adjacent levels that would otherwise decrease', () => {
+    const calibrator = fitCalibrator([...settledAt(60, 70, 100), ...settledAt(80, 50, 100)], { minSamples: 1 });
+    const { knots } = calibrator.report().model;
+    assert.equal(knots.length, 1);
+    assert.ok(Math.abs(knots[0].x - 0.7) < 1e-9);
+    assert.equal(knots[0].y, 0.6);
+    assert.equal(calibrator.calibrate(60), 60);
+});
+
+test('platt scaling shrinks overconfident predictions and keeps their order', () => {
+    const calibrator = fitCalibrator(OVERCONFIDENT, { method: 'platt', minSamples: 100 });
+    assert.equal(calibrator.method, 'platt');
+    const [low, mid, high] = [60, 75, 90].map(confidence => calibrator.calibrate(confidence));
+    assert.ok(low < mid && mid < high);
+    assert.ok(high < 80 && low > 45, `${low} ${high}`);
+    assert.ok(calibrator.report().model.a < 1);
+});
+
+test('fits only the most recent window of settled predictions', () => {
+    const recent = settledAt(70, 90, 100);
+    const calibrator = fitCalibrator([...recent, ...settledAt(70, 0, 500)], { minSamples: 10, window: 100 });
+    assert.equal(calibrator.calibrate(70), 90);
+    assert.equal(calibrator.report().samples, 100);
+});
+
+test('reports Brier scores and reliability bins for raw and calibrated confidence', () => {
+    const report = fitCalibrator(OVERCONFIDENT, { minSamples: 100 }).report();
+    assert.equal(report.requestedMethod, 'isotonic');
+    assert.ok(report.brierScore.calibrated < report.brierScore.raw);
+    assert.equal(report.reliability.raw.length, 10);
+    assert.equal(report.reliability.raw[9].count, 100);
+
+    assert.equal(brierScore([]), null);
+    assert.equal(brierScore([{ p: 1, y: 0 }, { p: 0.5, y: 1 }]), 0.625);
+    const bins = reliabilityBins([{ p: 1, y: 1 }, { p: 0.05, y: 0 }], 2);
+    assert.deepEqual(bins.map(bin => [bin.count, bin.observedRate]), [[1, 0], [1, 1]]);
+});
+
+test('refuses unknown methods and reads settings from the environment', () => {
+    assert.throws(() => fitCalibrator([], { method: 'magic' }), /Unknown CALIBRATION_METHOD "magic"/);
+    assert.deepEqual(calibrationOptionsFromEnv({}), { method: 'isotonic', minSamples: 200, window: 2000 });
+    assert.deepEqual(calibrationOptionsFromEnv({ CALIBRATION_METHOD: 'Platt', CALIBRATION_MIN_SAMPLES: '0', CALIBRATION_WINDOW: '500' }),
+        { method: 'platt', minSamples: 0, window: 500 });
+});
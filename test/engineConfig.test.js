@@ -0,0 +1,168 @@
+// Engine config layering, validation, hashing and reloads (see engineConfig.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ENGINE_CONFIG_SCHEMA,
+    resolveEngineConfig,
+    parseOverrides,
+    createEngineConfigStore,
+    engineConfigOptionsFromEnv
+} = require('../engineConfig');
+const { signalRegistry } = require('../predictionLogic');
+
+test('resolves the schema defaults with a stable hash', () => {
+    const config = resolveEngineConfig();
+    assert.equal(config.profile, null);
+    assert.match(config.hash, /^[0-9a-f]{12}$/);
+    assert.equal(config.values.confidence.highThreshold, ENGINE_CONFIG_SCHEMA.confidence.highThreshold.default);
+    assert.deepEqual(config.values.signalParams, {});
+    assert.equal(config.values.sessions.timezone, 'Asia/Kolkata');
+    assert.equal(resolveEngineConfig().hash, config.hash);
+    assert.ok(Object.isFrozen(config.values.confidence));
+});
+
+test('hash ignores key order and changes with any value', () => {
+    const a = resolveEngineConfig({ file: { base: { confidence: { highThreshold: 0.8, mediumThreshold: 0.7 } } } });
+    const b = resolveEngineConfig({ file: { base: { confidence: { mediumThreshold: 0.7, highThreshold: 0.8 } } } });
+    assert.equal(a.hash, b.hash);
+    assert.notEqual(a.hash, resolveEngineConfig().hash);
+});
+
+test('layers base, profile and overrides in that order', () => {
+    const file = {
+        base: { confidence: { highThreshold: 0.8 }, history: { minConfirmedResults: 60 } },
+        profiles: { aggressive: { confidence: { highThreshold: 0.75 }, history: { minConfirmedResults: 40 } } }
+    };
+    const config = resolveEngineConfig({
+        file,
+        profile: 'aggressive',
+        overrides: { history: { minConfirmedResults: 30 } }
+    });
+    assert.equal(config.profile, 'aggressive');
+    assert.equal(config.values.confidence.highThreshold, 0.75);
+    assert.equal(config.values.history.minConfirmedResults, 30);
+    assert.equal(config.values.confidence.mediumThreshold, ENGINE_CONFIG_SCHEMA.confidence.mediumThreshold.default);
+    assert.equal(resolveEngineConfig({ file }).values.confidence.highThreshold, 0.8);
+});
+
+test('reports every problem in one error', () => {
+    assert.throws(() => resolveEngineConfig({
+        file: {
+            extra: {},
+            base: {
+                confidence: { highThreshold: 2 },
+                history: { minConfirmedResults: 10.5 },
+                performance: { window: 'thirty', unknownKey: 1 },
+                nosuch: {}
+            }
+        }
+    }), error => {
+        assert.match(error.message, /^Invalid engine config: /);
+        [
+            'config file has unknown top-level key(s) extra',
+            'base.confidence.highThreshold must be between 0.5 and 1',
+            'base.history.minConfirmedResults must be an integer',
+            'base.performance.window must be a number',
+            'base.performance.unknownKey is not a config key',
+            'base.nosuch is not a config section'
+        ].forEach(message => assert.ok(error.message.includes(message), message));
+        return true;
+    });
+});
+
+test('refuses unknown profiles', () => {
+    assert.throws(() => resolveEngineConfig({ file: { base: {} }, profile: 'missing' }), /profile "missing" is not defined in the config file/);
+});
+
+test('checks relations between keys after the layers apply', () => {
+    assert.throws(
+        () => resolveEngineConfig({ overrides: { confidence: { mediumThreshold: 0.9, highThreshold: 0.8 } } }),
+        /confidence\.mediumThreshold must not exceed confidence\.highThreshold/
+    );
+    assert.throws(
+        () => resolveEngineConfig({ overrides: { uncertainty: { correctionThreshold: 100 } } }),
+        /uncertainty\.correctionThreshold must not exceed uncertainty\.threshold/
+    );
+    // A later layer may fix a relation an earlier layer broke
+    const config = resolveEngineConfig({
+        file: { base: { confidence: { mediumThreshold: 0.85 } } },
+        overrides: { confidence: { highThreshold: 0.9 } }
+    });
+    assert.equal(config.values.confidence.mediumThreshold, 0.85);
+});
+
+test('signalParams only accept params a registered signal declares', () => {
+    const config = resolveEngineConfig({ signalRegistry, overrides: { signalParams: { rsi: { period: 21 } } } });
+    assert.deepEqual(config.values.signalParams, { rsi: { period: 21 } });
+
+    assert.throws(() => resolveEngineConfig({ signalRegistry, overrides: { signalParams: { nosuch: { period: 3 } } } }),
+        /overrides\.signalParams\.nosuch is not a registered signal/);
+    assert.throws(() => resolveEngineConfig({ signalRegistry, overrides: { signalParams: { rsi: { length: 3 } } } }),
+        /overrides\.signalParams\.rsi\.length is not a param of rsi/);
+    assert.throws(() => resolveEngineConfig({ signalRegistry, overrides: { signalParams: { rsi: { period: -1 } } } }),
+        /overrides\.signalParams\.rsi\.period must be a positive number/);
+});
+
+test('a sessions layer replaces the whole schedule and must name a timezone', () => {
+    const sessions = { timezone: 'Europe/London', definitions: [{ id: 'LONDON_OPEN', windows: [{ start: '08:00', end: '10:00' }], aggression: 1.1, confidence: 1.05 }] };
+    const config = resolveEngineConfig({ file: { base: { sessions } } });
+    assert.equal(config.values.sessions.timezone, 'Europe/London');
+    assert.deepEqual(config.values.sessions.definitions.map(definition => definition.id), ['LONDON_OPEN']);
+
+    assert.throws(() => resolveEngineConfig({ file: { base: { sessions: { definitions: sessions.definitions } } } }),
+        /base\.sessions\.timezone must be a non-empty IANA time zone name/);
+});
+
+test('parses override strings into a layer', () => {
+    assert.deepEqual(parseOverrides('confidence.highThreshold=0.8, signalParams.rsi.period=21'), {
+        confidence: { highThreshold: 0.8 },
+        signalParams: { rsi: { period: 21 } }
+    });
+    assert.deepEqual(parseOverrides(''), {});
+    assert.deepEqual(parseOverrides(undefined), {});
+    const [value] = Object.values(parseOverrides('history.minConfirmedResults=').history);
+    assert.ok(isNaN(value));
+    assert.throws(() => resolveEngineConfig({ overrides: parseOverrides('history.minConfirmedResults=abc') }),
+        /overrides\.history\.minConfirmedResults must be a number/);
+});
+
+test('reads settings from the environment', () => {
+    assert.deepEqual(engineConfigOptionsFromEnv({}), { file: null, profile: null, overrides: {}, watchMs: 5000 });
+    const options = engineConfigOptionsFromEnv({
+        ENGINE_CONFIG_FILE: '/etc/engine.json',
+        ENGINE_CONFIG_PROFILE: 'fast',
+        ENGINE_CONFIG_OVERRIDES: 'regime.learningRateBase=0.03',
+        ENGINE_CONFIG_WATCH_MS: '0'
+    });
+    assert.deepEqual(options, { file: '/etc/engine.json', profile: 'fast', overrides: { regime: { learningRateBase: 0.03 } }, watchMs: 0 });
+});
+
+test('the store reloads a changed file and keeps the previous config when it is invalid', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'engine.json');
+    fs.writeFileSync(file, JSON.stringify({ base: { confidence: { highThreshold: 0.8 } } }));
+
+    const changes = [];
+    const store = createEngineConfigStore({ file, onChange: config => changes.push(config.hash) });
+    const first = store.current();
+    assert.equal(first.values.confidence.highThreshold, 0.8);
+
+    assert.deepEqual(store.reload(), { changed: false, config: store.current() });
+    assert.deepEqual(changes, []);
+
+    fs.writeFileSync(file, JSON.stringify({ base: { confidence: { highThreshold: 0.85 } } }));
+    const reloaded = store.reload();
+    assert.equal(reloaded.changed, true);
+    assert.equal(store.current().values.confidence.highThreshold, 0.85);
+    assert.deepEqual(changes, [reloaded.config.hash]);
+
+    fs.writeFileSync(file, JSON.stringify({ base: { confidence: { highThreshold: 5 } } }));
+    assert.match(store.reload().error, /base\.confidence\.highThreshold must be between 0\.5 and 1/);
+    fs.writeFileSync(file, '{ not json');
+    assert.ok(store.reload().error);
+    assert.equal(store.current().hash, reloaded.config.hash);
+});
@@ -0,0 +1,104 @@
+// Engine snapshot migrations and the serialize/restore round trip (see PredictionEngine in predictionLogic.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PredictionEngine, ENGINE_STATE_SCHEMA_VERSION } = require('../predictionLogic');
+
+const signalPerformance = {
+    trend: {
+        correct: 12, total: 20, recentAccuracy: [1, 0, 1], sessionHistory: [],
+        currentAdjustmentFactor: 1.2, alphaFactor: 1, longTermImportanceScore: 0.6, isOnProbation: false
+    }
+};
+
+test('restores a version 1 snapshot carried in sharedStats', () => {
+    const engine = new PredictionEngine({
+        signalPerformance,
+        driftDetector: { p_min: 0.4, s_min: 0.1, n: 30, warning_level: 2, drift_level: 3 },
+        regimeSignalProfiles: {
+            RANGE_LOW_VOL: { baseWeightMultiplier: 1.1, activeSignalTypes: ['meanRev', 'volBreak', 'entropy', 'volPersist'], contextualAggression: 1, recentAccuracy: [1], totalPredictions: 5, correctPredictions: 3 }
+        },
+        longTermGlobalAccuracy: 0.58
+    });
+    const snapshot = engine.serialize();
+    assert.equal(snapshot.schemaVersion, ENGINE_STATE_SCHEMA_VERSION);
+    assert.deepEqual(snapshot.signalPerformance, signalPerformance);
+    assert.equal(snapshot.globalLongTermAccuracy, 0.58);
+    assert.equal(snapshot.consecutiveHighConfLosses, 0);
+    assert.equal(snapshot.reflexiveCorrectionActive, 0);
+    assert.equal(snapshot.driftDetector.n, 30);
+    assert.deepEqual(snapshot.regimeSignalProfiles.RANGE_LOW_VOL.activeSignalTypes, ['meanRev', 'volBreakout', 'volatility']);
+    assert.equal(snapshot.regimeSignalProfiles.RANGE_LOW_VOL.totalPredictions, 5);
+    // Regimes the legacy state had no profile for keep their defaults
+    assert.ok(snapshot.regimeSignalProfiles.TREND_STRONG_LOW_VOL);
+    assert.ok(snapshot.regimeSignalProfiles.DEFAULT);
+});
+
+test('maps a missing version 2 activeSignalTypes to all signals', () => {
+    const engine = new PredictionEngine({
+        schemaVersion: 2,
+        regimeSignalProfiles: { WEAK_LOW_VOL: { baseWeightMultiplier: 1, contextualAggression: 1, recentAccuracy: [], totalPredictions: 0, correctPredictions: 0 } },
+        isMlModelLoading: true
+    });
+    const snapshot = engine.serialize();
+    assert.deepEqual(snapshot.regimeSignalProfiles.WEAK_LOW_VOL.activeSignalTypes, ['all']);
+    assert.equal('isMlModelLoading' in snapshot, false);
+});
+
+test('merges version 3 per-order NGram entries into one NGram source and starts without counts', () => {
+    const engine = new PredictionEngine({
+        schemaVersion: 3,
+        signalPerformance: {
+            ...signalPerformance,
+            'NGram-2': { ...signalPerformance.trend, total: 8 },
+            'NGram-4': { ...signalPerformance.trend, total: 30, correct: 17 }
+        }
+    });
+    const snapshot = engine.serialize();
+    assert.deepEqual(Object.keys(snapshot.signalPerformance).sort(), ['NGram', 'trend']);
+    assert.equal(snapshot.signalPerformance.NGram.total, 30);
+    assert.deepEqual(snapshot.nGramCounts, { lastPeriod: null, recent: '', contexts: {} });
+});
+
+test('round-trips the current version through JSON', () => {
+    const engine = new PredictionEngine({
+        schemaVersion: ENGINE_STATE_SCHEMA_VERSION,
+        signalPerformance,
+        globalLongTermAccuracy: 0.61,
+        consecutiveHighConfLosses: 2,
+        reflexiveCorrectionActive: 1
+    });
+    engine.observeResults([{ issueNumber: '101', number: '8' }, { issueNumber: '100', number: '3' }]);
+    const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+    const restored = new PredictionEngine(snapshot);
+    assert.deepEqual(restored.serialize(), engine.serialize());
+    assert.equal(restored.consecutiveHighConfLosses, 2);
+    assert.equal(restored.reflexiveCorrectionActive, 1);
+    assert.deepEqual(restored.nGramCounts.contexts.S, [1, 0]);
+});
+
+test('turns drift detector minimums persisted as null back into Infinity', () => {
+    const snapshot = JSON.parse(JSON.stringify(new PredictionEngine().serialize()));
+    assert.equal(snapshot.driftDetector.p_min, null);
+    const engine = new PredictionEngine(snapshot);
+    assert.equal(engine.driftDetector.p_min, Infinity);
+    assert.equal(engine.driftDetector.s_min, Infinity);
+});
+
+test('restores missing fields to their initial values', () => {
+    const engine = new PredictionEngine({ schemaVersion: ENGINE_STATE_SCHEMA_VERSION });
+    assert.deepEqual(engine.serialize(), new PredictionEngine().serialize());
+});
+
+test('refuses snapshots newer than the supported version', () => {
+    assert.throws(
+        () => new PredictionEngine({ schemaVersion: ENGINE_STATE_SCHEMA_VERSION + 1 }),
+        /newer than supported version/
+    );
+});
+
+test('restore replaces earlier learning state', () => {
+    const engine = new PredictionEngine({ schemaVersion: ENGINE_STATE_SCHEMA_VERSION, signalPerformance, consecutiveHighConfLosses: 3 });
+    engine.restore({ schemaVersion: ENGINE_STATE_SCHEMA_VERSION });
+    assert.deepEqual(engine.signalPerformance, {});
+    assert.equal(engine.consecutiveHighConfLosses, 0);
+});
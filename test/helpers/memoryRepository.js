@@ -0,0 +1,17 @@
+// In-memory stand-in for the storage repository (see storage.js) shared by the tests
+//
+// Unlike the real repository, which caches and hands back the very object it saved, this one keeps JSON
+// copies: every load returns what was persisted, so a test cannot pass by mutating a live object.
+function createMemoryRepository() {
+    const documents = {};
+    return {
+        documents,
+        exists: name => name in documents,
+        load: (name, fallbackFactory = () => null) => (name in documents ? JSON.parse(documents[name]) : fallbackFactory()),
+        save: (name, data) => { documents[name] = JSON.stringify(data); }
+    };
+}
+
+module.exports = {
+    createMemoryRepository
+};
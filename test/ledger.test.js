@@ -0,0 +1,167 @@
+// Ledger ordering, settlement, reconciliation, archiving and queries (see ledger.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createLedger,
+    createLedgerEntry,
+    recordPrediction,
+    archiveLedger,
+    settleLedger,
+    reconcileLedger,
+    parseLedgerQuery,
+    queryLedger,
+    ledgerOptionsFromEnv
+} = require('../ledger');
+
+function entryFor(period, decision = 'BIG', createdAt = 1000) {
+    return createLedgerEntry({
+        nextPeriodId: String(period),
+        nextPeriodPrediction: decision,
+        nextPeriodPredictedNumber: decision === 'BIG' ? 7 : 2,
+        nextPeriodConfidence: 0.7,
+        predictionOutput: { confidenceLevel: 2, source: 'test', contributingSignals: [{ source: 'trend', prediction: decision, weight: '0.5' }] }
+    }, createdAt);
+}
+
+const periodsOf = ledger => ledger.entries.map(entry => entry.period);
+
+test('builds entries only for cycles with a next period', () => {
+    assert.equal(createLedgerEntry(null), null);
+    assert.equal(createLedgerEntry({ nextPeriodId: null }), null);
+    const entry = entryFor(101, 'SMALL', 5);
+    assert.equal(entry.period, '101');
+    assert.equal(entry.status, 'Pending');
+    assert.equal(entry.createdAt, 5);
+    assert.deepEqual(entry.signals, [{ source: 'trend', prediction: 'SMALL', weight: 0.5 }]);
+});
+
+test('keeps entries newest period first whatever order they arrive in', () => {
+    const ledger = createLedger();
+    [102, 105, 101, 104, 103].forEach(period => recordPrediction(ledger, entryFor(period)));
+    assert.deepEqual(periodsOf(ledger), ['105', '104', '103', '102', '101']);
+    // Periods past the safe integer range still sort numerically
+    recordPrediction(ledger, entryFor('20240101100010001'));
+    assert.equal(ledger.entries[0].period, '20240101100010001');
+});
+
+test('replaces a pending entry for the same period but never a settled one', () => {
+    const ledger = createLedger();
+    recordPrediction(ledger, entryFor(100, 'BIG'));
+    recordPrediction(ledger, entryFor(100, 'SMALL'));
+    assert.equal(ledger.entries.length, 1);
+    assert.equal(ledger.entries[0].decision, 'SMALL');
+
+    settleLedger(ledger, [{ issueNumber: '100', number: '3' }]);
+    recordPrediction(ledger, entryFor(100, 'BIG'));
+    assert.equal(ledger.entries[0].decision, 'SMALL');
+    assert.equal(ledger.entries[0].status, 'Win');
+});
+
+test('settles pending and voided entries against rows with a valid number', () => {
+    const ledger = createLedger();
+    [100, 101, 102].forEach(period => recordPrediction(ledger, entryFor(period, 'BIG')));
+    ledger.entries.find(entry => entry.period === '100').status = 'Void';
+
+    const settled = settleLedger(ledger, [
+        { issueNumber: '100', number: '8' },
+        { issueNumber: '101', number: '2' },
+        { issueNumber: '102', number: 'x' }
+    ], 42);
+    assert.deepEqual(settled.map(entry => [entry.period, entry.status]), [['101', 'Loss'], ['100', 'Win']]);
+    assert.equal(settled[0].actualNumber, 2);
+    assert.equal(settled[0].actualOutcome, 'SMALL');
+    assert.equal(settled[0].settledAt, 42);
+    assert.equal(ledger.entries[0].status, 'Pending');
+    assert.deepEqual(settleLedger(ledger, [{ issueNumber: '101', number: '9' }]), []);
+});
+
+test('voids pending entries the latest result has run far enough past', () => {
+    const ledger = createLedger();
+    [100, 110, 120].forEach(period => recordPrediction(ledger, entryFor(period)));
+    const voided = reconcileLedger(ledger, '120', { reconcilePeriods: 10, now: 7 });
+    assert.deepEqual(voided.map(entry => entry.period), ['110', '100']);
+    assert.equal(voided[0].voidReason, 'NoResult');
+    assert.equal(voided[0].settledAt, 7);
+    assert.equal(ledger.entries[0].status, 'Pending');
+    assert.deepEqual(reconcileLedger(ledger, 'not-a-period'), []);
+
+    // A late result still settles a voided entry
+    settleLedger(ledger, [{ issueNumber: '110', number: '6' }]);
+    assert.equal(ledger.entries[1].status, 'Win');
+    assert.equal('voidReason' in ledger.entries[1], false);
+});
+
+test('archives the older half once the live ledger outgrows liveEntries', () => {
+    const ledger = createLedger();
+    for (let period = 1; period <= 4; period++) recordPrediction(ledger, entryFor(period));
+    assert.deepEqual(archiveLedger(ledger, 'predictions', { liveEntries: 4, maxEntries: 0 }), []);
+
+    recordPrediction(ledger, entryFor(5));
+    const written = archiveLedger(ledger, 'predictions', { liveEntries: 4, maxEntries: 0, now: 9 });
+    assert.deepEqual(written.map(archive => [archive.doc, archive.entries.map(entry => entry.period)]), [['predictions-archive-1', ['2', '1']]]);
+    assert.deepEqual(periodsOf(ledger), ['5', '4', '3']);
+    assert.deepEqual(ledger.archives, [{ doc: 'predictions-archive-1', seq: 1, count: 2, newestPeriod: '2', oldestPeriod: '1', archivedAt: 9 }]);
+});
+
+test('reuses the oldest archive once maxEntries is reached', () => {
+    const ledger = createLedger();
+    const options = { liveEntries: 4, maxEntries: 8 }; // Room for two archives of two entries
+    const docs = [];
+    for (let period = 1; period <= 12; period++) {
+        recordPrediction(ledger, entryFor(period));
+        archiveLedger(ledger, 'predictions-3m', options).forEach(archive => docs.push(archive.doc));
+    }
+    assert.deepEqual(docs, ['predictions-3m-archive-1', 'predictions-3m-archive-2', 'predictions-3m-archive-1', 'predictions-3m-archive-2']);
+    assert.deepEqual(ledger.archives.map(archive => [archive.doc, archive.seq, archive.newestPeriod]), [
+        ['predictions-3m-archive-2', 4, '8'],
+        ['predictions-3m-archive-1', 3, '6']
+    ]);
+    assert.deepEqual(periodsOf(ledger), ['12', '11', '10', '9']);
+});
+
+test('archives an oversized ledger in one call and drops what maxEntries has no room for', () => {
+    const ledger = createLedger();
+    for (let period = 1; period <= 10; period++) recordPrediction(ledger, entryFor(period));
+    const written = archiveLedger(ledger, 'predictions', { liveEntries: 4, maxEntries: 8 });
+    assert.deepEqual(written.map(archive => [archive.doc, archive.entries.map(entry => entry.period)]), [
+        ['predictions-archive-2', ['4', '3']],
+        ['predictions-archive-1', ['6', '5']]
+    ]);
+    assert.deepEqual(ledger.archives.map(archive => archive.doc), ['predictions-archive-1', 'predictions-archive-2']);
+
+    // Without room for any archive the live ledger is simply capped at maxEntries
+    const capped = createLedger();
+    for (let period = 1; period <= 5; period++) recordPrediction(capped, entryFor(period));
+    assert.deepEqual(archiveLedger(capped, 'predictions', { liveEntries: 4, maxEntries: 3 }), []);
+    assert.deepEqual(periodsOf(capped), ['5', '4', '3']);
+    assert.deepEqual(capped.archives, []);
+});
+
+test('parses query filters and rejects invalid ones', () => {
+    assert.deepEqual(parseLedgerQuery({ outcome: 'win, LOSS', level: '1,3', page: '2', pageSize: '10', from: '1000' }).filters, {
+        from: 1000, to: null, statuses: ['Win', 'Loss'], levels: [1, 3], page: 2, pageSize: 10
+    });
+    assert.match(parseLedgerQuery({ from: 'yesterday' }).error, /^from and to/);
+    assert.match(parseLedgerQuery({ outcome: 'draw' }).error, /^outcome must be one of/);
+    assert.match(parseLedgerQuery({ level: 'high' }).error, /^level must be/);
+    assert.match(parseLedgerQuery({ pageSize: '501' }).error, /^page must be/);
+});
+
+test('filters and paginates entries newest first', () => {
+    const ledger = createLedger();
+    for (let period = 1; period <= 5; period++) recordPrediction(ledger, entryFor(period, 'BIG', period * 100));
+    settleLedger(ledger, [{ issueNumber: '2', number: '9' }, { issueNumber: '4', number: '1' }]);
+
+    const wins = queryLedger(ledger, parseLedgerQuery({ outcome: 'win' }).filters);
+    assert.deepEqual(wins.predictions.map(entry => entry.period), ['2']);
+    const recent = queryLedger(ledger, parseLedgerQuery({ from: '300', pageSize: '2', page: '2' }).filters);
+    assert.equal(recent.total, 3);
+    assert.equal(recent.totalPages, 2);
+    assert.deepEqual(recent.predictions.map(entry => entry.period), ['3']);
+});
+
+test('reads settings from the environment', () => {
+    assert.deepEqual(ledgerOptionsFromEnv({}), { maxEntries: 20000, liveEntries: 1000, reconcilePeriods: 20 });
+    assert.deepEqual(ledgerOptionsFromEnv({ LEDGER_MAX_ENTRIES: '0', LEDGER_LIVE_ENTRIES: '250', LEDGER_RECONCILE_PERIODS: '5' }),
+        { maxEntries: 0, liveEntries: 250, reconcilePeriods: 5 });
+});
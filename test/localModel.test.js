@@ -0,0 +1,97 @@
+// Local ML model training, serving and the worker thread the server trains it on (see localModel.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trainLocalModel, predictLocalModel, describeLocalModel, mlModelOptionsFromEnv } = require('../localModel');
+const { trainLocalModelInWorker } = require('../localModelWorker');
+const { createMlTrainingSamples } = require('../predictionLogic');
+
+// Samples whose label follows last_5_mean, with the other features as deterministic noise
+function separableSamples(count) {
+    return Array.from({ length: count }, (_, index) => {
+        const mean = (index * 37) % 100 / 10;
+        return {
+            features: { last_5_mean: mean, last_20_mean: (index * 13) % 10, rsi_14: (index * 29) % 100, stddev_10: 2, stddev_30: 2.5 },
+            label: mean >= 5 ? 1 : 0
+        };
+    });
+}
+
+// Upstream rows newest first
+function rowsOf(count) {
+    return Array.from({ length: count }, (_, index) => ({ issueNumber: String(5000 - index), number: String((index * 7 + index % 3) % 10) }));
+}
+
+const FAST = { minSamples: 50, epochs: 60 };
+
+test('needs minSamples labelled samples', () => {
+    assert.equal(trainLocalModel(separableSamples(40), FAST), null);
+    assert.equal(trainLocalModel([...separableSamples(49), { features: {}, label: 2 }, null], FAST), null);
+});
+
+test('learns a feature that decides the label and versions the model', () => {
+    const model = trainLocalModel(separableSamples(200), { ...FAST, previousVersion: 4 });
+    assert.equal(model.version, 5);
+    assert.equal(model.samples, 200);
+    assert.deepEqual(Object.keys(model.variants), ['standard', 'volatile']);
+    assert.ok(model.variants.standard.holdout.accuracy > 0.9, `${model.variants.standard.holdout.accuracy}`);
+    assert.equal(model.variants.standard.holdout.samples, 40);
+
+    const high = predictLocalModel(model, 'standard', { last_5_mean: 9 });
+    const low = predictLocalModel(model, 'standard', { last_5_mean: 1 });
+    assert.ok(high.pBig > 0.5 && low.pBig < 0.5);
+    assert.equal(high.modelVersion, 5);
+    assert.ok(Math.abs(high.edge - (high.pBig - 0.5)) < 1e-12);
+});
+
+test('trains only on the newest maxSamples samples', () => {
+    assert.equal(trainLocalModel(separableSamples(300), { ...FAST, maxSamples: 120 }).samples, 120);
+});
+
+test('serves nothing without a usable model, variant or features', () => {
+    const model = trainLocalModel(separableSamples(100), FAST);
+    assert.equal(predictLocalModel(null, 'standard', {}), null);
+    assert.equal(predictLocalModel({ ...model, schemaVersion: 99 }, 'standard', {}), null);
+    assert.equal(predictLocalModel(model, 'nosuch', {}), null);
+    assert.equal(predictLocalModel(model, 'standard', null), null);
+});
+
+test('describes a model without its coefficients', () => {
+    const model = trainLocalModel(separableSamples(100), FAST);
+    const description = describeLocalModel(model);
+    assert.equal(description.version, 1);
+    assert.deepEqual(Object.keys(description.variants.volatile), ['featureNames', 'holdout']);
+    assert.equal(describeLocalModel({}), null);
+});
+
+test('builds training samples from stored rows over the live history window, without time features', () => {
+    const rows = rowsOf(400);
+    const samples = createMlTrainingSamples(rows);
+    // Every sample needs 52 older results
+    assert.equal(samples.length, 400 - 52);
+    assert.equal(samples[0].label, parseInt(rows[0].number, 10) >= 5 ? 1 : 0);
+    assert.equal('time_sin' in samples[0].features, false);
+    assert.equal(createMlTrainingSamples(rows, { maxSamples: 10 }).length, 10);
+
+    // Rows further back than the 300 a live cycle keeps do not change a sample's features
+    const withOlderRows = createMlTrainingSamples([...rows, ...rowsOf(900).slice(400)], { maxSamples: 1 });
+    assert.deepEqual(withOlderRows[0].features, samples[0].features);
+});
+
+test('trains the same model on a worker thread', async () => {
+    const rows = rowsOf(160);
+    const options = { samples: { maxSamples: 100 }, model: { ...FAST, previousVersion: 2 } };
+    const model = await trainLocalModelInWorker(rows, options);
+    const expected = trainLocalModel(createMlTrainingSamples(rows, options.samples), options.model);
+    assert.equal(model.version, 3);
+    assert.deepEqual({ ...model, trainedAt: 0 }, { ...expected, trainedAt: 0 });
+    assert.equal(await trainLocalModelInWorker(rowsOf(60), options), null);
+});
+
+test('reads settings from the environment', () => {
+    const options = mlModelOptionsFromEnv({ ML_SIGNAL_BACKEND: 'LLM', ML_MODEL_MIN_SAMPLES: '500', ML_MODEL_L2: '0.1' });
+    assert.equal(options.backend, 'llm');
+    assert.equal(options.minSamples, 500);
+    assert.equal(options.l2, 0.1);
+    assert.equal(options.retrainMs, 6 * 60 * 60 * 1000);
+    assert.throws(() => mlModelOptionsFromEnv({ ML_SIGNAL_BACKEND: 'remote' }), /Unknown ML_SIGNAL_BACKEND "remote"/);
+});
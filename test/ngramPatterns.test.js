@@ -0,0 +1,90 @@
+// N-gram transition counts kept by the engine and the ngramPattern signal reading them (see predictionLogic.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PredictionEngine, signalRegistry } = require('../predictionLogic');
+
+const PARAMS = { maxOrder: 6, minSupport: 12, smoothing: 2, minSkew: 0.12, minZ: 1.96 };
+
+// Upstream rows newest first for outcomes given oldest first as B/S; period numbers start at firstPeriod
+function rowsFor(outcomes, firstPeriod = 1000) {
+    return outcomes.split('').map((code, index) => ({ issueNumber: String(firstPeriod + index), number: code === 'B' ? '7' : '2' })).reverse();
+}
+
+function runSignal(engine, params = PARAMS) {
+    return signalRegistry.get('ngramPattern').run({ engine }, params, 1);
+}
+
+test('counts the outcome that followed every context up to the tracked order', () => {
+    const engine = new PredictionEngine();
+    engine.observeResults(rowsFor('BBSB'));
+    const { contexts, recent, lastPeriod } = engine.nGramCounts;
+    assert.equal(lastPeriod, '1003');
+    assert.equal(recent, 'BBSB');
+    assert.deepEqual(contexts[''], [3, 1]);
+    assert.deepEqual(contexts.B, [1, 1]);
+    assert.deepEqual(contexts.S, [1, 0]);
+    assert.deepEqual(contexts.BB, [0, 1]);
+    assert.deepEqual(contexts.BBS, [1, 0]);
+    assert.equal(contexts.BBSB, undefined);
+});
+
+test('counts each result once and skips results older than the last one counted', () => {
+    const engine = new PredictionEngine();
+    engine.observeResults(rowsFor('BS'));
+    engine.observeResults(rowsFor('BSB'));
+    // A late result for an earlier period cannot be placed in the sequence any more
+    engine.observeResults([{ issueNumber: '999', number: '8' }]);
+    assert.deepEqual(engine.nGramCounts.contexts[''], [2, 1]);
+    assert.equal(engine.nGramCounts.lastPeriod, '1002');
+});
+
+test('reads cycle records and leaves results from beforePeriod on for later', () => {
+    const engine = new PredictionEngine();
+    const records = [
+        { period: '1003', actual: null, status: 'Pending' },
+        { period: '1002', actual: 9, status: 'Win' },
+        { period: '1001', actual: 0, status: 'Loss' },
+        { period: '1000', actual: 5, status: 'Win' }
+    ];
+    engine.observeResults(records, { beforePeriod: '1002' });
+    assert.equal(engine.nGramCounts.recent, 'BS');
+    engine.observeResults(records);
+    assert.equal(engine.nGramCounts.recent, 'BSB');
+});
+
+test('keeps only the tracked number of recent outcomes', () => {
+    const engine = new PredictionEngine();
+    engine.observeResults(rowsFor('BSBSBSBSBSBS'));
+    assert.equal(engine.nGramCounts.recent, 'BSBSBSBS');
+    assert.deepEqual(engine.nGramCounts.contexts[''], [6, 6]);
+    assert.deepEqual(engine.nGramCounts.contexts.SBSBSBSB, [0, 2]);
+});
+
+test('predicts the outcome a well-supported context keeps leading to, as a single NGram source', () => {
+    const engine = new PredictionEngine();
+    engine.observeResults(rowsFor('BS'.repeat(40)));
+    const signal = runSignal(engine);
+    assert.equal(signal.prediction, 'BIG');
+    assert.equal(signal.source, 'NGram');
+    assert.match(signal.logic, /^NGram\(ctx:BSBSBS,n:6,support:\d+,B:\d+,S:0,/);
+});
+
+test('stays silent without enough results or a skewed context', () => {
+    const sparse = new PredictionEngine();
+    sparse.observeResults(rowsFor('BSBSBS'));
+    assert.equal(runSignal(sparse), null);
+
+    const balanced = new PredictionEngine();
+    balanced.observeResults(rowsFor('BBSS'.repeat(20)));
+    assert.equal(runSignal(balanced, { ...PARAMS, maxOrder: 1 }), null);
+});
+
+test('learns from the results stored beyond the cycle history', async () => {
+    const engine = new PredictionEngine();
+    const rows = rowsFor('BS'.repeat(200));
+    engine.observeResults(rows.slice(50));
+    const history = rows.slice(0, 50).map(row => ({ period: row.issueNumber, actual: parseInt(row.number, 10), status: 'Win' }));
+    await engine.predict(history, {}, { silent: true, seed: 1, disableMlSignals: true, now: Date.UTC(2026, 0, 1) });
+    assert.deepEqual(engine.nGramCounts.contexts[''], [200, 200]);
+    assert.equal(engine.nGramCounts.lastPeriod, rows[0].issueNumber);
+});
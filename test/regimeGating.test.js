@@ -0,0 +1,71 @@
+// Regime profiles gating and scaling the registered signals (see BASE_REGIME_SIGNAL_PROFILES in predictionLogic.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PredictionEngine, createSignalRegistry } = require('../predictionLogic');
+
+const REGIMES = ['TREND_STRONG', 'TREND_MOD', 'RANGE', 'WEAK'].flatMap(strength => ['LOW_VOL', 'MED_VOL', 'HIGH_VOL'].map(volatility => `${strength}_${volatility}`));
+
+// Settled cycle records, newest first
+function historyOf(length) {
+    return Array.from({ length }, (_, index) => {
+        const number = (index * 7 + 3) % 10;
+        return { period: String(1000 + length - index), actual: number, actualNumber: number, status: 'Win', prediction: 'BIG' };
+    });
+}
+
+function probe(id, category) {
+    return { id, category, defaultWeight: 0.5, minHistory: 1, run: (ctx, params, weight) => ({ prediction: 'BIG', weight, source: `Probe-${id}` }) };
+}
+
+function createEngine(activeSignalTypes, baseWeightMultiplier = 2) {
+    const engine = new PredictionEngine(null, {
+        mlBackend: 'none',
+        signalRegistry: createSignalRegistry([probe('alpha', 'trend'), probe('beta', 'meanRev'), probe('gamma', 'pattern')])
+    });
+    Object.values(engine.regimeSignalProfiles).forEach(profile => Object.assign(profile, { activeSignalTypes, baseWeightMultiplier }));
+    return engine;
+}
+
+async function signalTrace(engine) {
+    const output = await engine.predict(historyOf(80), {}, { silent: true, seed: 7, now: Date.UTC(2026, 0, 1) });
+    return output.trace.signals;
+}
+
+test('runs only the signals whose id or category the regime profile lists', async () => {
+    const trace = await signalTrace(createEngine(['trend', 'gamma']));
+    assert.deepEqual(trace.list.map(signal => signal.signalId), ['alpha', 'gamma']);
+    assert.deepEqual(trace.skipped.map(skip => skip.id), ['beta']);
+    assert.match(trace.skipped[0].reason, /^RegimeGated:/);
+});
+
+test('scales every active signal by the profile multiplier', async () => {
+    const trace = await signalTrace(createEngine(['all'], 1.5));
+    assert.equal(trace.regimeWeightMultiplier, 1.5);
+    assert.deepEqual(trace.list.map(signal => signal.baseWeight), [0.75, 0.75, 0.75]);
+    assert.deepEqual(trace.skipped, []);
+});
+
+test('a profile that lists nothing silences every signal', async () => {
+    const trace = await signalTrace(createEngine([]));
+    assert.equal(trace.generated, 0);
+    assert.equal(trace.skipped.length, 3);
+});
+
+test('every regime has a default profile and a damped transition variant', () => {
+    const { regimeSignalProfiles } = new PredictionEngine();
+    REGIMES.forEach(regime => {
+        const base = regimeSignalProfiles[regime];
+        const transition = regimeSignalProfiles[`${regime}_TRANSITION`];
+        assert.ok(base && transition, regime);
+        assert.deepEqual(transition.activeSignalTypes, base.activeSignalTypes);
+        assert.ok(Math.abs(transition.baseWeightMultiplier - base.baseWeightMultiplier * 0.85) < 0.001, regime);
+        assert.ok(transition.contextualAggression < base.contextualAggression, regime);
+    });
+    assert.deepEqual(regimeSignalProfiles.DEFAULT.activeSignalTypes, ['all']);
+});
+
+test('engines do not share their default profiles', () => {
+    const first = new PredictionEngine();
+    first.regimeSignalProfiles.RANGE_LOW_VOL.activeSignalTypes.push('trend');
+    assert.equal(new PredictionEngine().regimeSignalProfiles.RANGE_LOW_VOL.activeSignalTypes.includes('trend'), false);
+});
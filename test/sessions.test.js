@@ -0,0 +1,116 @@
+// Session schedule validation, local clocks and the learned per-session hit rates (see sessions.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_SESSION_SCHEDULE, normalizeSessionSchedule, getSessionClock, findActiveSession, learnSessionPerformance, describeActiveSession
+} = require('../sessions');
+
+const LEARNING = { minSamples: 20, window: 50, z: 1.96 };
+
+const LONDON = {
+    timezone: 'Europe/London',
+    definitions: [
+        { id: 'LONDON_OPEN', windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '10:00' }], aggression: 1.2, confidence: 1.1 },
+        { id: 'LATE', windows: [{ start: '22:00', end: '24:00' }, { start: '00:00', end: '01:30' }], aggression: 1, confidence: 1 }
+    ]
+};
+
+function normalized(schedule) {
+    const result = normalizeSessionSchedule(schedule);
+    assert.deepEqual(result.errors, []);
+    return result.schedule;
+}
+
+function settled(session, wins, total) {
+    return Array.from({ length: total }, (_, index) => ({ session, status: index < wins ? 'Win' : 'Loss' }));
+}
+
+test('reads the local time in the schedule timezone, daylight saving included', () => {
+    // Monday 2026-01-05 04:30 UTC is 10:00 in Kolkata
+    const ist = getSessionClock(Date.UTC(2026, 0, 5, 4, 30));
+    assert.deepEqual([ist.timezone, ist.dayOfWeek, ist.hour, ist.minuteOfDay], ['Asia/Kolkata', 'mon', 10, 600]);
+    assert.ok(Math.abs(ist.sin - Math.sin(10 / 24 * 2 * Math.PI)) < 1e-12);
+
+    assert.equal(getSessionClock(Date.UTC(2026, 0, 7, 8, 0), 'Europe/London').hour, 8);
+    assert.equal(getSessionClock(Date.UTC(2026, 6, 1, 8, 0), 'Europe/London').hour, 9);
+    assert.equal(getSessionClock(Date.UTC(2026, 0, 4, 23, 59), 'Europe/London').minuteOfDay, 23 * 60 + 59);
+});
+
+test('the first window covering the time picks the session, end exclusive and limited to its days', () => {
+    const schedule = normalized(LONDON);
+    const at = (day, hour, minute = 0) => findActiveSession(schedule, getSessionClock(Date.UTC(2026, 0, day, hour, minute), 'Europe/London'));
+    assert.equal(at(5, 8).id, 'LONDON_OPEN');
+    assert.equal(at(5, 9, 59).id, 'LONDON_OPEN');
+    assert.equal(at(5, 10), null);
+    // 2026-01-04 is a Sunday
+    assert.equal(at(4, 8), null);
+    assert.equal(at(4, 23).id, 'LATE');
+    assert.equal(at(5, 1).id, 'LATE');
+    assert.equal(at(5, 1, 30), null);
+});
+
+test('the default schedule keeps the IST prime-time windows', () => {
+    const schedule = normalized(DEFAULT_SESSION_SCHEDULE);
+    // 13:30 UTC is 19:00 IST, where PRIME_EVENING ends and the peak begins
+    assert.equal(findActiveSession(schedule, getSessionClock(Date.UTC(2026, 0, 5, 13, 29))).id, 'PRIME_EVENING');
+    assert.equal(findActiveSession(schedule, getSessionClock(Date.UTC(2026, 0, 5, 13, 30))).id, 'PRIME_EVENING_PEAK');
+    assert.equal(findActiveSession(schedule, getSessionClock(Date.UTC(2026, 0, 5, 2, 0))), null);
+});
+
+test('rejects schedules it cannot apply and lists every problem', () => {
+    assert.deepEqual(normalizeSessionSchedule([]).errors, ['sessions must be an object']);
+    assert.deepEqual(normalizeSessionSchedule({ definitions: [] }).errors, ['sessions.timezone must be a non-empty IANA time zone name']);
+    const { schedule, errors } = normalizeSessionSchedule({
+        timezone: 'Mars/Olympus',
+        definitions: [
+            { id: 'A', windows: [{ days: ['someday'], start: '23:00', end: '01:00' }], aggression: 4, confidence: 1 },
+            { id: 'A', windows: [{ start: '9:75', end: '10:00' }], aggression: 1, confidence: 0 },
+            { id: 'B', windows: [], aggression: 1, confidence: 1 }
+        ]
+    }, 'config.sessions');
+    assert.equal(schedule, null);
+    assert.deepEqual(errors, [
+        'config.sessions.timezone "Mars/Olympus" is not a known IANA time zone',
+        'config.sessions.definitions[0].aggression must be a number above 0 and at most 3',
+        'config.sessions.definitions[0].windows[0].days must be a non-empty list of sun, mon, tue, wed, thu, fri, sat',
+        'config.sessions.definitions[0].windows[0] must end after it starts (split windows that cross midnight)',
+        'config.sessions.definitions[1].id "A" is used twice',
+        'config.sessions.definitions[1].confidence must be a number above 0 and at most 3',
+        'config.sessions.definitions[1].windows[0] start and end must be HH:MM',
+        'config.sessions.definitions[2].windows must be a non-empty list'
+    ]);
+});
+
+test('a session is proven once its recent hit rate clears 50% with confidence', () => {
+    const schedule = normalized(LONDON);
+    const entries = [
+        ...settled('LONDON_OPEN', 40, 50),
+        { session: 'LONDON_OPEN', status: 'Pending' },
+        ...settled('LATE', 12, 15),
+        ...settled(null, 50, 50)
+    ];
+    const performance = learnSessionPerformance(entries, schedule, LEARNING);
+    assert.equal(performance.LONDON_OPEN.samples, 50);
+    assert.equal(performance.LONDON_OPEN.hitRate, 0.8);
+    assert.ok(performance.LONDON_OPEN.wilsonLower > 0.5);
+    assert.equal(performance.LONDON_OPEN.proven, true);
+    // Winning, but below minSamples
+    assert.deepEqual([performance.LATE.samples, performance.LATE.proven], [15, false]);
+
+    // Only the newest window counts: a recent losing streak un-proves it
+    const slumped = learnSessionPerformance([...settled('LONDON_OPEN', 20, 50), ...entries], schedule, LEARNING);
+    assert.deepEqual([slumped.LONDON_OPEN.hitRate, slumped.LONDON_OPEN.proven], [0.4, false]);
+    assert.deepEqual(learnSessionPerformance(null, schedule, LEARNING).LATE, { samples: 0, wins: 0, hitRate: null, wilsonLower: null, proven: false });
+});
+
+test('describes the active session with what was learned about it', () => {
+    const schedule = normalized(LONDON);
+    const clock = getSessionClock(Date.UTC(2026, 0, 5, 8, 15), 'Europe/London');
+    const performance = learnSessionPerformance(settled('LONDON_OPEN', 40, 50), schedule, LEARNING);
+    const active = describeActiveSession(schedule, clock, performance);
+    assert.deepEqual([active.id, active.aggression, active.confidence, active.proven, active.samples], ['LONDON_OPEN', 1.2, 1.1, true, 50]);
+    assert.deepEqual(describeActiveSession(schedule, clock), {
+        id: 'LONDON_OPEN', aggression: 1.2, confidence: 1.1, proven: false, samples: 0, hitRate: null, wilsonLower: null
+    });
+    assert.equal(describeActiveSession(schedule, getSessionClock(Date.UTC(2026, 0, 5, 12, 0), 'Europe/London'), performance), null);
+});
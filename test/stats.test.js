@@ -0,0 +1,61 @@
+// Wilson intervals and the all-time, rolling and sliced hit rates behind /stats (see stats.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { wilsonInterval, computeLedgerStats, parseStatsQuery } = require('../stats');
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// Ledger entries newest period first
+function entry(status, fields = {}) {
+    return { status, confidenceLevel: 2, macroRegime: 'RANGE_LOW_VOL', entropyState: 'ORDERED', localHour: 10, session: null, isForced: false, ...fields };
+}
+
+test('wilson intervals match the textbook values and stay within 0..1', () => {
+    const half = wilsonInterval(50, 100);
+    assertClose(half.lower, 0.4038);
+    assertClose(half.upper, 0.5962);
+    const perfect = wilsonInterval(5, 5);
+    assertClose(perfect.lower, 0.5655);
+    assert.equal(perfect.upper, 1);
+    assert.equal(wilsonInterval(0, 3).lower, 0);
+    assert.equal(wilsonInterval(0, 0), null);
+});
+
+test('counts only settled entries, all-time and over the rolling window', () => {
+    const entries = [entry('Pending'), entry('Win'), entry('Void'), entry('Loss'), entry('Win'), entry('Win')];
+    const stats = computeLedgerStats(entries, { window: 2 });
+    assert.equal(stats.rollingWindow, 2);
+    assert.equal(stats.pending, 1);
+    assert.equal(stats.voided, 1);
+    assert.deepEqual([stats.allTime.total, stats.allTime.wins, stats.allTime.losses, stats.allTime.hitRate], [4, 3, 1, 0.75]);
+    assert.deepEqual([stats.rolling.total, stats.rolling.wins, stats.rolling.hitRate], [2, 1, 0.5]);
+    assert.equal(computeLedgerStats([]).allTime.hitRate, null);
+});
+
+test('slices by every dimension, numeric keys in numeric order', () => {
+    const entries = [
+        entry('Win', { confidenceLevel: 10, localHour: 9, session: 'LONDON_OPEN' }),
+        entry('Loss', { confidenceLevel: 2, macroRegime: null, isForced: true }),
+        entry('Win', { confidenceLevel: 3, localHour: undefined, istHour: 22 }),
+        entry('Win', { confidenceLevel: 2, localHour: undefined })
+    ];
+    const { slices } = computeLedgerStats(entries, { window: 1 });
+    assert.deepEqual(Object.keys(slices.confidenceLevel), ['2', '3', '10']);
+    assert.deepEqual(Object.keys(slices.hour), ['9', '10', '22', 'UNKNOWN']);
+    assert.deepEqual(Object.keys(slices.macroRegime), ['RANGE_LOW_VOL', 'UNKNOWN']);
+    assert.deepEqual(Object.keys(slices.session), ['LONDON_OPEN', 'NONE']);
+    assert.equal(slices.forced.forced.allTime.losses, 1);
+    // Slices outside the rolling window are still listed, with empty rolling figures
+    assert.equal(slices.confidenceLevel['10'].rolling.total, 1);
+    assert.equal(slices.confidenceLevel['2'].rolling.total, 0);
+    assert.equal(slices.confidenceLevel['2'].rolling.wilson95, null);
+});
+
+test('validates the window parameter', () => {
+    assert.deepEqual(parseStatsQuery({}), { options: { window: 100 } });
+    assert.deepEqual(parseStatsQuery({ window: '250' }), { options: { window: 250 } });
+    assert.match(parseStatsQuery({ window: '0' }).error, /^window must be between 1 and 5000/);
+    assert.match(parseStatsQuery({ window: 'all' }).error, /^window must be/);
+});
@@ -0,0 +1,101 @@
+// Envelope checksums, snapshot rotation and recovery in both storage backends (see storage.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepository, readDocumentFile } = require('../storage');
+
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    // The sqlite tests are skipped without the optional package
+}
+
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Flips a value inside the stored data, so the envelope still parses but its checksum no longer matches
+function tamper(file) {
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"value":', '"value":9'));
+}
+
+test('stores documents in a checksummed envelope and keeps the previous copies', t => {
+    const dir = createTempDir(t);
+    const repository = createRepository({ dir, snapshots: 2 });
+    [1, 2, 3].forEach(value => repository.save('doc', { value }));
+
+    const envelope = JSON.parse(fs.readFileSync(path.join(dir, 'doc.json'), 'utf8'));
+    assert.equal(envelope.format, 'quintus-store');
+    assert.match(envelope.checksum, /^[0-9a-f]{64}$/);
+    assert.deepEqual(envelope.data, { value: 3 });
+    assert.deepEqual(readDocumentFile(path.join(dir, 'doc.json.bak.1')), { value: 2 });
+    assert.deepEqual(readDocumentFile(path.join(dir, 'doc.json.bak.2')), { value: 1 });
+    assert.equal(fs.existsSync(path.join(dir, 'doc.json.bak.3')), false);
+    assert.deepEqual(fs.readdirSync(dir).filter(file => file.includes('.tmp-')), []);
+});
+
+test('recovers from the newest readable snapshot and writes it back', t => {
+    const dir = createTempDir(t);
+    createRepository({ dir }).save('doc', { value: 1 });
+    createRepository({ dir }).save('doc', { value: 2 });
+    tamper(path.join(dir, 'doc.json'));
+
+    const repository = createRepository({ dir });
+    assert.deepEqual(repository.load('doc', () => null), { value: 1 });
+    assert.deepEqual(readDocumentFile(path.join(dir, 'doc.json')), { value: 1 });
+    // A damaged file is only set aside as .corrupt-* when no copy could be read (see the next test)
+    assert.deepEqual(fs.readdirSync(dir).filter(file => file.includes('.corrupt-')), []);
+});
+
+test('starts fresh when no copy is readable', t => {
+    const dir = createTempDir(t);
+    createRepository({ dir, snapshots: 0 }).save('doc', { value: 1 });
+    tamper(path.join(dir, 'doc.json'));
+    assert.deepEqual(createRepository({ dir }).load('doc', () => ({ fresh: true })), { fresh: true });
+    assert.throws(() => readDocumentFile(path.join(dir, fs.readdirSync(dir).find(file => file.includes('corrupt')))), /Checksum mismatch/);
+});
+
+test('reads plain JSON documents written before the envelope existed', t => {
+    const dir = createTempDir(t);
+    fs.writeFileSync(path.join(dir, 'legacy.json'), JSON.stringify({ history: [1, 2] }));
+    const repository = createRepository({ dir });
+    assert.equal(repository.exists('legacy'), true);
+    assert.equal(repository.exists('missing'), false);
+    assert.deepEqual(repository.load('legacy'), { history: [1, 2] });
+    assert.equal(repository.load('missing'), null);
+});
+
+test('serves loaded and saved documents from memory', t => {
+    const dir = createTempDir(t);
+    const repository = createRepository({ dir });
+    const data = repository.load('doc', () => ({ value: 1 }));
+    assert.equal(repository.load('doc'), data);
+    assert.equal(repository.exists('doc'), true);
+    repository.save('doc', { value: 2 });
+    assert.deepEqual(repository.load('doc'), { value: 2 });
+});
+
+test('refuses unknown backends', () => {
+    assert.throws(() => createRepository({ backend: 'redis' }), /Unknown STORAGE_BACKEND "redis"/);
+});
+
+test('the sqlite backend imports JSON files, keeps snapshots and recovers from them', { skip: !Database && 'better-sqlite3 is not installed' }, t => {
+    const dir = createTempDir(t);
+    createRepository({ dir }).save('doc', { value: 1 });
+
+    const repository = createRepository({ dir, backend: 'sqlite' });
+    assert.deepEqual(repository.load('doc'), { value: 1 });
+    repository.save('doc', { value: 2 });
+
+    const db = new Database(path.join(dir, 'quintus.db'));
+    t.after(() => db.close());
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM snapshots WHERE name = ?').get('doc').count, 1);
+    db.prepare('UPDATE documents SET data = ? WHERE name = ?').run('{"value":9}', 'doc');
+
+    assert.deepEqual(createRepository({ dir, backend: 'sqlite' }).load('doc'), { value: 1 });
+});
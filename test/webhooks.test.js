@@ -0,0 +1,181 @@
+// Webhook signatures, target address checks, owner scoping and delivery retries (see webhooks.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createWebhookDispatcher,
+    webhookOptionsFromEnv,
+    signPayload,
+    verifySignature,
+    checkWebhookTarget
+} = require('../webhooks');
+const { createMemoryRepository } = require('./helpers/memoryRepository');
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+const PUBLIC_LOOKUP = resolvesTo('93.184.216.34');
+
+async function waitFor(predicate, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!predicate()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+function createDispatcher(options = {}) {
+    return createWebhookDispatcher({
+        repository: createMemoryRepository(),
+        lookup: PUBLIC_LOOKUP,
+        maxAttempts: 2,
+        baseDelayMs: 1,
+        maxDelayMs: 5,
+        fetch: async () => ({ ok: true, status: 200 }),
+        ...options
+    });
+}
+
+const event = { id: 'evt-1', type: 'prediction.created', time: '2026-01-01T00:00:00.000Z', data: { game: '1m', period: '100' } };
+
+test('signatures verify only for the same secret, timestamp and body', () => {
+    const signature = signPayload('secret-0123456789', 1700000000, '{"a":1}');
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature('secret-0123456789', 1700000000, '{"a":1}', signature), true);
+    assert.equal(verifySignature('secret-0123456789', 1700000000, '{"a":2}', signature), false);
+    assert.equal(verifySignature('secret-0123456789', 1700000001, '{"a":1}', signature), false);
+    assert.equal(verifySignature('another-secret-000', 1700000000, '{"a":1}', signature), false);
+    assert.equal(verifySignature('secret-0123456789', 1700000000, '{"a":1}', undefined), false);
+});
+
+test('refuses hosts resolving to non-public addresses', async () => {
+    const blocked = ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'];
+    for (const address of blocked) {
+        const reason = await checkWebhookTarget('https://hooks.example.com/in', { lookup: resolvesTo(address) });
+        assert.match(reason, /non-public address/, address);
+    }
+    assert.equal(await checkWebhookTarget('https://hooks.example.com/in', { lookup: PUBLIC_LOOKUP }), null);
+    assert.equal(await checkWebhookTarget('https://hooks.example.com/in', { lookup: resolvesTo('2606:4700::1111') }), null);
+});
+
+test('refuses a host when any of its addresses is non-public', async () => {
+    const reason = await checkWebhookTarget('https://hooks.example.com/in', { lookup: resolvesTo('93.184.216.34', '10.0.0.7') });
+    assert.equal(reason, 'host hooks.example.com resolves to non-public address 10.0.0.7.');
+});
+
+test('refuses IP literal and unresolvable hosts', async () => {
+    assert.match(await checkWebhookTarget('http://127.0.0.1:8080/'), /non-public address 127\.0\.0\.1/);
+    assert.match(await checkWebhookTarget('http://[::1]/'), /non-public address ::1/);
+    const failingLookup = async () => { throw new Error('ENOTFOUND'); };
+    assert.equal(await checkWebhookTarget('https://nowhere.invalid/', { lookup: failingLookup }), 'host nowhere.invalid could not be resolved.');
+});
+
+test('allowed hosts skip the address check', async () => {
+    const lookup = async () => { throw new Error('lookup should not be called'); };
+    assert.equal(await checkWebhookTarget('http://localhost:4000/hook', { allowedHosts: ['localhost'], lookup }), null);
+});
+
+test('register validates the body and refuses non-public targets', async () => {
+    const dispatcher = createDispatcher({ lookup: resolvesTo('192.168.0.10') });
+    assert.deepEqual(await dispatcher.register({ url: 'ftp://hooks.example.com' }, 'key-a'), { error: 'url must be an absolute http(s) URL.' });
+    assert.match((await dispatcher.register({ url: 'https://hooks.example.com', events: ['nope'] }, 'key-a')).error, /^events must be/);
+    assert.match((await dispatcher.register({ url: 'https://hooks.example.com', secret: 'short' }, 'key-a')).error, /^secret must be/);
+    const refused = await dispatcher.register({ url: 'https://hooks.example.com' }, 'key-a');
+    assert.equal(refused.error, 'url is not allowed: host hooks.example.com resolves to non-public address 192.168.0.10.');
+    assert.deepEqual(dispatcher.list('key-a'), []);
+});
+
+test('endpoints are only visible to and removable by their owner', async () => {
+    const dispatcher = createDispatcher();
+    const { endpoint } = await dispatcher.register({ url: 'https://hooks.example.com/a' }, 'key-a');
+    assert.equal(endpoint.owner, 'key-a');
+    assert.equal(endpoint.secret.length, 64);
+
+    const listed = dispatcher.list('key-a');
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].id, endpoint.id);
+    assert.equal('secret' in listed[0], false);
+    assert.deepEqual(dispatcher.list('key-b'), []);
+
+    assert.equal(dispatcher.remove(endpoint.id, 'key-b'), false);
+    assert.equal(dispatcher.list('key-a').length, 1);
+    assert.equal(dispatcher.remove(endpoint.id, 'key-a'), true);
+    assert.deepEqual(dispatcher.list('key-a'), []);
+});
+
+test('endpoints stored without an owner belong to the legacy owner', () => {
+    const repository = createMemoryRepository();
+    repository.save('webhooks', {
+        endpoints: [{ id: 'old', url: 'https://hooks.example.com', events: ['prediction.created'], games: null, secret: 'x'.repeat(32), createdAt: 1 }],
+        deadLetters: []
+    });
+    const dispatcher = createWebhookDispatcher({ repository, legacyOwner: 'env:API_KEY' });
+    assert.deepEqual(dispatcher.list('env:API_KEY').map(endpoint => endpoint.id), ['old']);
+    assert.deepEqual(dispatcher.list('key-a'), []);
+});
+
+test('deliveries are signed with the endpoint secret and filtered by event type and game', async () => {
+    const calls = [];
+    const dispatcher = createDispatcher({ fetch: async (url, init) => { calls.push({ url, init }); return { ok: true, status: 200 }; } });
+    const secret = 'endpoint-secret-0123456789';
+    await dispatcher.register({ url: 'https://hooks.example.com/a', secret, events: ['prediction.created'], games: ['1m'] }, 'key-a');
+    await dispatcher.register({ url: 'https://hooks.example.com/b', events: ['result.settled'] }, 'key-a');
+    await dispatcher.register({ url: 'https://hooks.example.com/c', games: ['3m'] }, 'key-a');
+
+    dispatcher.handleEvent(event);
+    await waitFor(() => calls.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(calls.length, 1);
+
+    const { url, init } = calls[0];
+    assert.equal(url, 'https://hooks.example.com/a');
+    assert.equal(init.redirect, 'manual');
+    assert.equal(init.headers['X-Quintus-Event'], 'prediction.created');
+    assert.deepEqual(JSON.parse(init.body), event);
+    assert.equal(verifySignature(secret, init.headers['X-Quintus-Timestamp'], init.body, init.headers['X-Quintus-Signature']), true);
+});
+
+test('failed deliveries are retried, then dead-lettered for the owner only', async () => {
+    let attempts = 0;
+    let failing = true;
+    const dispatcher = createDispatcher({
+        fetch: async () => { attempts++; return failing ? { ok: false, status: 503 } : { ok: true, status: 200 }; }
+    });
+    await dispatcher.register({ url: 'https://hooks.example.com/a' }, 'key-a');
+
+    dispatcher.handleEvent(event);
+    await waitFor(() => dispatcher.deadLetters('key-a').length === 1);
+    assert.equal(attempts, 2);
+    const [letter] = dispatcher.deadLetters('key-a');
+    assert.equal(letter.attempts, 2);
+    assert.equal(letter.lastError, 'Receiver responded with status 503');
+    assert.deepEqual(letter.event, event);
+    assert.deepEqual(dispatcher.deadLetters('key-b'), []);
+
+    assert.deepEqual(dispatcher.retryDeadLetter(letter.id, 'key-b'), { retried: false, error: 'Dead letter not found.' });
+    failing = false;
+    assert.deepEqual(dispatcher.retryDeadLetter(letter.id, 'key-a'), { retried: true });
+    await waitFor(() => attempts === 3);
+    assert.deepEqual(dispatcher.deadLetters('key-a'), []);
+});
+
+test('deliveries are refused when the host later resolves to a non-public address', async () => {
+    let addresses = ['93.184.216.34'];
+    let fetched = 0;
+    const dispatcher = createDispatcher({
+        lookup: async () => addresses.map(address => ({ address, family: 4 })),
+        fetch: async () => { fetched++; return { ok: true, status: 200 }; }
+    });
+    await dispatcher.register({ url: 'https://hooks.example.com/a' }, 'key-a');
+    addresses = ['169.254.169.254'];
+
+    dispatcher.handleEvent(event);
+    await waitFor(() => dispatcher.deadLetters('key-a').length === 1);
+    assert.equal(fetched, 0);
+    assert.match(dispatcher.deadLetters('key-a')[0].lastError, /^Refused: host hooks\.example\.com resolves to non-public address 169\.254\.169\.254\./);
+});
+
+test('reads settings from the environment', () => {
+    const options = webhookOptionsFromEnv({ WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_ALLOWED_HOSTS: ' LocalHost, receiver.internal ,' });
+    assert.equal(options.maxAttempts, 3);
+    assert.ok(isNaN(options.baseDelayMs));
+    assert.deepEqual(options.allowedHosts, ['localhost', 'receiver.internal']);
+});
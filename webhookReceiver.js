@@ -0,0 +1,69 @@
+// webhookReceiver.js - Local receiver for testing webhook deliveries end to end
+//
+// Usage:
+//   node webhookReceiver.js --secret S [--port N] [--fail N]
+//
+//   --secret   the secret returned when the endpoint was registered (POST /webhooks)
+//   --port     port to listen on (default 4000); register http://localhost:<port>/ as the webhook url,
+//              with WEBHOOK_ALLOWED_HOSTS=localhost on the server (local addresses are refused otherwise)
+//   --fail N   answer the first N deliveries with 503 to exercise retries and dead letters
+//
+// Every delivery is printed with its event type, delivery id and whether the signature verified.
+// Deliveries with a bad signature or a timestamp more than 5 minutes off are answered with 401.
+const http = require('http');
+const { verifySignature } = require('./webhooks.js');
+
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+function parseArgs(argv) {
+    const args = { port: 4000, fail: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--secret') args.secret = argv[++i];
+        else if (arg === '--port') args.port = parseInt(argv[++i], 10);
+        else if (arg === '--fail') args.fail = parseInt(argv[++i], 10);
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (!args.secret) throw new Error('--secret is required');
+    return args;
+}
+
+function startReceiver(args) {
+    let remainingFailures = args.fail;
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const timestamp = req.headers['x-quintus-timestamp'];
+            const signatureOk = verifySignature(args.secret, timestamp, body, req.headers['x-quintus-signature']);
+            const fresh = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) <= MAX_CLOCK_SKEW_SECONDS;
+            console.log(`${new Date().toISOString()} ${req.headers['x-quintus-event']} ${req.headers['x-quintus-delivery']} signature:${signatureOk ? 'ok' : 'BAD'}${fresh ? '' : ' (stale)'}`);
+            console.log(`  ${body}`);
+
+            if (!signatureOk || !fresh) {
+                res.writeHead(401).end();
+            } else if (remainingFailures > 0) {
+                remainingFailures--;
+                res.writeHead(503).end();
+            } else {
+                res.writeHead(204).end();
+            }
+        });
+    });
+    server.listen(args.port, () => console.log(`Webhook receiver listening on http://localhost:${args.port}/`));
+    return server;
+}
+
+if (require.main === module) {
+    try {
+        startReceiver(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error('Webhook receiver failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    startReceiver
+};
@@ -0,0 +1,308 @@
+// webhooks.js - Signed outbound webhook deliveries
+//
+// Registered endpoints receive a POST with the event as JSON ({ id, type, time, data }) for the event
+// types (and optionally games) they subscribed to:
+//   prediction.created, result.settled, drift.detected, correction.activated
+//
+// Every delivery is signed so receivers can verify it came from this server:
+//   X-Quintus-Event       event type
+//   X-Quintus-Delivery    unique delivery id (stable across retries)
+//   X-Quintus-Timestamp   unix seconds when this attempt was sent
+//   X-Quintus-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the endpoint secret>
+//
+// Webhook URLs must resolve to public addresses: hosts resolving to loopback, private (RFC 1918, unique local),
+// link-local (including cloud metadata at 169.254.169.254) or other reserved ranges are refused when the endpoint
+// is registered and again before every attempt, so a DNS change cannot point deliveries inside the network.
+// Redirects are not followed. WEBHOOK_ALLOWED_HOSTS exempts named hosts, e.g. localhost for webhookReceiver.js.
+//
+// Non-2xx responses, timeouts and network errors are retried with exponential backoff (plus jitter).
+// After the last attempt the delivery moves to the dead-letter list, from where it can be retried by hand.
+// Endpoints and dead letters are stored in the "webhooks" document; retries still waiting when the
+// process stops are not resumed. Every endpoint belongs to the API key that registered it, and list, remove
+// and the dead-letter calls only ever see the caller's own endpoints and deliveries. Endpoints registered
+// before endpoints had owners belong to options.legacyOwner.
+//
+// Settings:
+//   WEBHOOK_MAX_ATTEMPTS   - attempts per delivery, including the first (default 6)
+//   WEBHOOK_BASE_DELAY_MS  - delay before the first retry; doubles on every retry (default 2000)
+//   WEBHOOK_MAX_DELAY_MS   - upper bound for the retry delay (default 300000)
+//   WEBHOOK_TIMEOUT_MS     - per-attempt request timeout (default 10000)
+//   WEBHOOK_DEAD_LETTERS   - dead letters kept, oldest dropped first (default 500)
+//   WEBHOOK_ALLOWED_HOSTS  - comma-separated hosts exempt from the public address check (default: none)
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_EVENT_TYPES = ['prediction.created', 'result.settled', 'drift.detected', 'correction.activated'];
+const WEBHOOKS_DOC = 'webhooks';
+const DEFAULTS = {
+    maxAttempts: 6,
+    baseDelayMs: 2000,
+    maxDelayMs: 300000,
+    timeoutMs: 10000,
+    deadLetterLimit: 500
+};
+
+// --- Signatures ---
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks a delivery's signature. Receivers should also reject timestamps too far from their own clock.
+ * @returns {boolean}
+ */
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function retryDelay(attempt, options) {
+    const exponential = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential * (0.8 + Math.random() * 0.4));
+}
+
+function publicEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return rest;
+}
+
+// --- Target addresses ---
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+function isBlockedAddress(address) {
+    return BLOCKED_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolves a webhook URL's host and refuses it unless every address is public or the host is allowed.
+ * @param {string} url
+ * @param {Object} [options] - allowedHosts: exempt host names; lookup: dns.promises.lookup replacement.
+ * @returns {Promise<string|null>} Why the target is refused, or null.
+ */
+async function checkWebhookTarget(url, options = {}) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if ((options.allowedHosts || []).includes(hostname)) return null;
+    let addresses;
+    try {
+        addresses = await (options.lookup || dns.promises.lookup)(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        return `host ${hostname} could not be resolved.`;
+    }
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    return blocked ? `host ${hostname} resolves to non-public address ${blocked.address}.` : null;
+}
+
+function validateRegistration(body = {}) {
+    let url;
+    try {
+        url = new URL(body.url);
+    } catch (error) {
+        return { error: 'url must be an absolute http(s) URL.' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'url must be an absolute http(s) URL.' };
+
+    const events = body.events === undefined ? WEBHOOK_EVENT_TYPES.slice() : body.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+        return { error: `events must be a non-empty list of ${WEBHOOK_EVENT_TYPES.join(', ')}.` };
+    }
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+        return { error: 'secret must be a string of at least 16 characters.' };
+    }
+    const games = body.games === undefined ? null : body.games;
+    if (games !== null && (!Array.isArray(games) || games.some(game => typeof game !== 'string'))) {
+        return { error: 'games must be a list of game keys.' };
+    }
+    return { url: url.toString(), events, secret: body.secret, games };
+}
+
+// --- Dispatcher ---
+/**
+ * @param {Object} options
+ * @param {Object} options.repository - Storage repository holding the webhooks document.
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch).
+ * @param {string} [options.legacyOwner] - Owner of endpoints and dead letters stored without one.
+ */
+function createWebhookDispatcher(options = {}) {
+    const repository = options.repository;
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (typeof options[key] === 'number' && !isNaN(options[key])) settings[key] = options[key];
+    });
+    const fetchImpl = options.fetch || fetch;
+    const targetOptions = { allowedHosts: options.allowedHosts || [], lookup: options.lookup };
+    const ownerOf = record => record.owner || options.legacyOwner || null;
+
+    const load = () => repository.load(WEBHOOKS_DOC, () => ({ endpoints: [], deadLetters: [] }));
+    const save = doc => {
+        try {
+            repository.save(WEBHOOKS_DOC, doc);
+        } catch (error) {
+            console.error('Webhooks: failed to save registry:', error);
+        }
+    };
+
+    async function attempt(delivery) {
+        const body = JSON.stringify(delivery.event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+        try {
+            const refused = await checkWebhookTarget(delivery.url, targetOptions);
+            if (refused) throw new Error(`Refused: ${refused}`);
+            const response = await fetchImpl(delivery.url, {
+                method: 'POST',
+                redirect: 'manual', // A redirect could lead to an address the target check would refuse
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'quintus-webhooks/1',
+                    'X-Quintus-Event': delivery.event.type,
+                    'X-Quintus-Delivery': delivery.id,
+                    'X-Quintus-Timestamp': String(timestamp),
+                    'X-Quintus-Signature': signPayload(delivery.secret, timestamp, body)
+                },
+                body,
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error(`Receiver responded with status ${response.status}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function deliver(delivery) {
+        delivery.attempts++;
+        try {
+            await attempt(delivery);
+            if (delivery.attempts > 1) console.log(`Webhooks: ${delivery.id} delivered to ${delivery.url} on attempt ${delivery.attempts}.`);
+        } catch (error) {
+            delivery.lastError = error.name === 'AbortError' ? `Timed out after ${settings.timeoutMs}ms` : error.message;
+            if (delivery.attempts < settings.maxAttempts) {
+                const delay = retryDelay(delivery.attempts, settings);
+                console.warn(`Webhooks: ${delivery.id} to ${delivery.url} failed (${delivery.lastError}); retry ${delivery.attempts + 1}/${settings.maxAttempts} in ${delay}ms.`);
+                setTimeout(() => deliver(delivery), delay).unref();
+                return;
+            }
+            console.error(`Webhooks: ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempt(s); moved to dead letters.`);
+            const doc = load();
+            doc.deadLetters.push({
+                id: delivery.id,
+                endpointId: delivery.endpointId,
+                owner: delivery.owner,
+                url: delivery.url,
+                event: delivery.event,
+                attempts: delivery.attempts,
+                lastError: delivery.lastError,
+                failedAt: Date.now()
+            });
+            if (doc.deadLetters.length > settings.deadLetterLimit) doc.deadLetters.splice(0, doc.deadLetters.length - settings.deadLetterLimit);
+            save(doc);
+        }
+    }
+
+    function startDelivery(endpoint, event, deliveryId) {
+        deliver({
+            id: deliveryId || crypto.randomUUID(),
+            endpointId: endpoint.id,
+            owner: ownerOf(endpoint),
+            url: endpoint.url,
+            secret: endpoint.secret,
+            event,
+            attempts: 0,
+            lastError: null
+        });
+    }
+
+    return {
+        /** Delivers a bus event to every active endpoint subscribed to its type and game. */
+        handleEvent(event) {
+            if (!WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+            load().endpoints
+                .filter(endpoint => endpoint.events.includes(event.type))
+                .filter(endpoint => !endpoint.games || endpoint.games.includes(event.data.game))
+                .forEach(endpoint => startDelivery(endpoint, event));
+        },
+        /**
+         * Registers an endpoint for an owner (the registering API key). The secret (generated when not
+         * supplied) is only returned here.
+         * @returns {Promise<{endpoint: Object}|{error: string}>}
+         */
+        async register(body, owner) {
+            const registration = validateRegistration(body);
+            if (registration.error) return registration;
+            const refused = await checkWebhookTarget(registration.url, targetOptions);
+            if (refused) return { error: `url is not allowed: ${refused}` };
+            const endpoint = {
+                id: crypto.randomUUID(),
+                url: registration.url,
+                events: registration.events,
+                games: registration.games,
+                secret: registration.secret || crypto.randomBytes(32).toString('hex'),
+                owner: owner || null,
+                createdAt: Date.now()
+            };
+            const doc = load();
+            doc.endpoints.push(endpoint);
+            save(doc);
+            return { endpoint };
+        },
+        list(owner) {
+            return load().endpoints.filter(endpoint => ownerOf(endpoint) === owner).map(publicEndpoint);
+        },
+        remove(id, owner) {
+            const doc = load();
+            const index = doc.endpoints.findIndex(endpoint => endpoint.id === id && ownerOf(endpoint) === owner);
+            if (index === -1) return false;
+            doc.endpoints.splice(index, 1);
+            save(doc);
+            return true;
+        },
+        deadLetters(owner) {
+            return load().deadLetters.filter(letter => ownerOf(letter) === owner).reverse();
+        },
+        /**
+         * Moves a dead letter back into delivery (to the endpoint's current URL and secret).
+         * @returns {{retried: boolean, error?: string}}
+         */
+        retryDeadLetter(id, owner) {
+            const doc = load();
+            const index = doc.deadLetters.findIndex(letter => letter.id === id && ownerOf(letter) === owner);
+            if (index === -1) return { retried: false, error: 'Dead letter not found.' };
+            const letter = doc.deadLetters[index];
+            const endpoint = doc.endpoints.find(e => e.id === letter.endpointId);
+            if (!endpoint) return { retried: false, error: 'The webhook endpoint for this delivery no longer exists.' };
+            doc.deadLetters.splice(index, 1);
+            save(doc);
+            startDelivery(endpoint, letter.event, letter.id);
+            return { retried: true };
+        }
+    };
+}
+
+function webhookOptionsFromEnv(env = process.env) {
+    return {
+        maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10),
+        baseDelayMs: parseInt(env.WEBHOOK_BASE_DELAY_MS, 10),
+        maxDelayMs: parseInt(env.WEBHOOK_MAX_DELAY_MS, 10),
+        timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS, 10),
+        deadLetterLimit: parseInt(env.WEBHOOK_DEAD_LETTERS, 10),
+        allowedHosts: (env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    createWebhookDispatcher,
+    webhookOptionsFromEnv,
+    signPayload,
+    verifySignature,
+    checkWebhookTarget
+};